@@ -76,6 +76,37 @@ document.addEventListener("DOMContentLoaded", function () {
                         console.log("pay-now.js: Yoco token received (result.id):", result.id, "Amount to verify:", amount);
                         yocoCheckoutButton.textContent = 'Verifying Payment...';
 
+                        // The backend re-prices the trolley before charging, same as /create-checkout
+                        let trolleyItems = [];
+                        try {
+                            trolleyItems = JSON.parse(localStorage.getItem("trolley") || "[]");
+                        } catch (e) {
+                            console.error("pay-now.js: Could not read trolley from localStorage:", e);
+                        }
+                        const lineItems = trolleyItems.map(item => ({
+                            id: String(item.id),
+                            name: item.name,
+                            quantity: parseInt(item.quantity) || 1,
+                            amount: Math.round((parseFloat(item.price) || 0) * 100) // Unit price in cents
+                        }));
+
+                        // Delivery is priced from the area last checked in the trolley
+                        let deliveryArea = {};
+                        try {
+                            deliveryArea = JSON.parse(localStorage.getItem("deliveryArea") || "{}") || {};
+                        } catch (e) {
+                            console.error("pay-now.js: Could not read delivery area from localStorage:", e);
+                        }
+
+                        // Name and phone as entered in the trolley, so the order earns
+                        // loyalty points and can be tracked
+                        let customer = {};
+                        try {
+                            customer = JSON.parse(localStorage.getItem("checkoutCustomer") || "{}") || {};
+                        } catch (e) {
+                            console.error("pay-now.js: Could not read customer details from localStorage:", e);
+                        }
+
                         // Send the Yoco token and amount to YOUR backend
                         fetch('https://eezyspaza-backend1.onrender.com/finalize-yoco-payment', { // <<< --- YOUR NEW BACKEND ENDPOINT
                             method: 'POST',
@@ -84,7 +115,14 @@ document.addEventListener("DOMContentLoaded", function () {
                             },
                             body: JSON.stringify({
                                 yocoToken: result.id,
-                                orderAmount: amount.toFixed(2) // Send as string with 2 decimal places
+                                orderAmount: amount.toFixed(2), // Send as string with 2 decimal places
+                                line_items: lineItems,
+                                metadata: {
+                                    customer_name: customer.customer_name || "",
+                                    customer_phone: customer.customer_phone || "",
+                                    customer_postal_code: deliveryArea.postal_code || "",
+                                    customer_city: deliveryArea.suburb || ""
+                                }
                             })
                         })
                         .then(response => {
@@ -5,6 +5,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const orderDetailsDiv = document.getElementById('orderDetails');
     const displayOrderIdElement = document.getElementById('displayOrderId');
     const displayRefElement = document.getElementById('displayRef');
+    const trackOrderLink = document.getElementById('trackOrderLink');
 
     const params = new URLSearchParams(window.location.search);
     const status = params.get('status');
@@ -34,6 +35,13 @@ document.addEventListener('DOMContentLoaded', () => {
             confirmationContainer.className = 'confirmation-container success'; // Add class for styling
             titleElement.textContent = 'Payment Successful!';
             messageElement.textContent = message || 'Thank you for your purchase. Your order has been confirmed.';
+            // The tracking page asks for the phone digits; fill in what we know
+            if (trackOrderLink) {
+                trackOrderLink.href = transactionRef
+                    ? `track_order.html?reference=${encodeURIComponent(transactionRef)}`
+                    : 'track_order.html';
+                trackOrderLink.style.display = 'inline-block';
+            }
             // Clean up localStorage related to this completed order
             localStorage.removeItem('paymentResult');
             localStorage.removeItem('currentOrderId');
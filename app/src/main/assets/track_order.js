@@ -0,0 +1,92 @@
+document.addEventListener("DOMContentLoaded", () => {
+    const referenceInput = document.getElementById("trackingReferenceInput");
+    const phoneInput = document.getElementById("trackingPhoneInput");
+    const trackButton = document.getElementById("trackOrderButton");
+    const messageElement = document.getElementById("trackingMessage");
+    const resultElement = document.getElementById("trackingResult");
+    const statusElement = document.getElementById("trackingStatus");
+    const summaryElement = document.getElementById("trackingSummary");
+    const timelineElement = document.getElementById("trackingTimeline");
+    const invoiceLinkElement = document.getElementById("trackingInvoiceLink");
+
+    const backendBaseUrl = 'https://eezyspaza-backend1.onrender.com';
+
+    function formatTime(iso) {
+        return iso
+            ? new Date(iso).toLocaleString("en-ZA", { weekday: "short", day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" })
+            : "";
+    }
+
+    function showOrder(order, params) {
+        statusElement.textContent = order.status_label;
+
+        let summary = `${order.item_count} item(s), R${order.total.toFixed(2)}`;
+        if (order.payment_status === "pay_on_delivery") {
+            summary += " - pay on delivery";
+        }
+        if (order.delivery_slot) {
+            const day = new Date(`${order.delivery_slot.date}T12:00:00`).toLocaleDateString("en-ZA", { weekday: "long", day: "numeric", month: "short" });
+            summary += `. Delivery ${day}, ${order.delivery_slot.start} - ${order.delivery_slot.end}`;
+        } else if (order.fulfilment_type === "collect") {
+            summary += ". Collect from the store - bring the pickup code we sent you on WhatsApp";
+        }
+        summaryElement.textContent = summary;
+
+        timelineElement.innerHTML = "";
+        order.timeline.forEach(entry => {
+            const item = document.createElement("li");
+            const time = document.createElement("time");
+            time.textContent = formatTime(entry.at);
+            item.textContent = entry.label;
+            item.appendChild(time);
+            timelineElement.appendChild(item);
+        });
+
+        // The invoice download is checked with the same reference and digits
+        if (invoiceLinkElement) {
+            invoiceLinkElement.href = `${backendBaseUrl}/api/orders/invoice?${params.toString()}`;
+            invoiceLinkElement.hidden = !order.invoice_available;
+        }
+
+        resultElement.hidden = false;
+    }
+
+    async function trackOrder() {
+        const reference = referenceInput.value.trim();
+        const phoneDigits = phoneInput.value.trim();
+
+        resultElement.hidden = true;
+        if (!reference || !/^[0-9]{4}$/.test(phoneDigits)) {
+            messageElement.textContent = "Enter your order reference and the last 4 digits of your phone number.";
+            return;
+        }
+
+        trackButton.disabled = true;
+        messageElement.textContent = "";
+        try {
+            const params = new URLSearchParams({ order_reference: reference, phone_last_digits: phoneDigits });
+            const response = await fetch(`${backendBaseUrl}/api/orders/track?${params.toString()}`);
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                showOrder(data.order, params);
+            } else {
+                messageElement.textContent = data.error || "Could not find your order.";
+            }
+        } catch (error) {
+            console.error("track_order.js: Error tracking order:", error);
+            messageElement.textContent = "Could not reach the store. Please check your connection and try again.";
+        } finally {
+            trackButton.disabled = false;
+        }
+    }
+
+    trackButton.addEventListener("click", trackOrder);
+
+    // Linked from the payment confirmation page with the reference filled in
+    const params = new URLSearchParams(window.location.search);
+    if (params.get("reference")) {
+        referenceInput.value = params.get("reference");
+        phoneInput.focus();
+    }
+});
@@ -8,8 +8,38 @@ document.addEventListener("DOMContentLoaded", () => {
     const checkoutButton = document.getElementById("checkoutButton");
     const clearTrolleyButton = document.getElementById("clearTrolleyButton");
     const navbarTrolleyCountElement = document.getElementById("trolleyCount");
+    const voucherCodeInput = document.getElementById("voucherCodeInput");
+    const applyVoucherButton = document.getElementById("applyVoucherButton");
+    const voucherMessageElement = document.getElementById("voucherMessage");
+    const trolleyDiscountRow = document.getElementById("trolleyDiscountRow");
+    const trolleyDiscountElement = document.getElementById("trolleyDiscount");
+    const storeStatusMessageElement = document.getElementById("storeStatusMessage");
+    const deliveryPostalCodeInput = document.getElementById("deliveryPostalCodeInput");
+    const deliverySuburbInput = document.getElementById("deliverySuburbInput");
+    const checkDeliveryButton = document.getElementById("checkDeliveryButton");
+    const deliveryMessageElement = document.getElementById("deliveryMessage");
+    const trolleyDeliveryRow = document.getElementById("trolleyDeliveryRow");
+    const trolleyDeliveryElement = document.getElementById("trolleyDelivery");
+    const deliverySlotSelect = document.getElementById("deliverySlotSelect");
+    const deliverySection = document.getElementById("deliverySection");
+    const fulfilmentTypeInputs = document.querySelectorAll('input[name="fulfilmentType"]');
+    const customerNameInput = document.getElementById("customerNameInput");
+    const customerPhoneInput = document.getElementById("customerPhoneInput");
 
     const VAT_RATE = 0.15; // Make sure this matches your backend if it recalculates
+    const backendBaseUrl = 'https://eezyspaza-backend1.onrender.com'; // Your actual backend URL
+
+    // Set once /api/vouchers/validate accepts a code: { code, discount, pricing }.
+    // pricing is the server's breakdown, so the total shown is what Yoco will charge.
+    let appliedVoucher = null;
+
+    // Set once /api/delivery/quote accepts the area: { postal_code, suburb, fee }.
+    // Checkout needs it unless the customer is collecting.
+    let deliveryQuote = null;
+
+    // From /api/store/status. Null until loaded (or if it couldn't be), in
+    // which case checkout goes ahead and the server decides.
+    let storeStatus = null;
 
     if (!trolleyItemsContainer || !trolleySubtotalElement || !trolleyVatElement || !trolleyTotalElement || !checkoutButton || !clearTrolleyButton) {
         console.error("trolley.js: One or more essential HTML elements for trolley display/functionality are missing. Check IDs.");
@@ -53,6 +83,13 @@ document.addEventListener("DOMContentLoaded", () => {
             localStorage.setItem("trolley", JSON.stringify(trolley));
             console.log("trolley.js: Trolley saved. Items:", trolley.length);
             updateNavbarTrolleyCount(trolley);
+            if (appliedVoucher) {
+                clearAppliedVoucher("Your trolley changed - please apply your voucher again.");
+            }
+            // The fee can change with the trolley total (free delivery over a threshold)
+            if (deliveryQuote && trolley.length > 0) {
+                requestDeliveryQuote();
+            }
         } catch (e) {
             console.error("trolley.js: Error saving trolley to localStorage:", e);
             alert("Could not save trolley changes.");
@@ -68,14 +105,246 @@ document.addEventListener("DOMContentLoaded", () => {
         });
 
         const vat = subtotal * VAT_RATE;
-        const total = subtotal + vat;
+        let total = subtotal + vat;
+
+        // A voucher checked with the delivery area already includes the fee
+        const delivery = activeDeliveryQuote();
+        if (appliedVoucher) {
+            total = appliedVoucher.pricing.total_cents / 100;
+        } else if (delivery) {
+            total += delivery.fee;
+        }
 
         if (trolleySubtotalElement) trolleySubtotalElement.textContent = `R${subtotal.toFixed(2)}`;
         if (trolleyVatElement) trolleyVatElement.textContent = `R${vat.toFixed(2)}`;
         if (trolleyTotalElement) trolleyTotalElement.textContent = `R${total.toFixed(2)}`;
+        if (trolleyDeliveryRow) trolleyDeliveryRow.hidden = !delivery;
+        if (trolleyDeliveryElement && delivery) trolleyDeliveryElement.textContent = delivery.fee > 0 ? `R${delivery.fee.toFixed(2)}` : "Free";
+        if (trolleyDiscountRow) trolleyDiscountRow.hidden = !appliedVoucher;
+        if (trolleyDiscountElement && appliedVoucher) trolleyDiscountElement.textContent = `-R${appliedVoucher.discount.toFixed(2)}`;
         return { subtotal, vat, total }; // Return the calculated values
     }
 
+    // The backend re-prices these against the live catalogue and
+    // rejects the checkout if anything changed since it was added.
+    function buildLineItems(trolley) {
+        return trolley.map(item => ({
+            id: String(item.id),
+            name: item.name,
+            quantity: parseInt(item.quantity) || 1,
+            amount: Math.round((parseFloat(item.price) || 0) * 100) // Unit price in cents
+        }));
+    }
+
+    // Sent with the voucher check and checkout so the server prices the same delivery
+    function buildDeliveryFields() {
+        const delivery = activeDeliveryQuote();
+        return delivery
+            ? { customer_postal_code: delivery.postal_code, customer_city: delivery.suburb }
+            : {};
+    }
+
+    // Name and phone go with the order for WhatsApp updates, loyalty points
+    // and tracking. Saved for next time and for pay-now.js.
+    function buildCustomerFields() {
+        const customer = {
+            customer_name: customerNameInput ? customerNameInput.value.trim() : "",
+            customer_phone: customerPhoneInput ? customerPhoneInput.value.trim() : ""
+        };
+        localStorage.setItem("checkoutCustomer", JSON.stringify(customer));
+        return customer;
+    }
+
+    function isCollecting() {
+        const selected = document.querySelector('input[name="fulfilmentType"]:checked');
+        return !!selected && selected.value === "collect";
+    }
+
+    // Collection orders have no delivery fee, whatever area was checked
+    function activeDeliveryQuote() {
+        return isCollecting() ? null : deliveryQuote;
+    }
+
+    fulfilmentTypeInputs.forEach(input => {
+        input.addEventListener("change", () => {
+            if (deliverySection) deliverySection.hidden = isCollecting();
+            // The voucher total was worked out with or without the fee
+            if (appliedVoucher) {
+                clearAppliedVoucher("Your order changed - please apply your voucher again.");
+            }
+            calculateAndDisplayTotals(getTrolleyFromStorage());
+        });
+    });
+
+    function showDeliveryMessage(message) {
+        if (deliveryMessageElement) deliveryMessageElement.textContent = message;
+    }
+
+    async function requestDeliveryQuote() {
+        const postalCode = deliveryPostalCodeInput ? deliveryPostalCodeInput.value.trim() : "";
+        const suburb = deliverySuburbInput ? deliverySuburbInput.value.trim() : "";
+        const currentTrolley = getTrolleyFromStorage();
+
+        if (!postalCode && !suburb) {
+            showDeliveryMessage("Enter your postal code or suburb.");
+            return;
+        }
+        if (currentTrolley.length === 0) {
+            showDeliveryMessage("Add items to your trolley first.");
+            return;
+        }
+
+        if (checkDeliveryButton) checkDeliveryButton.disabled = true;
+        try {
+            const response = await fetch(`${backendBaseUrl}/api/delivery/quote`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    line_items: buildLineItems(currentTrolley),
+                    customer_postal_code: postalCode,
+                    customer_city: suburb
+                }),
+            });
+            const data = await response.json();
+
+            // A different fee means any voucher total is out of date
+            if (appliedVoucher && (!deliveryQuote || !data.deliverable || data.fee !== deliveryQuote.fee)) {
+                clearAppliedVoucher("Your delivery changed - please apply your voucher again.");
+            }
+
+            if (response.ok && data.deliverable) {
+                deliveryQuote = { postal_code: postalCode, suburb, fee: data.fee };
+                localStorage.setItem("deliveryArea", JSON.stringify({ postal_code: postalCode, suburb }));
+
+                let message = data.fee > 0
+                    ? `Delivery${data.zone ? ` to ${data.zone}` : ""}: R${data.fee.toFixed(2)}`
+                    : `Free delivery${data.zone ? ` to ${data.zone}` : ""}`;
+                if (data.spend_for_free_delivery > 0) {
+                    message += ` - spend R${data.spend_for_free_delivery.toFixed(2)} more for free delivery`;
+                }
+                showDeliveryMessage(message);
+            } else {
+                deliveryQuote = null;
+                showDeliveryMessage(data.message || data.error || "We can't deliver there.");
+            }
+        } catch (error) {
+            console.error("trolley.js: Error getting delivery quote:", error);
+            showDeliveryMessage("Could not check delivery. Please try again.");
+        } finally {
+            if (checkDeliveryButton) checkDeliveryButton.disabled = false;
+            calculateAndDisplayTotals(getTrolleyFromStorage());
+        }
+    }
+
+    if (checkDeliveryButton) {
+        checkDeliveryButton.addEventListener("click", requestDeliveryQuote);
+    }
+
+    // Fills the delivery time dropdown from /api/delivery/slots. Full slots
+    // are shown but can't be picked; "As soon as possible" is always there.
+    async function loadDeliverySlots() {
+        if (!deliverySlotSelect) return;
+        try {
+            const response = await fetch(`${backendBaseUrl}/api/delivery/slots`);
+            const data = await response.json();
+            if (!response.ok || !data.success) return;
+
+            const selected = deliverySlotSelect.value;
+            deliverySlotSelect.innerHTML = '<option value="">As soon as possible</option>';
+            data.slots.forEach(slot => {
+                const option = document.createElement("option");
+                const day = new Date(`${slot.date}T12:00:00`).toLocaleDateString("en-ZA", { weekday: "long", day: "numeric", month: "short" });
+                option.value = slot.id;
+                option.textContent = `${day}, ${slot.start} - ${slot.end}${slot.available ? "" : " (full)"}`;
+                option.disabled = !slot.available;
+                deliverySlotSelect.appendChild(option);
+            });
+            if (data.slots.some(slot => slot.id === selected && slot.available)) {
+                deliverySlotSelect.value = selected;
+            }
+        } catch (error) {
+            console.warn("trolley.js: Could not load delivery slots:", error);
+        }
+    }
+
+    function showVoucherMessage(message) {
+        if (voucherMessageElement) voucherMessageElement.textContent = message;
+    }
+
+    function showStoreStatus(status) {
+        storeStatus = status;
+        if (!storeStatusMessageElement) return;
+
+        let message = "";
+        if (!status.is_open && status.scheduled_for) {
+            const opening = new Date(status.scheduled_for).toLocaleString("en-ZA", { weekday: "long", hour: "2-digit", minute: "2-digit" });
+            message = `${status.message}. You can still order now - we'll get it ready when we open (${opening}).`;
+        } else if (!status.is_open) {
+            message = status.message;
+        }
+        storeStatusMessageElement.textContent = message;
+        storeStatusMessageElement.hidden = !message;
+    }
+
+    async function loadStoreStatus() {
+        try {
+            const response = await fetch(`${backendBaseUrl}/api/store/status`);
+            const data = await response.json();
+            if (response.ok && data.success) {
+                showStoreStatus(data);
+            }
+        } catch (error) {
+            console.warn("trolley.js: Could not load store status:", error);
+        }
+    }
+
+    function clearAppliedVoucher(message) {
+        appliedVoucher = null;
+        showVoucherMessage(message || "");
+        calculateAndDisplayTotals(getTrolleyFromStorage());
+    }
+
+    if (applyVoucherButton && voucherCodeInput) {
+        applyVoucherButton.addEventListener("click", async () => {
+            const code = voucherCodeInput.value.trim().toUpperCase();
+            const currentTrolley = getTrolleyFromStorage();
+
+            if (!code) {
+                clearAppliedVoucher();
+                return;
+            }
+            if (currentTrolley.length === 0) {
+                showVoucherMessage("Add items to your trolley first.");
+                return;
+            }
+
+            applyVoucherButton.disabled = true;
+            try {
+                const response = await fetch(`${backendBaseUrl}/api/vouchers/validate`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ code, line_items: buildLineItems(currentTrolley), ...buildDeliveryFields() }),
+                });
+                const data = await response.json();
+
+                if (response.ok && data.valid) {
+                    appliedVoucher = { code, discount: data.discount, pricing: data.pricing };
+                    showVoucherMessage(data.voucher.free_delivery
+                        ? `${code} applied - free delivery`
+                        : `${code} applied - you save R${data.discount.toFixed(2)}`);
+                    calculateAndDisplayTotals(currentTrolley);
+                } else {
+                    clearAppliedVoucher(data.message || data.error || "That voucher can't be used.");
+                }
+            } catch (error) {
+                console.error("trolley.js: Error validating voucher:", error);
+                showVoucherMessage("Could not check the voucher. Please try again.");
+            } finally {
+                applyVoucherButton.disabled = false;
+            }
+        });
+    }
+
     function renderTrolleyItems() {
         console.log("trolley.js: Starting renderTrolleyItems()");
         if (!trolleyItemsContainer) {
@@ -192,6 +461,8 @@ document.addEventListener("DOMContentLoaded", () => {
                 localStorage.removeItem('checkoutVat');
                 localStorage.removeItem('checkoutTotal');
                 localStorage.removeItem('checkoutItemsForDisplay');
+                appliedVoucher = null;
+                showVoucherMessage("");
                 console.log("trolley.js: Trolley and related checkout data cleared from localStorage.");
                 renderTrolleyItems();
                 alert("Trolley has been cleared!");
@@ -201,6 +472,11 @@ document.addEventListener("DOMContentLoaded", () => {
         });
     }
 
+    // One reference per visit to this page, reused if the button fires twice
+    // or the request is retried, so the backend returns the same checkout
+    // instead of creating a second one (sent as the Idempotency-Key).
+    const checkoutOrderReference = "EazySpaza_Order_" + Date.now();
+
     // --- "Proceed to Checkout" LOGIC using /create-checkout (Yoco Redirect Flow) ---
     if (checkoutButton) {
         checkoutButton.addEventListener("click", async () => {
@@ -212,6 +488,20 @@ document.addEventListener("DOMContentLoaded", () => {
                 return;
             }
 
+            if (storeStatus && !storeStatus.accepts_orders) {
+                alert(storeStatus.message);
+                return;
+            }
+            if (!isCollecting() && !deliveryQuote) {
+                alert("Please check delivery to your area before checking out.");
+                return;
+            }
+            const customerPhone = customerPhoneInput ? customerPhoneInput.value.replace(/\D/g, "") : "";
+            if (customerPhone.length < 9) {
+                alert("Please enter your cellphone number so we can send you order updates.");
+                return;
+            }
+
             const totals = calculateAndDisplayTotals(currentTrolley); // Recalculate and get total
             if (totals.total <= 0) { // Basic check for valid total
                  alert("The total amount is invalid. Please check your trolley items.");
@@ -230,21 +520,27 @@ document.addEventListener("DOMContentLoaded", () => {
                 price: parseFloat(item.price).toFixed(2) // Ensure price is formatted
             }));
 
-            // DEFINE YOUR BACKEND URL AND SUCCESS/CANCEL PAGES
-            const backendBaseUrl = 'https://eezyspaza-backend1.onrender.com'; // Your actual backend URL
+            // DEFINE YOUR SUCCESS/CANCEL PAGES
             const successRedirectUrl = `${backendBaseUrl}/yoco-payment-success`;
             const cancelRedirectUrl = `${backendBaseUrl}/yoco-payment-cancel`;
             // Optional: const failureRedirectUrl = `${backendBaseUrl}/yoco-payment-failure`;
 
+            const lineItems = buildLineItems(currentTrolley);
+
             const orderDataForBackend = {
                 amount: totals.total.toFixed(2), // Send as string like "26.44"
                 currency: 'ZAR',
                 successUrl: successRedirectUrl,
                 cancelUrl: cancelRedirectUrl,
+                line_items: lineItems,
+                voucher_code: appliedVoucher ? appliedVoucher.code : undefined,
+                fulfilment_type: isCollecting() ? "collect" : "delivery",
+                delivery_slot_id: !isCollecting() && deliverySlotSelect && deliverySlotSelect.value ? deliverySlotSelect.value : undefined,
                 // failureUrl: failureRedirectUrl, // Optional
                 metadata: {
-                    order_reference: "EazySpaza_Order_" + Date.now(), // Example reference
-                    customer_name: "Valued Customer", // Replace with actual customer name if available
+                    order_reference: checkoutOrderReference,
+                    ...buildCustomerFields(),
+                    ...buildDeliveryFields(),
                     items: JSON.stringify(orderItemsForMetadata) // Stringify items for metadata
                     // You can add more metadata your backend might find useful
                 },
@@ -260,6 +556,7 @@ document.addEventListener("DOMContentLoaded", () => {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
+                        'Idempotency-Key': checkoutOrderReference,
                     },
                     body: JSON.stringify(orderDataForBackend),
                 });
@@ -271,6 +568,47 @@ document.addEventListener("DOMContentLoaded", () => {
                     // Redirect the user to Yoco's hosted payment page
                     window.location.href = data.redirectUrl;
                     // No need to re-enable button here as we are navigating away
+                } else if (response.status === 409 && Array.isArray(data.changed_items)) {
+                    console.warn("trolley.js: Trolley is out of date:", data.changed_items);
+                    const changes = data.changed_items.map(item => {
+                        const name = item.name || `Product ID: ${item.id}`;
+                        if (item.reason === 'price_changed') {
+                            return `- ${name}: now R${item.current_price.toFixed(2)} (was R${item.expected_price.toFixed(2)})`;
+                        }
+                        if (item.reason === 'insufficient_stock') {
+                            return `- ${name}: only ${item.available_stock} left`;
+                        }
+                        return `- ${name}: no longer available`;
+                    }).join("\n");
+                    alert("Some items in your trolley have changed:\n\n" + changes + "\n\nPlease update your trolley and try again.");
+                    checkoutButton.disabled = false;
+                    checkoutButton.textContent = 'Proceed to Checkout';
+                } else if (response.status === 409 && data.delivery_error) {
+                    console.warn("trolley.js: Delivery rejected at checkout:", data.delivery_error);
+                    deliveryQuote = null;
+                    showDeliveryMessage(data.error);
+                    calculateAndDisplayTotals(currentTrolley);
+                    alert(data.error + "\n\nPlease check your delivery area and try again.");
+                    checkoutButton.disabled = false;
+                    checkoutButton.textContent = 'Proceed to Checkout';
+                } else if (response.status === 409 && data.slot_error) {
+                    console.warn("trolley.js: Delivery slot rejected at checkout:", data.slot_error);
+                    await loadDeliverySlots();
+                    alert(data.error);
+                    checkoutButton.disabled = false;
+                    checkoutButton.textContent = 'Proceed to Checkout';
+                } else if (response.status === 503 && data.store_closed) {
+                    console.warn("trolley.js: Store is not taking orders:", data.store_status);
+                    showStoreStatus(data.store_status);
+                    alert(data.error);
+                    checkoutButton.disabled = false;
+                    checkoutButton.textContent = 'Proceed to Checkout';
+                } else if (response.status === 409 && data.voucher_error) {
+                    console.warn("trolley.js: Voucher rejected at checkout:", data.voucher_error);
+                    clearAppliedVoucher(data.error);
+                    alert(data.error + "\n\nYour voucher has been removed. Please check your total and try again.");
+                    checkoutButton.disabled = false;
+                    checkoutButton.textContent = 'Proceed to Checkout';
                 } else {
                     console.error("trolley.js: Failed to create Yoco checkout:", data.message || data.error || "Unknown error from server");
                     alert("Could not initialize payment. " + (data.message || data.error || "Please try again."));
@@ -290,4 +628,31 @@ document.addEventListener("DOMContentLoaded", () => {
 
     console.log("trolley.js: Performing initial render of trolley items.");
     renderTrolleyItems(); // Initial render
+    loadStoreStatus();
+    loadDeliverySlots();
+
+    // Fill in the name and number used last time
+    try {
+        const savedCustomer = JSON.parse(localStorage.getItem("checkoutCustomer") || "null");
+        if (savedCustomer) {
+            if (customerNameInput) customerNameInput.value = savedCustomer.customer_name || "";
+            if (customerPhoneInput) customerPhoneInput.value = savedCustomer.customer_phone || "";
+        }
+    } catch (e) {
+        console.warn("trolley.js: Could not read saved customer details:", e);
+    }
+
+    // Fill in the last area we delivered to and price it straight away
+    try {
+        const savedArea = JSON.parse(localStorage.getItem("deliveryArea") || "null");
+        if (savedArea && deliveryPostalCodeInput && deliverySuburbInput) {
+            deliveryPostalCodeInput.value = savedArea.postal_code || "";
+            deliverySuburbInput.value = savedArea.suburb || "";
+            if (getTrolleyFromStorage().length > 0) {
+                requestDeliveryQuote();
+            }
+        }
+    } catch (e) {
+        console.warn("trolley.js: Could not read saved delivery area:", e);
+    }
 });
@@ -0,0 +1,23 @@
+const js = require('@eslint/js');
+const globals = require('globals');
+
+module.exports = [
+    {
+        ignores: ['node_modules/', 'public/']
+    },
+    js.configs.recommended,
+    {
+        files: ['**/*.js'],
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'commonjs',
+            globals: globals.node
+        },
+        rules: {
+            // Express error handlers need all four arguments even when
+            // next goes unused, and rest destructuring is how fields are
+            // dropped from a document
+            'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none', ignoreRestSiblings: true }]
+        }
+    }
+];
@@ -42,6 +42,10 @@ if (!admin.apps.length) {
 const db = admin.firestore();
 const app = express();
 
+// Render puts one proxy in front of the app; trusting it makes req.ip the
+// customer's address rather than the proxy's
+app.set('trust proxy', 1);
+
 // CORS Configuration
 app.use(cors({
   origin: function(origin, callback) {
@@ -58,8 +62,8 @@ app.use(cors({
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'X-Requested-With']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'X-Requested-With', 'Idempotency-Key', 'X-Driver-Pin']
 }));
 
 // If a request is blocked by CORS above, respond with a clean 403 instead of
@@ -118,6 +122,7 @@ try {
 console.log('Twilio client status:', twilioClient ? 'Ready' : 'Not configured');
 
 const nodemailer = require('nodemailer');
+const PDFDocument = require('pdfkit');
 
 let mailTransporter = null;
 try {
@@ -145,6 +150,16 @@ const DAILY_REPORT_RECIPIENT = 'petersapprojects@gmail.com';
 // PRODUCT MANAGEMENT ENDPOINTS
 // ============================================
 
+// Adds reserved vs available stock so the app doesn't offer units that are
+// currently held by someone else's checkout.
+function withStockAvailability(product) {
+    return {
+        ...product,
+        reserved_stock: product.reserved_stock || 0,
+        available_stock: getAvailableStock(product)
+    };
+}
+
 // Get all products
 app.get('/api/products', async (req, res) => {
     const requestId = `products_${Date.now()}`;
@@ -162,10 +177,10 @@ app.get('/api/products', async (req, res) => {
 
         let products = [];
         snapshot.forEach(doc => {
-            products.push({
+            products.push(withStockAvailability({
                 id: doc.id,
                 ...doc.data()
-            });
+            }));
         });
 
         if (req.query.search) {
@@ -208,10 +223,10 @@ app.get('/api/products/:id', async (req, res) => {
         
         res.json({
             success: true,
-            product: {
+            product: withStockAvailability({
                 id: productDoc.id,
                 ...productDoc.data()
-            }
+            })
         });
     } catch (error) {
         res.status(500).json({
@@ -287,6 +302,7 @@ app.put('/api/products/:id', async (req, res) => {
         
         delete updates.id;
         delete updates.created_at;
+        delete updates.reserved_stock; // Only the reservation code may change this
         
         await productRef.update(updates);
         
@@ -341,6 +357,75 @@ app.delete('/api/products/:id', async (req, res) => {
 // WHATSAPP NOTIFICATIONS
 // ============================================
 
+// Normalises a local (0..), 27.. or +27.. number to +27XXXXXXXXX. The
+// result still needs validating — this only fixes up the prefix.
+function formatSouthAfricanPhone(phoneNumber) {
+    let formattedPhone = phoneNumber.replace(/[\s\-()]/g, '');
+
+    if (formattedPhone.startsWith('0')) {
+        formattedPhone = '+27' + formattedPhone.substring(1);
+    } else if (formattedPhone.startsWith('27')) {
+        formattedPhone = '+' + formattedPhone;
+    } else if (!formattedPhone.startsWith('+')) {
+        formattedPhone = '+27' + formattedPhone;
+    }
+
+    return formattedPhone;
+}
+
+// The same customer's phone written any way (082..., 27 82..., +2782...)
+// gives the same key, or null if it isn't a valid SA mobile number.
+function normaliseCustomerPhone(phoneNumber) {
+    if (!phoneNumber) {
+        return null;
+    }
+    const formattedPhone = formatSouthAfricanPhone(String(phoneNumber));
+    return /^\+27[0-9]{9}$/.test(formattedPhone) ? formattedPhone : null;
+}
+
+// Sends a staff-created payment link. Unlike sendWhatsAppNotification there
+// is no order yet, so delivery tracking is saved on the pending payment.
+async function sendWhatsAppPaymentLink(pendingPaymentId, customerInfo, amountCents, link, description = 'your order total is') {
+    try {
+        if (!twilioClient) {
+            return { success: false, error: 'Twilio not configured' };
+        }
+
+        const formattedPhone = formatSouthAfricanPhone(customerInfo.customer_phone || '');
+        if (!/^\+27[0-9]{9}$/.test(formattedPhone)) {
+            return { success: false, error: 'Invalid phone format: ' + formattedPhone };
+        }
+
+        const message =
+            `EezySpaza Payment Request\n\n` +
+            `Hi ${customerInfo.customer_name || 'there'}, ${description} R${(amountCents / 100).toFixed(2)}.\n\n` +
+            `Pay securely here:\n${link}\n\n` +
+            `Thank you!`;
+
+        const result = await twilioClient.messages.create({
+            from: 'whatsapp:+14155238886',
+            to: `whatsapp:${formattedPhone}`,
+            body: message
+        });
+
+        await db.collection('pending_payments').doc(pendingPaymentId).set({
+            whatsapp: {
+                message_sid: result.sid,
+                status: result.status || 'queued',
+                to: `whatsapp:${formattedPhone}`,
+                sent_at: admin.firestore.FieldValue.serverTimestamp()
+            }
+        }, { merge: true });
+
+        console.log(`✅ Payment link WhatsApp accepted by Twilio: ${result.sid}`);
+        return { success: true, messageId: result.sid, status: result.status || 'queued' };
+
+    } catch (error) {
+        console.error('❌ Payment link WhatsApp error:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
 async function sendWhatsAppNotification(orderData, status) {
     try {
         // Detailed logging for debugging
@@ -369,16 +454,7 @@ async function sendWhatsAppNotification(orderData, status) {
             return { success: false, error: 'No phone number' };
         }
 
-        // Format phone number
-        let formattedPhone = phoneNumber.replace(/[\s\-\(\)]/g, '');
-
-        if (formattedPhone.startsWith('0')) {
-            formattedPhone = '+27' + formattedPhone.substring(1);
-        } else if (formattedPhone.startsWith('27')) {
-            formattedPhone = '+' + formattedPhone;
-        } else if (!formattedPhone.startsWith('+')) {
-            formattedPhone = '+27' + formattedPhone;
-        }
+        const formattedPhone = formatSouthAfricanPhone(phoneNumber);
 
         console.log('Formatted phone:', formattedPhone);
 
@@ -406,12 +482,19 @@ async function sendWhatsAppNotification(orderData, status) {
             0
         ).toFixed(2);
 
+        // Collection orders carry their pickup code until handed over
+        const pickupLine =
+            orderData.pickup_code && status !== CUSTOMER_STATUS_MESSAGES.collected && status !== CUSTOMER_STATUS_MESSAGES.cancelled
+                ? `Pickup code: ${orderData.pickup_code} (show this at the counter)\n`
+                : '';
+
         const message =
             `EezySpaza Order Update\n\n` +
             `Order #${orderRef}\n` +
             `Status: ${status}\n` +
-            `Total: R${total}\n\n` +
-            `Thank you, ${customerName}!`;
+            `Total: R${total}\n` +
+            pickupLine +
+            `\nThank you, ${customerName}!`;
 
         console.log('Sending WhatsApp to:', whatsappNumber);
         console.log('Message:', message);
@@ -493,6 +576,7 @@ async function sendWhatsAppNotification(orderData, status) {
 
 const YOCO_CONFIG = {
     API_BASE_URL: 'https://payments.yoco.com/api',
+    CHARGES_API_URL: 'https://online.yoco.com/v1/charges/',  // Popup SDK tokens (pay-now.js)
     MIN_AMOUNT_CENTS: 500,
     MAX_AMOUNT_CENTS: 10000000,
     WEBHOOK_TIMEOUT_MS: 30000,
@@ -500,10 +584,13 @@ const YOCO_CONFIG = {
     RETRY_ATTEMPTS: 2
 };
 
-// Store PENDING order - not yet completed
+// Store PENDING order - not yet completed. A delivery_slot must come from
+// resolveDeliverySlot, as holding it needs the slot's max_orders.
 async function storePendingOrder(orderData) {
     try {
-        const customerInfo = {
+        // Yoco's metadata only carries name, email and phone, so callers
+        // pass the full customer_info (with the delivery address) alongside
+        const customerInfo = orderData.customer_info || {
             customer_name: orderData.metadata?.customer_name || 'Unknown',
             customer_email: orderData.metadata?.customer_email || '',
             customer_phone: orderData.metadata?.customer_phone || '',
@@ -511,12 +598,37 @@ async function storePendingOrder(orderData) {
             customer_city: orderData.metadata?.customer_city || ''
         };
 
-        const docRef = await db.collection('pending_payments').add({
-            ...orderData,
-            customer_info: customerInfo,
-            status: 'awaiting_payment',
-            created_at: admin.firestore.FieldValue.serverTimestamp(),
-            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        const docRef = db.collection('pending_payments').doc();
+
+        // The pending payment and its stock reservation are written in the
+        // same transaction, so a checkout can never exist without its stock
+        // being held (or vice versa).
+        await db.runTransaction(async (transaction) => {
+            const reservation = await reserveStockInTransaction(
+                transaction,
+                docRef.id,
+                orderData.items || [],
+                orderData.checkout_expires_at,
+                {
+                    deliverySlot: orderData.delivery_slot || null,
+                    voucher: orderData.voucher
+                        ? { code: orderData.voucher.code, customer_key: normaliseCustomerPhone(customerInfo.customer_phone) }
+                        : null,
+                    loyalty: orderData.loyalty?.points_redeemed > 0
+                        ? { customer_key: orderData.loyalty.customer_key, points: orderData.loyalty.points_redeemed }
+                        : null
+                }
+            );
+
+            transaction.set(docRef, {
+                ...orderData,
+                ...(orderData.delivery_slot ? { delivery_slot: summariseDeliverySlot(orderData.delivery_slot) } : {}),
+                customer_info: customerInfo,
+                reservation_id: reservation ? docRef.id : null,
+                status: 'awaiting_payment',
+                created_at: admin.firestore.FieldValue.serverTimestamp(),
+                updated_at: admin.firestore.FieldValue.serverTimestamp()
+            });
         });
 
         console.log(`Stored pending payment: ${docRef.id}`);
@@ -527,69 +639,199 @@ async function storePendingOrder(orderData) {
     }
 }
 
+// Reads everything needed to take an order's items out of stock: the
+// products and any held reservation. Must run before any writes in the
+// transaction, as Firestore requires.
+async function readOrderStockInTransaction(transaction, items, reservationId) {
+    const reservationRef = reservationId
+        ? db.collection('stock_reservations').doc(reservationId)
+        : null;
+
+    const quantities = sumQuantitiesByProduct(Array.isArray(items) ? items : []);
+    const productIds = [...quantities.keys()];
+    const productRefs = productIds.map(productId => db.collection('products').doc(productId));
+
+    const reservationDoc = reservationRef ? await transaction.get(reservationRef) : null;
+    const productDocs = productRefs.length > 0 ? await transaction.getAll(...productRefs) : [];
+
+    // If the reservation expired or was released (customer paid after
+    // cancelling, or very late), there is nothing held to hand back.
+    const reservationHeld = !!reservationDoc?.exists && reservationDoc.data().status === 'held';
+    const reservedQuantities = new Map(
+        reservationHeld
+            ? reservationDoc.data().items.map(item => [item.product_id, item.quantity])
+            : []
+    );
+    const reservedSlotId = reservationHeld ? reservationDoc.data().slot_id || null : null;
+    const reservedVoucherCode = reservationHeld ? reservationDoc.data().voucher?.code || null : null;
+    const reservedLoyalty = reservationHeld ? reservationDoc.data().loyalty || null : null;
+
+    return {
+        reservationRef, reservationHeld, reservedQuantities, reservedSlotId, reservedVoucherCode, reservedLoyalty,
+        quantities, productIds, productRefs, productDocs
+    };
+}
+
+// Second half of readOrderStockInTransaction: decrements stock for every
+// tracked product, releasing any held reservation at the same time. A line
+// that takes stock below zero means we sold something we don't have: stock
+// is floored at 0 and the line is returned so it can be recorded in the
+// order's oversold_items for staff to follow up. Pass the order's
+// delivery_slot to book it; a slot whose hold lapsed is booked anyway,
+// because the customer has already paid for it.
+function writeOrderStockInTransaction(transaction, stock, orderId, deliverySlot = null) {
+    const oversoldItems = [];
+
+    stock.productDocs.forEach((productDoc, index) => {
+        if (!productDoc.exists) return;
+
+        const productId = stock.productIds[index];
+        const product = productDoc.data();
+        const quantity = stock.quantities.get(productId);
+        const reserved = stock.reservedQuantities.get(productId) || 0;
+
+        const update = { updated_at: admin.firestore.FieldValue.serverTimestamp() };
+
+        if (reserved > 0) {
+            update.reserved_stock = admin.firestore.FieldValue.increment(-reserved);
+        }
+
+        // Products without a stock count aren't tracked
+        if (typeof product.stock === 'number') {
+            const newStock = product.stock - quantity;
+            update.stock = Math.max(0, newStock);
+
+            if (newStock < 0) {
+                oversoldItems.push({
+                    product_id: productId,
+                    name: product.name || '',
+                    ordered_quantity: quantity,
+                    stock_before: product.stock,
+                    shortfall: -newStock
+                });
+            }
+        }
+
+        transaction.update(stock.productRefs[index], update);
+    });
+
+    if (stock.reservedSlotId) {
+        writeDeliverySlotCountsInTransaction(transaction, { id: stock.reservedSlotId }, { reserved: -1 });
+    }
+    // The held use becomes a redemption (recordVoucherRedemptionInTransaction)
+    if (stock.reservedVoucherCode) {
+        writeVoucherHoldInTransaction(transaction, stock.reservedVoucherCode, -1);
+    }
+    // Likewise the held points, which recordOrderLoyaltyInTransaction then
+    // redeems; if the hold lapsed the points are simply redeemed
+    if (stock.reservedLoyalty) {
+        writeLoyaltyHoldInTransaction(
+            transaction, stock.reservedLoyalty, stock.reservationRef.id, stock.reservedLoyalty.points, 'redeem_hold_converted'
+        );
+    }
+    if (deliverySlot) {
+        writeDeliverySlotCountsInTransaction(transaction, deliverySlot, { booked: 1 });
+    }
+
+    if (stock.reservationHeld) {
+        transaction.update(stock.reservationRef, {
+            status: 'converted',
+            order_id: orderId,
+            converted_at: admin.firestore.FieldValue.serverTimestamp(),
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+    }
+
+    return oversoldItems;
+}
+
+// Runs inside createCompletedOrder's transaction. Writes the order and
+// takes its items out of stock (see writeOrderStockInTransaction).
+async function commitOrderAndStockInTransaction(transaction, orderData, reservationId) {
+    const orderRef = db.collection('orders').doc(orderData.id);
+
+    // All reads first, as Firestore transactions require
+    const existingOrder = await transaction.get(orderRef);
+    if (existingOrder.exists) {
+        return { created: false, oversoldItems: [] };
+    }
+
+    const stock = await readOrderStockInTransaction(transaction, orderData.items, reservationId);
+    const oversoldItems = writeOrderStockInTransaction(transaction, stock, orderData.id, orderData.delivery_slot);
+
+    transaction.set(orderRef, {
+        ...orderData,
+        delivery_slot_booked: !!orderData.delivery_slot,
+        oversold: oversoldItems.length > 0,
+        oversold_items: oversoldItems
+    });
+
+    return { created: true, oversoldItems };
+}
+
 // NEW: Create actual order AFTER payment success
 async function createCompletedOrder(pendingOrderData, paymentDetails) {
     try {
         const orderData = {
             ...pendingOrderData,
             payment_details: paymentDetails,
-            status: 'completed',
+            status: 'paid',
+            status_history: [{
+                status: 'paid',
+                at: admin.firestore.Timestamp.now(),
+                by: 'system'
+            }],
             payment_completed_at: admin.firestore.FieldValue.serverTimestamp(),
             created_at: admin.firestore.FieldValue.serverTimestamp(),
             updated_at: admin.firestore.FieldValue.serverTimestamp()
         };
 
-        // Use checkout ID as the permanent order document ID.
+        // Use checkout ID (or the charge ID, for popup payments that never
+        // had a checkout) as the permanent order document ID.
         // This gives us built-in duplicate protection.
-        const orderId = `yoco_${pendingOrderData.yoco_checkout_id}`;
+        const orderId = pendingOrderData.yoco_checkout_id
+            ? `yoco_${pendingOrderData.yoco_checkout_id}`
+            : `yoco_charge_${pendingOrderData.yoco_charge_id}`;
 
-        // pendingOrderData carries a stray unprefixed "id" field (the raw
-        // Yoco checkout id, set back in /create-checkout) that would
+        // pendingOrderData carries an unprefixed "id" field (the
+        // pending_payments document id) that would
         // otherwise silently override this via the spread above. Force it
         // to the real order document id so downstream code (WhatsApp
         // tracking writes in particular) points at the right document.
         orderData.id = orderId;
+        orderData.loyalty = await buildOrderLoyalty(orderData);
+        if (isCollectionOrder(orderData)) {
+            orderData.pickup_code = generatePickupCode();
+        }
 
-        // Check whether this order already exists
-        const existingOrder = await db.collection('orders').doc(orderId).get();
+        // Order creation, reservation conversion and the stock decrement all
+        // happen in one transaction: concurrent orders for the same product
+        // are serialised by Firestore, and a retry of this function can never
+        // decrement stock twice for the same order.
+        const { created, oversoldItems } = await db.runTransaction(async (transaction) => {
+            const result = await commitOrderAndStockInTransaction(transaction, orderData, pendingOrderData.reservation_id);
+            if (result.created && orderData.voucher) {
+                recordVoucherRedemptionInTransaction(transaction, orderData);
+            }
+            if (result.created && orderData.loyalty) {
+                recordOrderLoyaltyInTransaction(transaction, orderData);
+            }
+            return result;
+        });
 
-        if (existingOrder.exists) {
+        if (!created) {
             console.log(`Duplicate payment prevented — order already exists: ${orderId}`);
             return orderId;
         }
 
-        // Create the completed order
-        await db.collection('orders').doc(orderId).set(orderData);
-
         console.log(`New completed order created: ${orderId}`);
 
-        // Update product stock
-        if (orderData.items && Array.isArray(orderData.items)) {
-            const batch = db.batch();
-
-            for (const item of orderData.items) {
-                if (item.id) {
-                    const productRef = db.collection('products').doc(item.id);
-                    const productDoc = await productRef.get();
-
-                    if (productDoc.exists) {
-                        const currentStock = productDoc.data().stock || 0;
-                        const newStock = currentStock - (item.quantity || 1);
-
-                        batch.update(productRef, {
-                            stock: Math.max(0, newStock),
-                            updated_at: admin.firestore.FieldValue.serverTimestamp()
-                        });
-                    }
-                }
-            }
-
-            await batch.commit();
-            console.log('Product stock updated');
+        if (oversoldItems.length > 0) {
+            console.warn(`⚠️ Order ${orderId} oversold ${oversoldItems.length} line(s):`, oversoldItems);
         }
 
         // Send WhatsApp notification
-        await sendWhatsAppNotification(orderData, 'completed');
+        await sendWhatsAppNotification(orderData, CUSTOMER_STATUS_MESSAGES.paid);
 
         console.log(`Created completed order: ${orderId}`);
 
@@ -613,10 +855,13 @@ async function getPendingOrderByCheckoutId(checkoutId) {
             return null;
         }
         
+        // The stored data carries its own "id" (the Yoco checkout id), so
+        // spread it first and let the real document id win — callers use
+        // this id to update and delete the pending payment document.
         const doc = snapshot.docs[0];
         return {
-            id: doc.id,
-            ...doc.data()
+            ...doc.data(),
+            id: doc.id
         };
     } catch (error) {
         console.error('Error fetching pending order:', error);
@@ -627,40 +872,24 @@ async function getPendingOrderByCheckoutId(checkoutId) {
 // Verify payment with Yoco API
 async function verifyYocoPayment(checkoutId, paymentId) {
     try {
-        const apiKey = process.env.YOCO_SECRET_KEY;
-        
         // Try to get checkout details
-        const checkoutResponse = await fetch(`${YOCO_CONFIG.API_BASE_URL}/checkouts/${checkoutId}`, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${apiKey}`,
-                'Content-Type': 'application/json'
-            }
-        });
-        
-        if (checkoutResponse.ok) {
-            const checkoutData = await checkoutResponse.json();
-            console.log('Checkout verification:', checkoutData);
-            return checkoutData;
+        const checkout = await paymentProvider.getCheckout(checkoutId);
+
+        if (checkout.ok) {
+            console.log('Checkout verification:', checkout.data);
+            return checkout.data;
         }
-        
+
         // If we have a paymentId, try to get payment details
         if (paymentId) {
-            const paymentResponse = await fetch(`${YOCO_CONFIG.API_BASE_URL}/payments/${paymentId}`, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-            
-            if (paymentResponse.ok) {
-                const paymentData = await paymentResponse.json();
-                console.log('Payment verification:', paymentData);
-                return paymentData;
+            const payment = await paymentProvider.getPayment(paymentId);
+
+            if (payment.ok) {
+                console.log('Payment verification:', payment.data);
+                return payment.data;
             }
         }
-        
+
         return null;
     } catch (error) {
         console.error('Error verifying payment:', error);
@@ -679,876 +908,8616 @@ function validateCheckoutInput(body) {
     if (isNaN(amountFloat) || amountFloat <= 0) {
         errors.push('Amount must be a positive number');
     }
+    if (!Array.isArray(body.line_items) || body.line_items.length === 0) {
+        errors.push('line_items must be a non-empty array');
+    } else {
+        body.line_items.forEach((item, index) => {
+            const quantity = Number(item?.quantity);
+            if (!item?.id) {
+                errors.push(`line_items[${index}] is missing a product id`);
+            }
+            if (!Number.isInteger(quantity) || quantity <= 0) {
+                errors.push(`line_items[${index}] quantity must be a positive whole number`);
+            }
+        });
+    }
+    if (body.fulfilment_type !== undefined && !FULFILMENT_TYPES.includes(body.fulfilment_type)) {
+        errors.push(`fulfilment_type must be one of: ${FULFILMENT_TYPES.join(', ')}`);
+    }
+    if (body.fulfilment_type === 'collect' && body.delivery_slot_id) {
+        errors.push('delivery_slot_id is only for delivery orders');
+    }
     return { isValid: errors.length === 0, errors, amountFloat };
 }
 
-async function makeYocoRequest(url, options = {}) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), YOCO_CONFIG.API_TIMEOUT_MS);
-    try {
-        const response = await fetch(url, { ...options, signal: controller.signal });
-        clearTimeout(timeoutId);
-        return response;
-    } catch (error) {
-        clearTimeout(timeoutId);
-        if (error.name === 'AbortError') {
-            throw new Error('Request timed out');
+// ============================================
+// ORDER PRICING (server is the price authority)
+// ============================================
+
+const PRICING_CONFIG = {
+    VAT_RATE: 0.15,             // Must match VAT_RATE in trolley.js
+    TOTAL_TOLERANCE_CENTS: 1    // Allow for client-side float rounding
+};
+
+// Rebuild an order from the client's line_items using the live products
+// collection. Client prices are only used to detect that the customer saw
+// a stale price — they never decide what gets charged.
+//
+// Returns { isValid, changedItems, items, breakdown }. changedItems lists
+// every line that no longer matches what the customer was shown, with a
+// reason of 'not_found', 'unavailable', 'insufficient_stock' or
+// 'price_changed'.
+async function priceOrderFromCatalogue(lineItems) {
+    const productIds = [...new Set(lineItems.map(item => String(item.id)))];
+    const productDocs = await db.getAll(
+        ...productIds.map(productId => db.collection('products').doc(productId))
+    );
+
+    const products = new Map();
+    productDocs.forEach((productDoc, index) => {
+        if (productDoc.exists) {
+            products.set(productIds[index], productDoc.data());
         }
-        throw error;
-    }
+    });
+
+    return priceOrderFromProducts(lineItems, products);
 }
 
-// Shared handler: given a Yoco checkoutId, look up the pending order and
-// create the completed order + fire notifications. Used by both the
-// browser redirect handler (/yoco-payment-success) and the webhook
-// (/yoco-webhook), so whichever one arrives first "wins" — the other will
-// simply find no pending order left (already deleted) and skip safely.
-async function completeOrderFromCheckoutId(checkoutId, paymentDetails, sourceLabel) {
-    const pendingOrder = await getPendingOrderByCheckoutId(checkoutId);
+// The pricing behind priceOrderFromCatalogue. products maps product id to
+// the product's data; a missing id is a product that doesn't exist.
+function priceOrderFromProducts(lineItems, products) {
+    // Merge duplicate lines so stock is checked against the full quantity
+    const quantities = new Map();
+    const clientPrices = new Map();
+
+    lineItems.forEach(item => {
+        const productId = String(item.id);
+        quantities.set(productId, (quantities.get(productId) || 0) + Number(item.quantity));
+
+        // amount is the unit price in cents (same convention as the
+        // stored items), price is the unit price in rands.
+        const clientPriceCents = item.amount !== undefined
+            ? Math.round(Number(item.amount))
+            : (item.price !== undefined ? Math.round(parseFloat(item.price) * 100) : null);
+
+        if (clientPriceCents !== null && !isNaN(clientPriceCents)) {
+            clientPrices.set(productId, clientPriceCents);
+        }
+    });
 
-    if (!pendingOrder) {
-        console.log(`[${sourceLabel}] No pending order found for checkout ${checkoutId} — likely already completed by another path, or never existed. Skipping.`);
-        return null;
-    }
+    const changedItems = [];
+    const items = [];
+    let subtotalCents = 0;
 
-    const orderId = await createCompletedOrder(pendingOrder, paymentDetails);
-    console.log(`[${sourceLabel}] ✅ Order created: ${orderId}`);
+    quantities.forEach((quantity, productId) => {
+        const product = products.get(productId);
 
-    await db.collection('pending_payments').doc(pendingOrder.id).delete();
-    console.log(`[${sourceLabel}] Pending payment cleaned up`);
+        if (!product) {
+            changedItems.push({ id: productId, reason: 'not_found' });
+            return;
+        }
 
-    return orderId;
-}
+        const unitPriceCents = Math.round((Number(product.price) || 0) * 100);
 
-// South Africa Standard Time is a constant UTC+2 offset (no DST),
-// so we can compute day boundaries with a fixed offset string.
-function getSASTDayRange(dateStr) {
-    const start = new Date(`${dateStr}T00:00:00+02:00`);
-    const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
-    return { start, end };
-}
+        if (product.active !== true || unitPriceCents <= 0) {
+            changedItems.push({ id: productId, name: product.name, reason: 'unavailable' });
+            return;
+        }
 
-// Returns today's date as YYYY-MM-DD, in SAST.
-function todaySAST() {
-    const sastNow = new Date(Date.now() + 2 * 60 * 60 * 1000);
-    return sastNow.toISOString().slice(0, 10);
-}
+        const availableStock = getAvailableStock(product);
+        if (availableStock !== null && availableStock < quantity) {
+            changedItems.push({
+                id: productId,
+                name: product.name,
+                reason: 'insufficient_stock',
+                requested_quantity: quantity,
+                available_stock: availableStock
+            });
+            return;
+        }
 
-// Returns yesterday's date as YYYY-MM-DD, in SAST.
-function yesterdaySAST() {
-    const sastNow = new Date(Date.now() + 2 * 60 * 60 * 1000);
-    const y = new Date(sastNow.getTime() - 24 * 60 * 60 * 1000);
-    return y.toISOString().slice(0, 10);
-}
+        const clientPriceCents = clientPrices.get(productId);
+        if (clientPriceCents !== undefined && clientPriceCents !== unitPriceCents) {
+            changedItems.push({
+                id: productId,
+                name: product.name,
+                reason: 'price_changed',
+                expected_price: clientPriceCents / 100,
+                current_price: unitPriceCents / 100
+            });
+        }
 
-async function getOrdersForDate(dateStr) {
-    const { start, end } = getSASTDayRange(dateStr);
+        const lineTotalCents = unitPriceCents * quantity;
+        subtotalCents += lineTotalCents;
+
+        items.push({
+            id: productId,
+            name: product.name,
+            category: product.category || 'Uncategorized',
+            quantity,
+            amount: unitPriceCents,
+            price: unitPriceCents / 100,
+            line_total_cents: lineTotalCents
+        });
+    });
 
-    const snapshot = await db.collection('orders')
-        .where('created_at', '>=', admin.firestore.Timestamp.fromDate(start))
-        .where('created_at', '<', admin.firestore.Timestamp.fromDate(end))
-        .orderBy('created_at', 'desc')
-        .get();
+    const vatCents = Math.round(subtotalCents * PRICING_CONFIG.VAT_RATE);
+    const totalCents = subtotalCents + vatCents;
 
-    const orders = [];
-    snapshot.forEach(doc => orders.push({ id: doc.id, ...doc.data() }));
-    return orders;
+    return {
+        isValid: changedItems.length === 0,
+        changedItems,
+        items,
+        breakdown: {
+            subtotal_cents: subtotalCents,
+            vat_cents: vatCents,
+            vat_rate: PRICING_CONFIG.VAT_RATE,
+            total_cents: totalCents
+        }
+    };
 }
 
-function buildDailySummary(date, orders) {
-    const byStatus = {};
-    let totalRevenue = 0;
-    let completedRevenue = 0;
-
-    orders.forEach(order => {
-        const status = order.status || 'unknown';
-        byStatus[status] = (byStatus[status] || 0) + 1;
+// Takes amountCents (VAT inclusive) off a priced order. The discount is
+// spread over the allocateTo lines in proportion to their value and kept
+// on each item as discount_cents, so a partial refund gives back what the
+// customer actually paid for the line (see calculateRefund). An empty
+// allocateTo (free delivery) discounts no lines. VAT is recalculated on the
+// discounted total. Returns a new pricing result.
+function applyDiscountToPricing(pricing, { source, code, amountCents, allocateTo }) {
+    const breakdown = pricing.breakdown;
+    const eligible = pricing.items.filter(item => allocateTo.includes(item.id));
+    const eligibleCents = eligible.reduce((sum, item) => sum + item.line_total_cents, 0);
+
+    const shares = new Map();
+    let allocated = 0;
+    eligible.forEach((item, index) => {
+        const share = index === eligible.length - 1
+            ? amountCents - allocated
+            : Math.floor(amountCents * item.line_total_cents / eligibleCents);
+        shares.set(item.id, share);
+        allocated += share;
+    });
 
-        const amount = order.amount_display ??
-            ((order.amount_cents || order.amount || 0) / 100);
+    const items = pricing.items.map(item => shares.has(item.id)
+        ? { ...item, discount_cents: (item.discount_cents || 0) + shares.get(item.id) }
+        : item);
 
-        totalRevenue += amount;
+    const discountCents = (breakdown.discount_cents || 0) + amountCents;
+    const totalCents = breakdown.total_cents + (breakdown.discount_cents || 0) - discountCents;
 
-        if (status === 'completed' || status === 'delivered') {
-            completedRevenue += amount;
+    return {
+        ...pricing,
+        items,
+        breakdown: {
+            ...breakdown,
+            discounts: [
+                ...(breakdown.discounts || []),
+                { source, code, amount_cents: amountCents, allocate_to: allocateTo }
+            ],
+            discount_cents: discountCents,
+            vat_cents: Math.round(totalCents * breakdown.vat_rate / (1 + breakdown.vat_rate)),
+            total_cents: totalCents
         }
-    });
+    };
+}
+
+// ============================================
+// DELIVERY ZONES
+// ============================================
+//
+// delivery_zones/{id}:
+//   name             shown to the customer, e.g. 'Soweto'
+//   postal_codes     matched exactly against customer_postal_code
+//   suburbs          matched case-insensitively against customer_city
+//   fee_cents        flat delivery fee, VAT inclusive
+//   free_over_cents  goods total (VAT inclusive) that earns free delivery;
+//                    null never waives the fee
+//   serviceable      false marks an area we don't deliver to
+//   active
+//
+// A postal code match beats a suburb match, and within either an
+// unserviceable zone wins. With no active zones at all, delivery is free
+// everywhere, as it was before zones existed. The fee is priced in before
+// any discount, so a free_delivery voucher can take it off again.
 
+// Reads the delivery address fields used for zone matching
+function deliveryAddressFrom(source) {
     return {
-        date,
-        totalOrders: orders.length,
-        byStatus,
-        totalRevenue: Number(totalRevenue.toFixed(2)),
-        completedRevenue: Number(completedRevenue.toFixed(2)),
-        generatedAt: new Date().toISOString()
+        postalCode: String(source?.customer_postal_code || '').trim(),
+        suburb: String(source?.customer_city || '').trim()
     };
 }
 
-async function archiveDailyReport(date, summary, orders) {
-    // Slim order list — enough detail to review later without
-    // bloating the archived document.
-    const orderSnapshot = orders.map(order => ({
-        id: order.id,
-        customer: order.customer_info?.customer_name ||
-            order.metadata?.customer_name || 'Unknown',
-        total: order.amount_display ??
-            ((order.amount_cents || order.amount || 0) / 100),
-        status: order.status || 'unknown'
-    }));
+function deliveryRejection(reason, message) {
+    return { isValid: false, reason, message };
+}
 
-    await db.collection('dailyReports').doc(date).set({
-        ...summary,
-        orders: orderSnapshot
-    });
+// Finds the delivery fee for an address. goodsCents is the order total
+// before delivery and discounts. Returns { isValid, zone, feeCents, waived }
+// or { isValid: false, reason, message }.
+async function quoteDelivery({ postalCode, suburb }, goodsCents) {
+    const snapshot = await db.collection('delivery_zones')
+        .where('active', '==', true)
+        .get();
 
-    console.log(`[daily-report] Archived ${date} to Firestore (dailyReports/${date})`);
+    if (snapshot.empty) {
+        return { isValid: true, zone: null, feeCents: 0, waived: false };
+    }
+
+    return matchDeliveryZone(
+        snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+        { postalCode, suburb },
+        goodsCents
+    );
 }
 
-async function sendDailyReportEmail(summary) {
-    if (!mailTransporter) {
-        console.warn('[daily-report] Email not configured — skipping send');
-        return;
+// The zone matching behind quoteDelivery, over the active zones
+function matchDeliveryZone(zones, { postalCode, suburb }, goodsCents) {
+    if (!postalCode && !suburb) {
+        return deliveryRejection('address_required', 'Enter your postal code or suburb to see the delivery fee');
     }
 
-    const statusRows = Object.entries(summary.byStatus)
-        .map(([status, count]) => `<tr><td>${status}</td><td>${count}</td></tr>`)
-        .join('');
+    const bySpecificity = [
+        zones.filter(zone => postalCode && (zone.postal_codes || []).includes(postalCode)),
+        zones.filter(zone => suburb && (zone.suburbs || []).some(name => name.toLowerCase() === suburb.toLowerCase()))
+    ];
+    const matches = bySpecificity.find(candidates => candidates.length > 0) || [];
 
-    const html = `
-        <div style="font-family: Arial, sans-serif; max-width: 500px;">
-            <h2>EezySpaza Daily Report — ${summary.date}</h2>
-            <p><strong>Total Orders:</strong> ${summary.totalOrders}</p>
+    if (matches.length === 0) {
+        return deliveryRejection('outside_area', `Sorry, we don't deliver to ${postalCode || suburb} yet`);
+    }
+
+    const unserviceable = matches.find(zone => zone.serviceable === false);
+    if (unserviceable) {
+        return deliveryRejection('unserviceable', `Sorry, we don't deliver to ${unserviceable.name}`);
+    }
+
+    const zone = matches[0];
+    const waived = zone.free_over_cents != null && goodsCents >= zone.free_over_cents;
+
+    return {
+        isValid: true,
+        zone,
+        feeCents: waived ? 0 : (zone.fee_cents || 0),
+        waived
+    };
+}
+
+// The delivery summary stored on the pending payment and order
+function summariseDeliveryQuote(quote, address) {
+    return {
+        zone_id: quote.zone?.id || null,
+        zone_name: quote.zone?.name || null,
+        postal_code: address.postalCode,
+        suburb: address.suburb,
+        fee_cents: quote.feeCents,
+        free_over_cents: quote.zone?.free_over_cents ?? null,
+        waived: quote.waived
+    };
+}
+
+// Adds the delivery fee to a priced order as its own line in the
+// breakdown. The fee is VAT inclusive, so only its VAT is added to
+// vat_cents. Returns a new pricing result.
+function applyDeliveryToPricing(pricing, delivery) {
+    const breakdown = pricing.breakdown;
+    const feeCents = delivery.fee_cents || 0;
+
+    return {
+        ...pricing,
+        breakdown: {
+            ...breakdown,
+            delivery_cents: feeCents,
+            vat_cents: breakdown.vat_cents + Math.round(feeCents * breakdown.vat_rate / (1 + breakdown.vat_rate)),
+            total_cents: breakdown.total_cents + feeCents
+        }
+    };
+}
+
+// Quotes delivery to the address in metadata and prices it into the
+// order. Returns { pricing, delivery } or { rejection }.
+async function priceDelivery(pricing, metadata) {
+    const address = deliveryAddressFrom(metadata);
+    const quote = await quoteDelivery(address, pricing.breakdown.total_cents);
+
+    if (!quote.isValid) {
+        return { rejection: quote };
+    }
+
+    const delivery = summariseDeliveryQuote(quote, address);
+    return { pricing: applyDeliveryToPricing(pricing, delivery), delivery };
+}
+
+// What the Yoco hosted checkout page lists. Prices are VAT inclusive, as
+// the customer sees them. There's no discount line to send, so once a
+// voucher or points take something off no lines are sent at all (the page
+// then shows just the amount charged) rather than lines that add up to
+// more than the customer pays.
+function buildYocoLineItems(pricing) {
+    if (pricing.breakdown.discount_cents > 0) {
+        return null;
+    }
+
+    const lineItems = pricing.items.map(item => ({
+        displayName: item.name,
+        quantity: item.quantity,
+        pricingDetails: { price: Math.round(item.amount * (1 + pricing.breakdown.vat_rate)) }
+    }));
+
+    if (pricing.breakdown.delivery_cents > 0) {
+        lineItems.push({
+            displayName: 'Delivery',
+            quantity: 1,
+            pricingDetails: { price: pricing.breakdown.delivery_cents }
+        });
+    }
+
+    return lineItems;
+}
+
+// ============================================
+// VOUCHERS
+// ============================================
+//
+// vouchers/{CODE} — the document id is the upper-case code:
+//   type                          'percent' | 'fixed' | 'free_delivery'
+//   percent_off                   percent vouchers, e.g. 10
+//   amount_off_cents              fixed vouchers, VAT inclusive
+//   category                      optional: only lines in this category
+//                                 count towards min spend and are discounted
+//   min_spend_cents               optional, VAT inclusive
+//   max_redemptions               optional, in total
+//   max_redemptions_per_customer  optional, by phone number
+//   valid_from / valid_until      optional Timestamps
+//   active                        must be true to redeem
+//   redemption_count              kept up to date on redemption
+//   reserved_count                checkouts currently holding a use
+//
+// Vouchers are checked at checkout and held with the order's stock
+// reservation (see STOCK RESERVATIONS), so the last redemption can't be
+// handed to two checkouts at once. The hold is released with the stock
+// when the checkout is cancelled, fails or expires, and turned into a
+// redemption (voucher_redemptions/{orderId}) when the order is paid.
+
+const VOUCHER_TYPES = ['percent', 'fixed', 'free_delivery'];
+
+function normaliseVoucherCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+function voucherRejection(reason, message) {
+    return { isValid: false, reason, message };
+}
+
+// Works out what a voucher is worth on a priced order. Returns
+// { isValid: true, voucher, amountCents, allocateTo, freeDelivery } or
+// { isValid: false, reason, message }.
+async function evaluateVoucher(code, pricing, customerPhone) {
+    const voucherCode = normaliseVoucherCode(code);
+    const voucherDoc = voucherCode ? await db.collection('vouchers').doc(voucherCode).get() : null;
+
+    if (!voucherDoc?.exists) {
+        return voucherRejection('not_found', 'Voucher code not recognised');
+    }
+
+    const voucher = { code: voucherDoc.id, ...voucherDoc.data() };
+    const unavailable = checkVoucherAvailability(voucher, Date.now());
+    if (unavailable) {
+        return unavailable;
+    }
+
+    if (voucher.max_redemptions_per_customer) {
+        const customerKey = normaliseCustomerPhone(customerPhone);
+        if (!customerKey) {
+            return voucherRejection('phone_required', 'A phone number is needed to use this voucher');
+        }
+
+        const [redeemed, held] = await Promise.all(
+            customerVoucherUseQueries(voucher.code, customerKey).map(query => query.count().get())
+        );
+
+        if (redeemed.data().count + held.data().count >= voucher.max_redemptions_per_customer) {
+            return voucherRejection('customer_limit', 'You have already used this voucher');
+        }
+    }
+
+    return priceVoucher(voucher, pricing);
+}
+
+// Returns a rejection if the voucher can't be used at all right now, or
+// null if it can.
+function checkVoucherAvailability(voucher, now) {
+    if (voucher.active !== true) {
+        return voucherRejection('inactive', 'This voucher is no longer available');
+    }
+    if (voucher.valid_from && voucher.valid_from.toMillis() > now) {
+        return voucherRejection('not_started', 'This voucher is not valid yet');
+    }
+    if (voucher.valid_until && voucher.valid_until.toMillis() < now) {
+        return voucherRejection('expired', 'This voucher has expired');
+    }
+    if (isVoucherUsedUp(voucher)) {
+        return voucherRejection('usage_limit', 'This voucher has been fully redeemed');
+    }
+    return null;
+}
+
+// What a usable voucher is worth on a priced order, as evaluateVoucher
+// returns it.
+function priceVoucher(voucher, pricing) {
+    const vatRate = pricing.breakdown.vat_rate;
+    const eligibleItems = voucher.category
+        ? pricing.items.filter(item => item.category === voucher.category)
+        : pricing.items;
+    const eligibleCents = eligibleItems.reduce(
+        (sum, item) => sum + Math.round(item.line_total_cents * (1 + vatRate)) - (item.discount_cents || 0),
+        0
+    );
+
+    if (eligibleItems.length === 0) {
+        return voucherRejection('no_eligible_items', `This voucher only applies to ${voucher.category}`);
+    }
+    if (voucher.min_spend_cents && eligibleCents < voucher.min_spend_cents) {
+        return voucherRejection(
+            'min_spend',
+            `Spend at least R${(voucher.min_spend_cents / 100).toFixed(2)}${voucher.category ? ` on ${voucher.category}` : ''} to use this voucher`
+        );
+    }
+
+    if (voucher.type === 'free_delivery') {
+        if (!pricing.breakdown.delivery_cents) {
+            return voucherRejection('no_delivery_fee', 'This order already has free delivery');
+        }
+        return {
+            isValid: true,
+            voucher,
+            amountCents: pricing.breakdown.delivery_cents || 0,
+            allocateTo: [],
+            freeDelivery: true
+        };
+    }
+
+    const amountCents = voucher.type === 'percent'
+        ? Math.round(eligibleCents * (Number(voucher.percent_off) || 0) / 100)
+        : Math.min(Number(voucher.amount_off_cents) || 0, eligibleCents);
+
+    return {
+        isValid: true,
+        voucher,
+        amountCents,
+        allocateTo: eligibleItems.map(item => item.id),
+        freeDelivery: false
+    };
+}
+
+// Paid redemptions and checkouts holding one both count towards the limit
+function isVoucherUsedUp(voucher) {
+    return !!voucher.max_redemptions &&
+        (voucher.redemption_count || 0) + (voucher.reserved_count || 0) >= voucher.max_redemptions;
+}
+
+// A customer's paid redemptions of a voucher, and their checkouts holding it
+function customerVoucherUseQueries(code, customerKey) {
+    return [
+        db.collection('voucher_redemptions')
+            .where('code', '==', code)
+            .where('customer_key', '==', customerKey),
+        db.collection('stock_reservations')
+            .where('voucher.code', '==', code)
+            .where('voucher.customer_key', '==', customerKey)
+            .where('status', '==', 'held')
+    ];
+}
+
+// Checks, inside reserveStockInTransaction, that the voucher still has a
+// use left for this checkout. Must run before the transaction's writes.
+// Throws an error with code 'VOUCHER_UNAVAILABLE' (and evaluateVoucher's
+// reason) if another checkout took the last one since it was evaluated.
+async function readVoucherHoldInTransaction(transaction, hold) {
+    const voucherDoc = await transaction.get(db.collection('vouchers').doc(hold.code));
+    let rejection = null;
+
+    if (!voucherDoc.exists) {
+        rejection = voucherRejection('not_found', 'Voucher code not recognised');
+    } else if (isVoucherUsedUp(voucherDoc.data())) {
+        rejection = voucherRejection('usage_limit', 'This voucher has been fully redeemed');
+    } else if (voucherDoc.data().max_redemptions_per_customer && hold.customer_key) {
+        let uses = 0;
+        for (const query of customerVoucherUseQueries(hold.code, hold.customer_key)) {
+            uses += (await transaction.get(query)).size;
+        }
+        if (uses >= voucherDoc.data().max_redemptions_per_customer) {
+            rejection = voucherRejection('customer_limit', 'You have already used this voucher');
+        }
+    }
+
+    if (rejection) {
+        const error = new Error(rejection.message);
+        error.code = 'VOUCHER_UNAVAILABLE';
+        error.reason = rejection.reason;
+        throw error;
+    }
+}
+
+// Holds (1) or releases (-1) one use of a voucher for a checkout
+function writeVoucherHoldInTransaction(transaction, code, delta) {
+    transaction.update(db.collection('vouchers').doc(code), {
+        reserved_count: admin.firestore.FieldValue.increment(delta),
+        updated_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+// Prices the voucher into the order. Returns { pricing, voucher } where
+// voucher is the summary stored on the pending payment and order.
+function applyVoucherToPricing(pricing, evaluation) {
+    const { voucher, amountCents, allocateTo, freeDelivery } = evaluation;
+
+    return {
+        pricing: applyDiscountToPricing(pricing, {
+            source: 'voucher',
+            code: voucher.code,
+            amountCents,
+            allocateTo
+        }),
+        voucher: {
+            code: voucher.code,
+            type: voucher.type,
+            category: voucher.category || null,
+            discount_cents: amountCents,
+            free_delivery: freeDelivery
+        }
+    };
+}
+
+// Runs inside createCompletedOrder's transaction once the order is
+// written, so a voucher is only counted once per order.
+function recordVoucherRedemptionInTransaction(transaction, orderData) {
+    const customerPhone = orderData.customer_info?.customer_phone || orderData.metadata?.customer_phone;
+
+    transaction.set(db.collection('voucher_redemptions').doc(orderData.id), {
+        code: orderData.voucher.code,
+        order_id: orderData.id,
+        order_reference: orderData.order_reference || '',
+        customer_key: normaliseCustomerPhone(customerPhone),
+        discount_cents: orderData.voucher.discount_cents,
+        redeemed_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    transaction.update(db.collection('vouchers').doc(orderData.voucher.code), {
+        redemption_count: admin.firestore.FieldValue.increment(1),
+        updated_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+// ============================================
+// LOYALTY POINTS
+// ============================================
+//
+// Customers are identified by normalised phone number
+// (normaliseCustomerPhone). loyalty_accounts/{phone} holds the running
+// balance and loyalty_ledger one entry per change, so a balance can always
+// be explained. Points a checkout redeems are held out of the balance with
+// its stock reservation (see STOCK RESERVATIONS) and given back if it's
+// cancelled, fails or expires. Points are earned, and the held points
+// become a redemption, when createCompletedOrder writes the order, in the
+// same transaction.
+// Refunds and cancellations give back the same share of both (see
+// adjustOrderLoyaltyInTransaction).
+//
+// Rules live in settings/loyalty so they can be changed without a deploy
+// (PUT /admin/loyalty/rules); LOYALTY_DEFAULT_RULES fills any gaps.
+
+const LOYALTY_DEFAULT_RULES = {
+    enabled: true,
+    points_per_rand: 1,        // On what the customer paid
+    point_value_cents: 10,     // What one point is worth when redeemed
+    min_redeem_points: 100,
+    max_redeem_percent: 50,    // Points can pay for at most this much of an order
+    // Extra points per item bought, matched on product_id or category,
+    // e.g. { "category": "Bakery", "points_per_item": 20 } — ten loaves
+    // earns a free one.
+    item_rules: []
+};
+
+async function getLoyaltyRules() {
+    const rulesDoc = await db.collection('settings').doc('loyalty').get();
+    return { ...LOYALTY_DEFAULT_RULES, ...(rulesDoc.exists ? rulesDoc.data() : {}) };
+}
+
+function calculatePointsEarned(order, rules) {
+    const paidCents = order.amount_cents || 0;
+    let points = Math.floor((paidCents / 100) * (Number(rules.points_per_rand) || 0));
+
+    (order.items || []).forEach(item => {
+        const rule = (rules.item_rules || []).find(itemRule =>
+            (itemRule.product_id && String(itemRule.product_id) === String(item.id)) ||
+            (!itemRule.product_id && itemRule.category && itemRule.category === item.category)
+        );
+        if (rule) {
+            points += (Number(rule.points_per_item) || 0) * (Number(item.quantity) || 0);
+        }
+    });
+
+    return points;
+}
+
+async function getLoyaltyBalance(customerKey) {
+    const accountDoc = await db.collection('loyalty_accounts').doc(customerKey).get();
+    return accountDoc.exists ? (accountDoc.data().balance || 0) : 0;
+}
+
+// Checks a request to pay part of an order with points. Returns
+// { isValid: true, customerKey, points, amountCents } or
+// { isValid: false, reason, message }. The balance is checked again when
+// the points are held (readLoyaltyHoldInTransaction), so two checkouts
+// open at once can't spend the same points twice.
+async function evaluateLoyaltyRedemption(customerPhone, requestedPoints, pricing) {
+    const rules = await getLoyaltyRules();
+    const customerKey = normaliseCustomerPhone(customerPhone);
+    const points = Number(requestedPoints);
+
+    if (!rules.enabled) {
+        return { isValid: false, reason: 'disabled', message: 'Loyalty points are not available right now' };
+    }
+    if (!customerKey) {
+        return { isValid: false, reason: 'phone_required', message: 'A phone number is needed to use loyalty points' };
+    }
+    if (!Number.isInteger(points) || points <= 0) {
+        return { isValid: false, reason: 'invalid_points', message: 'Points must be a positive whole number' };
+    }
+
+    const balance = await getLoyaltyBalance(customerKey);
+    const redemption = checkPointsRedemption(rules, points, balance, pricing);
+    return redemption.isValid ? { ...redemption, customerKey } : redemption;
+}
+
+// Checks points against the rules, the customer's balance and the order.
+// Returns { isValid: true, points, amountCents } or
+// { isValid: false, reason, message }.
+function checkPointsRedemption(rules, points, balance, pricing) {
+    if (points < rules.min_redeem_points) {
+        return { isValid: false, reason: 'below_minimum', message: `At least ${rules.min_redeem_points} points are needed to redeem` };
+    }
+    if (points > balance) {
+        return { isValid: false, reason: 'insufficient_points', message: `You only have ${balance} points` };
+    }
+
+    const maxCents = Math.floor(pricing.breakdown.total_cents * rules.max_redeem_percent / 100);
+    const amountCents = points * rules.point_value_cents;
+    if (amountCents > maxCents) {
+        return {
+            isValid: false,
+            reason: 'above_maximum',
+            message: `Points can pay for at most ${rules.max_redeem_percent}% of an order (${Math.floor(maxCents / rules.point_value_cents)} points)`
+        };
+    }
+
+    return { isValid: true, points, amountCents };
+}
+
+// Loyalty summary stored on a new order, or null if the customer has no
+// usable phone number or the scheme is off (and they redeemed nothing).
+async function buildOrderLoyalty(orderData) {
+    const customerKey = normaliseCustomerPhone(
+        orderData.customer_info?.customer_phone || orderData.metadata?.customer_phone
+    );
+    if (!customerKey) {
+        return null;
+    }
+
+    const rules = await getLoyaltyRules();
+    const pointsRedeemed = orderData.loyalty?.points_redeemed || 0;
+    const pointsEarned = rules.enabled ? calculatePointsEarned(orderData, rules) : 0;
+
+    if (pointsEarned === 0 && pointsRedeemed === 0) {
+        return null;
+    }
+
+    return {
+        customer_key: customerKey,
+        points_earned: pointsEarned,
+        points_redeemed: pointsRedeemed,
+        redeem_value_cents: orderData.loyalty?.redeem_value_cents || 0,
+        points_reversed: 0,
+        points_restored: 0
+    };
+}
+
+function writeLoyaltyLedgerEntry(transaction, customerKey, entry) {
+    transaction.set(db.collection('loyalty_ledger').doc(), {
+        customer_key: customerKey,
+        ...entry,
+        created_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+function adjustLoyaltyBalance(transaction, customerKey, pointsDelta, field) {
+    const updates = {
+        customer_key: customerKey,
+        balance: admin.firestore.FieldValue.increment(pointsDelta),
+        updated_at: admin.firestore.FieldValue.serverTimestamp()
+    };
+    if (field) {
+        updates[field] = admin.firestore.FieldValue.increment(Math.abs(pointsDelta));
+    }
+    transaction.set(db.collection('loyalty_accounts').doc(customerKey), updates, { merge: true });
+}
+
+// Checks, inside reserveStockInTransaction, that the customer still has
+// the points a checkout redeems. Must run before the transaction's writes.
+// Throws an error with code 'POINTS_UNAVAILABLE' if another checkout or
+// order has spent them since evaluateLoyaltyRedemption.
+async function readLoyaltyHoldInTransaction(transaction, hold) {
+    const accountDoc = await transaction.get(db.collection('loyalty_accounts').doc(hold.customer_key));
+    const balance = accountDoc.exists ? (accountDoc.data().balance || 0) : 0;
+
+    if (hold.points > balance) {
+        const error = new Error(`You only have ${Math.max(0, balance)} points`);
+        error.code = 'POINTS_UNAVAILABLE';
+        throw error;
+    }
+}
+
+// Takes a checkout's redeemed points out of the balance (-points) or puts
+// them back (+points) when the hold is released or converted into the
+// paid order's redemption.
+function writeLoyaltyHoldInTransaction(transaction, hold, reservationId, points, type) {
+    adjustLoyaltyBalance(transaction, hold.customer_key, points);
+    writeLoyaltyLedgerEntry(transaction, hold.customer_key, {
+        type,
+        points,
+        reservation_id: reservationId
+    });
+}
+
+// Runs inside createCompletedOrder's transaction once the order is
+// written, so points are only earned and redeemed once per order.
+function recordOrderLoyaltyInTransaction(transaction, orderData) {
+    const { customer_key: customerKey, points_earned: earned, points_redeemed: redeemed } = orderData.loyalty;
+
+    if (redeemed > 0) {
+        adjustLoyaltyBalance(transaction, customerKey, -redeemed, 'lifetime_redeemed');
+        writeLoyaltyLedgerEntry(transaction, customerKey, {
+            type: 'redeem',
+            points: -redeemed,
+            order_id: orderData.id,
+            order_reference: orderData.order_reference || ''
+        });
+    }
+    if (earned > 0) {
+        adjustLoyaltyBalance(transaction, customerKey, earned, 'lifetime_earned');
+        writeLoyaltyLedgerEntry(transaction, customerKey, {
+            type: 'earn',
+            points: earned,
+            order_id: orderData.id,
+            order_reference: orderData.order_reference || ''
+        });
+    }
+}
+
+// Share of an order the customer no longer has, for
+// adjustOrderLoyaltyInTransaction.
+function loyaltyLostShare(order, refundedAmountCents) {
+    if (order.status === 'cancelled') {
+        return 1;
+    }
+    return order.amount_cents > 0 ? refundedAmountCents / order.amount_cents : 0;
+}
+
+// Brings an order's points in line with how much of it the customer kept.
+// lostShare is 0..1: the refunded share of the order, or 1 once it is
+// cancelled. That share of the points earned is taken back and that share
+// of the points redeemed is given back, net of earlier adjustments, so
+// calling it again (or after a failed refund lowers the share) only moves
+// the difference. Must be called after the transaction's reads; returns
+// the order field updates for the caller to include in its own write.
+function adjustOrderLoyaltyInTransaction(transaction, orderId, order, lostShare, reason) {
+    const loyalty = order.loyalty;
+    if (!loyalty?.customer_key) {
+        return {};
+    }
+
+    const share = Math.min(1, Math.max(0, lostShare));
+    const targetReversed = Math.round(loyalty.points_earned * share);
+    const targetRestored = Math.round(loyalty.points_redeemed * share);
+    const reverseDelta = targetReversed - (loyalty.points_reversed || 0);
+    const restoreDelta = targetRestored - (loyalty.points_restored || 0);
+
+    if (reverseDelta === 0 && restoreDelta === 0) {
+        return {};
+    }
+
+    adjustLoyaltyBalance(transaction, loyalty.customer_key, restoreDelta - reverseDelta);
+    writeLoyaltyLedgerEntry(transaction, loyalty.customer_key, {
+        type: 'adjustment',
+        reason,
+        points: restoreDelta - reverseDelta,
+        earned_reversed: reverseDelta,
+        redeemed_restored: restoreDelta,
+        order_id: orderId,
+        order_reference: order.order_reference || ''
+    });
+
+    return {
+        'loyalty.points_reversed': targetReversed,
+        'loyalty.points_restored': targetRestored
+    };
+}
+
+// ============================================
+// STOCK RESERVATIONS
+// ============================================
+//
+// While a customer is on Yoco's checkout page, the quantities in their
+// trolley are held in products.reserved_stock so nobody else can buy the
+// same last item. Each pending payment has one stock_reservations document
+// (same id) that moves held -> converted (paid, see
+// commitOrderAndStockInTransaction) or held -> released (cancelled, failed,
+// expired). A chosen delivery slot is held the same way, in
+// delivery_slots.reserved_count (see DELIVERY SLOTS), one use of any
+// voucher in vouchers.reserved_count (see VOUCHERS), and any loyalty
+// points redeemed, by taking them out of the balance (see LOYALTY POINTS).
+
+const RESERVATION_CONFIG = {
+    // Extra time after the Yoco checkout expires before the hold is
+    // dropped, so a slow 3DS approval doesn't lose the stock.
+    HOLD_GRACE_MS: 5 * 60 * 1000,
+    SWEEP_INTERVAL_MS: 5 * 60 * 1000
+};
+
+// Stock that can still be sold, or null for products that don't track stock.
+function getAvailableStock(product) {
+    if (typeof product.stock !== 'number') {
+        return null;
+    }
+    return Math.max(0, product.stock - (product.reserved_stock || 0));
+}
+
+function sumQuantitiesByProduct(items) {
+    const quantities = new Map();
+    items.forEach(item => {
+        if (!item.id) return;
+        const productId = String(item.id);
+        quantities.set(productId, (quantities.get(productId) || 0) + (Number(item.quantity) || 1));
+    });
+    return quantities;
+}
+
+// Must run before any writes in the transaction (Firestore requires all
+// reads first). Throws an error with code 'INSUFFICIENT_STOCK' and a
+// changedItems list if anything sold out since the order was priced,
+// 'SLOT_FULL' if deliverySlot (from resolveDeliverySlot) has no room left,
+// 'VOUCHER_UNAVAILABLE' if voucher ({ code, customer_key }) has no use
+// left, or 'POINTS_UNAVAILABLE' if the balance no longer covers loyalty
+// ({ customer_key, points }). Returns the reservation data, or null if
+// nothing needed holding.
+async function reserveStockInTransaction(transaction, reservationId, items, checkoutExpiresAt, { deliverySlot = null, voucher = null, loyalty = null } = {}) {
+    const quantities = sumQuantitiesByProduct(items);
+    if (quantities.size === 0 && !deliverySlot && !voucher && !loyalty) {
+        return null;
+    }
+
+    const slotCapacity = deliverySlot
+        ? await readDeliverySlotInTransaction(transaction, deliverySlot)
+        : null;
+    if (voucher) {
+        await readVoucherHoldInTransaction(transaction, voucher);
+    }
+    if (loyalty) {
+        await readLoyaltyHoldInTransaction(transaction, loyalty);
+    }
+
+    const productIds = [...quantities.keys()];
+    const productRefs = productIds.map(productId => db.collection('products').doc(productId));
+    const productDocs = productRefs.length > 0 ? await transaction.getAll(...productRefs) : [];
+
+    const shortages = [];
+    const heldItems = [];
+
+    productDocs.forEach((productDoc, index) => {
+        if (!productDoc.exists) return;
+
+        const product = productDoc.data();
+        const available = getAvailableStock(product);
+        const quantity = quantities.get(productIds[index]);
+
+        // Products without a stock count aren't tracked, so not held either
+        if (available === null) return;
+
+        if (available < quantity) {
+            shortages.push({
+                id: productIds[index],
+                name: product.name,
+                reason: 'insufficient_stock',
+                requested_quantity: quantity,
+                available_stock: available
+            });
+            return;
+        }
+
+        heldItems.push({ product_id: productIds[index], quantity, ref: productRefs[index] });
+    });
+
+    if (shortages.length > 0) {
+        const error = new Error('Insufficient stock to reserve order');
+        error.code = 'INSUFFICIENT_STOCK';
+        error.changedItems = shortages;
+        throw error;
+    }
+
+    if (slotCapacity && slotCapacity.remaining <= 0) {
+        const error = new Error(`Delivery slot ${deliverySlot.id} is full`);
+        error.code = 'SLOT_FULL';
+        throw error;
+    }
+
+    if (heldItems.length === 0 && !deliverySlot && !voucher && !loyalty) {
+        return null;
+    }
+
+    heldItems.forEach(item => {
+        transaction.update(item.ref, {
+            reserved_stock: admin.firestore.FieldValue.increment(item.quantity),
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+    });
+
+    if (deliverySlot) {
+        writeDeliverySlotCountsInTransaction(transaction, deliverySlot, { reserved: 1 });
+    }
+    if (voucher) {
+        writeVoucherHoldInTransaction(transaction, voucher.code, 1);
+    }
+    if (loyalty) {
+        writeLoyaltyHoldInTransaction(transaction, loyalty, reservationId, -loyalty.points, 'redeem_hold');
+    }
+
+    const baseExpiry = checkoutExpiresAt ? new Date(checkoutExpiresAt).getTime() : Date.now();
+    const reservation = {
+        pending_payment_id: reservationId,
+        items: heldItems.map(({ product_id, quantity }) => ({ product_id, quantity })),
+        slot_id: deliverySlot ? deliverySlot.id : null,
+        voucher: voucher || null,
+        loyalty: loyalty || null,
+        status: 'held',
+        expires_at: admin.firestore.Timestamp.fromMillis(baseExpiry + RESERVATION_CONFIG.HOLD_GRACE_MS),
+        created_at: admin.firestore.FieldValue.serverTimestamp(),
+        updated_at: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    transaction.set(db.collection('stock_reservations').doc(reservationId), reservation);
+    return reservation;
+}
+
+// Give held stock back. Safe to call more than once — only a reservation
+// that is still held is released. Returns true if anything was released.
+async function releaseStockReservation(reservationId, reason) {
+    const reservationRef = db.collection('stock_reservations').doc(reservationId);
+
+    const released = await db.runTransaction(async (transaction) => {
+        const reservationDoc = await transaction.get(reservationRef);
+        if (!reservationDoc.exists || reservationDoc.data().status !== 'held') {
+            return false;
+        }
+
+        reservationDoc.data().items.forEach(item => {
+            transaction.update(db.collection('products').doc(item.product_id), {
+                reserved_stock: admin.firestore.FieldValue.increment(-item.quantity),
+                updated_at: admin.firestore.FieldValue.serverTimestamp()
+            });
+        });
+
+        if (reservationDoc.data().slot_id) {
+            writeDeliverySlotCountsInTransaction(transaction, { id: reservationDoc.data().slot_id }, { reserved: -1 });
+        }
+        if (reservationDoc.data().voucher) {
+            writeVoucherHoldInTransaction(transaction, reservationDoc.data().voucher.code, -1);
+        }
+        if (reservationDoc.data().loyalty) {
+            const hold = reservationDoc.data().loyalty;
+            writeLoyaltyHoldInTransaction(transaction, hold, reservationId, hold.points, 'redeem_hold_released');
+        }
+
+        transaction.update(reservationRef, {
+            status: 'released',
+            release_reason: reason,
+            released_at: admin.firestore.FieldValue.serverTimestamp(),
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return true;
+    });
+
+    if (released) {
+        console.log(`[reservations] Released ${reservationId} (${reason})`);
+    }
+    return released;
+}
+
+// Customer cancelled or the payment failed: mark the pending payment and
+// give its stock back. The pending payment itself is kept so the checkout
+// can still be matched if Yoco later reports it as paid.
+async function releasePendingPaymentByReference(orderReference, status) {
+    return releasePendingPaymentWhere('order_reference', orderReference, status);
+}
+
+// Same, for Yoco webhook events that only carry the checkout id
+async function releasePendingPaymentByCheckoutId(checkoutId, status) {
+    return releasePendingPaymentWhere('yoco_checkout_id', checkoutId, status);
+}
+
+async function releasePendingPaymentWhere(field, value, status) {
+    const snapshot = await db.collection('pending_payments')
+        .where(field, '==', value)
+        .limit(1)
+        .get();
+
+    if (snapshot.empty) {
+        return false;
+    }
+
+    const pendingDoc = snapshot.docs[0];
+    const pending = pendingDoc.data();
+
+    await pendingDoc.ref.update({
+        status,
+        updated_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    if (pending.reservation_id) {
+        await releaseStockReservation(pending.reservation_id, status);
+    }
+    return true;
+}
+
+async function sweepExpiredReservations() {
+    try {
+        const snapshot = await db.collection('stock_reservations')
+            .where('status', '==', 'held')
+            .where('expires_at', '<=', admin.firestore.Timestamp.now())
+            .limit(100)
+            .get();
+
+        for (const doc of snapshot.docs) {
+            await releaseStockReservation(doc.id, 'expired');
+        }
+
+        if (!snapshot.empty) {
+            console.log(`[reservations] Sweep released ${snapshot.size} expired reservation(s)`);
+        }
+    } catch (err) {
+        console.error('[reservations] Expiry sweep failed:', err);
+    }
+}
+
+async function makeYocoRequest(url, options = {}) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), YOCO_CONFIG.API_TIMEOUT_MS);
+    try {
+        const response = await fetch(url, { ...options, signal: controller.signal });
+        clearTimeout(timeoutId);
+        return response;
+    } catch (error) {
+        clearTimeout(timeoutId);
+        if (error.name === 'AbortError') {
+            throw new Error('Request timed out');
+        }
+        throw error;
+    }
+}
+
+// ============================================
+// PAYMENT PROVIDERS
+// ============================================
+//
+// Every call to the card processor goes through paymentProvider, chosen by
+// PAYMENT_PROVIDER. 'yoco' (the default) talks to Yoco's APIs. 'mock'
+// keeps checkouts in memory and serves its own hosted checkout page at
+// /mock-yoco/checkout/:id, which redirects to the success/cancel/failure
+// URLs and sends signed webhooks to /yoco-webhook the way Yoco does — so
+// the whole checkout -> success -> webhook flow runs on a laptop without
+// Yoco keys.
+//
+// Each provider method resolves to { ok, status, data } with Yoco's
+// response shape in data, and only throws for network errors.
+
+const PAYMENT_PROVIDER_CONFIG = {
+    PROVIDER: (process.env.PAYMENT_PROVIDER || 'yoco').toLowerCase(),
+    // Where the mock's checkout pages and webhooks point — this server
+    MOCK_BASE_URL: process.env.MOCK_PROVIDER_BASE_URL || `http://localhost:${process.env.PORT || 3000}`,
+    // Yoco's webhook usually lands after the customer's browser is back
+    MOCK_WEBHOOK_DELAY_MS: Number(process.env.MOCK_WEBHOOK_DELAY_MS ?? 1000)
+};
+
+function yocoBearerHeaders() {
+    return { 'Authorization': `Bearer ${process.env.YOCO_SECRET_KEY}` };
+}
+
+async function callYocoApi(method, url, body, headers = yocoBearerHeaders()) {
+    const response = await makeYocoRequest(url, {
+        method,
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    return { ok: response.ok, status: response.status, data };
+}
+
+const yocoPaymentProvider = {
+    name: 'yoco',
+    isConfigured: () => !!process.env.YOCO_SECRET_KEY,
+    createCheckout: (payload) =>
+        callYocoApi('POST', `${YOCO_CONFIG.API_BASE_URL}/checkouts`, payload),
+    getCheckout: (checkoutId) =>
+        callYocoApi('GET', `${YOCO_CONFIG.API_BASE_URL}/checkouts/${checkoutId}`),
+    getPayment: (paymentId) =>
+        callYocoApi('GET', `${YOCO_CONFIG.API_BASE_URL}/payments/${paymentId}`),
+    refundCheckout: (checkoutId, body, idempotencyKey) =>
+        callYocoApi('POST', `${YOCO_CONFIG.API_BASE_URL}/checkouts/${checkoutId}/refund`, body, {
+            ...yocoBearerHeaders(),
+            'Idempotency-Key': idempotencyKey
+        }),
+    // The popup charges API authenticates with a different header
+    chargeToken: (body) =>
+        callYocoApi('POST', YOCO_CONFIG.CHARGES_API_URL, body, {
+            'X-Auth-Secret-Key': process.env.YOCO_SECRET_KEY
+        }),
+    // One page of payments, newest first; data.nextCursor fetches the next
+    listPayments: ({ createdAfter, createdBefore, limit, cursor }) => {
+        const query = new URLSearchParams({ createdAfter, createdBefore, limit: String(limit) });
+        if (cursor) {
+            query.set('cursor', cursor);
+        }
+        return callYocoApi('GET', `${YOCO_CONFIG.API_BASE_URL}/payments?${query}`);
+    },
+    checkConnectivity: () =>
+        callYocoApi('GET', `${YOCO_CONFIG.API_BASE_URL}/checkouts`)
+};
+
+// Mock checkouts and popup charges live only as long as the process does
+const mockCheckouts = new Map();
+const mockCharges = [];
+
+function mockProviderId(prefix) {
+    return `${prefix}_mock_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+// The checkout as Yoco's GET /checkouts/:id would return it
+function mockCheckoutResponse(checkout) {
+    const { refunds, ...publicFields } = checkout;
+    return publicFields;
+}
+
+// Delivers an event to our own /yoco-webhook as Yoco would, signed with
+// the first active webhook secret (unsigned if none is set, which the
+// webhook accepts).
+async function emitMockWebhook(type, payload) {
+    const messageId = mockProviderId('msg');
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const body = JSON.stringify({ id: messageId, type, createdDate: new Date().toISOString(), payload });
+
+    const headers = {
+        'Content-Type': 'application/json',
+        'webhook-id': messageId,
+        'webhook-timestamp': timestamp
+    };
+
+    const [secret] = getYocoWebhookSecrets();
+    if (secret) {
+        headers['webhook-signature'] = `v1,${signYocoWebhookPayload(`${messageId}.${timestamp}.${body}`, secret)}`;
+    }
+
+    try {
+        const response = await fetch(`${PAYMENT_PROVIDER_CONFIG.MOCK_BASE_URL}/yoco-webhook`, {
+            method: 'POST',
+            headers,
+            body
+        });
+        console.log(`[mock-yoco] ${type} webhook ${messageId} -> ${response.status}`);
+    } catch (error) {
+        console.error(`[mock-yoco] Failed to deliver ${type} webhook:`, error.message);
+    }
+}
+
+function scheduleMockWebhook(type, payload) {
+    setTimeout(() => emitMockWebhook(type, payload), PAYMENT_PROVIDER_CONFIG.MOCK_WEBHOOK_DELAY_MS);
+}
+
+const mockPaymentProvider = {
+    name: 'mock',
+    isConfigured: () => true,
+
+    async createCheckout(payload) {
+        const id = mockProviderId('ch');
+        const checkout = {
+            id,
+            status: 'created',
+            paymentId: null,
+            amount: payload.amount,
+            currency: payload.currency,
+            successUrl: payload.successUrl,
+            cancelUrl: payload.cancelUrl,
+            failureUrl: payload.failureUrl,
+            expiresAt: payload.expiresAt,
+            metadata: payload.metadata || {},
+            redirectUrl: `${PAYMENT_PROVIDER_CONFIG.MOCK_BASE_URL}/mock-yoco/checkout/${id}`,
+            refunds: []
+        };
+        mockCheckouts.set(id, checkout);
+        return { ok: true, status: 200, data: mockCheckoutResponse(checkout) };
+    },
+
+    async getCheckout(checkoutId) {
+        const checkout = mockCheckouts.get(checkoutId);
+        return checkout
+            ? { ok: true, status: 200, data: mockCheckoutResponse(checkout) }
+            : { ok: false, status: 404, data: { message: 'Checkout not found' } };
+    },
+
+    async getPayment(paymentId) {
+        const checkout = [...mockCheckouts.values()].find(c => c.paymentId === paymentId);
+        if (!checkout) {
+            return { ok: false, status: 404, data: { message: 'Payment not found' } };
+        }
+        return {
+            ok: true,
+            status: 200,
+            data: {
+                id: paymentId,
+                status: 'succeeded',
+                amount: checkout.amount,
+                currency: checkout.currency,
+                metadata: { ...checkout.metadata, checkoutId: checkout.id }
+            }
+        };
+    },
+
+    async refundCheckout(checkoutId, body, idempotencyKey) {
+        const checkout = mockCheckouts.get(checkoutId);
+        if (!checkout || checkout.status !== 'completed') {
+            return { ok: false, status: 409, data: { message: 'Checkout has not been paid' } };
+        }
+
+        const repeat = checkout.refunds.find(refund => refund.idempotencyKey === idempotencyKey);
+        if (repeat) {
+            return { ok: true, status: 200, data: repeat.response };
+        }
+
+        const alreadyRefunded = checkout.refunds.reduce((sum, refund) => sum + refund.response.amount, 0);
+        if (alreadyRefunded + body.amount > checkout.amount) {
+            return { ok: false, status: 400, data: { message: 'Refund exceeds the amount paid' } };
+        }
+
+        const response = { id: mockProviderId('rf'), status: 'succeeded', amount: body.amount };
+        checkout.refunds.push({ idempotencyKey, response });
+
+        scheduleMockWebhook('refund.succeeded', {
+            id: response.id,
+            amount: body.amount,
+            currency: checkout.currency,
+            metadata: { ...body.metadata, checkoutId }
+        });
+
+        return { ok: true, status: 200, data: response };
+    },
+
+    // tok_mock_declined is declined; any other token is charged
+    async chargeToken(body) {
+        if (body.token === 'tok_mock_declined') {
+            return { ok: false, status: 402, data: { status: 'failed', displayMessage: 'Card declined (mock provider)' } };
+        }
+        const charge = {
+            id: mockProviderId('ch'),
+            status: 'successful',
+            amountInCents: body.amountInCents,
+            currency: body.currency,
+            metadata: body.metadata,
+            createdDate: new Date().toISOString()
+        };
+        mockCharges.push(charge);
+        return { ok: true, status: 201, data: charge };
+    },
+
+    // Everything fits in one page
+    async listPayments({ createdAfter, createdBefore }) {
+        const from = new Date(createdAfter).getTime();
+        const to = new Date(createdBefore).getTime();
+        const payments = [...mockCheckouts.values()]
+            .filter(checkout => checkout.status === 'completed')
+            .filter(checkout => {
+                const paidAt = new Date(checkout.paidAt).getTime();
+                return paidAt >= from && paidAt < to;
+            })
+            .map(checkout => ({
+                id: checkout.paymentId,
+                status: 'succeeded',
+                amount: checkout.amount,
+                currency: checkout.currency,
+                createdDate: checkout.paidAt,
+                metadata: { ...checkout.metadata, checkoutId: checkout.id }
+            }));
+        mockCharges
+            .filter(charge => {
+                const chargedAt = new Date(charge.createdDate).getTime();
+                return chargedAt >= from && chargedAt < to;
+            })
+            .forEach(charge => payments.push({
+                id: charge.id,
+                status: 'succeeded',
+                amount: charge.amountInCents,
+                currency: charge.currency,
+                createdDate: charge.createdDate,
+                metadata: charge.metadata
+            }));
+        return { ok: true, status: 200, data: { data: payments, nextCursor: null } };
+    },
+
+    checkConnectivity: async () => ({ ok: true, status: 200, data: {} })
+};
+
+const PAYMENT_PROVIDERS = {
+    yoco: yocoPaymentProvider,
+    mock: mockPaymentProvider
+};
+
+const paymentProvider = PAYMENT_PROVIDERS[PAYMENT_PROVIDER_CONFIG.PROVIDER];
+
+if (!paymentProvider) {
+    throw new Error(`Unknown PAYMENT_PROVIDER "${PAYMENT_PROVIDER_CONFIG.PROVIDER}"`);
+}
+// Anyone could "pay" through the mock checkout page
+if (paymentProvider.name === 'mock' && process.env.NODE_ENV === 'production') {
+    throw new Error('PAYMENT_PROVIDER=mock cannot be used when NODE_ENV=production');
+}
+
+const CHECKOUT_DEFAULT_URLS = {
+    success: 'https://eezyspaza-backend1.onrender.com/yoco-payment-success',
+    cancel: 'https://eezyspaza-backend1.onrender.com/yoco-payment-cancel',
+    failure: 'https://eezyspaza-backend1.onrender.com/yoco-payment-failure'
+};
+
+// Creates a hosted Yoco checkout for an already-priced order. The
+// order_reference is added to every return URL so each handler can find
+// the pending payment. Throws an error with code 'YOCO_UNAVAILABLE' or
+// 'YOCO_INVALID_RESPONSE' if Yoco can't give us a checkout.
+async function createYocoCheckout({ amountInCents, currency = 'ZAR', orderReference, successUrl, cancelUrl, failureUrl, metadata = {}, lineItems = null }) {
+    // Give the customer 10 minutes to complete 3DS bank approval
+    const checkoutExpiresAt = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+
+    const withReference = (url) => {
+        const parsed = new URL(url);
+        parsed.searchParams.set('orderRef', orderReference);
+        return parsed.toString();
+    };
+
+    // Cancel/failure returns also carry the reference so the stock
+    // reservation for this checkout can be released straight away.
+    const yocoPayload = {
+        amount: amountInCents,
+        currency,
+        cancelUrl: withReference(cancelUrl || CHECKOUT_DEFAULT_URLS.cancel),
+        successUrl: withReference(successUrl || CHECKOUT_DEFAULT_URLS.success),
+        failureUrl: withReference(failureUrl || CHECKOUT_DEFAULT_URLS.failure),
+        expiresAt: checkoutExpiresAt,
+        metadata: {
+            ...metadata,
+            order_reference: orderReference,
+            timestamp: new Date().toISOString()
+        }
+    };
+
+    // Shown on the hosted page only; amount is what gets charged
+    if (lineItems) {
+        yocoPayload.lineItems = lineItems;
+    }
+
+    let yocoResponse;
+    for (let attempt = 1; attempt <= YOCO_CONFIG.RETRY_ATTEMPTS; attempt++) {
+        try {
+            yocoResponse = await paymentProvider.createCheckout(yocoPayload);
+            break;
+        } catch (error) {
+            if (attempt === YOCO_CONFIG.RETRY_ATTEMPTS) throw error;
+        }
+    }
+
+    if (!yocoResponse || !yocoResponse.ok) {
+        const error = new Error(`Yoco checkout creation failed (status ${yocoResponse?.status})`);
+        error.code = 'YOCO_UNAVAILABLE';
+        throw error;
+    }
+
+    const yocoData = yocoResponse.data;
+    const redirectUrl = yocoData.redirectUrl || yocoData.redirect_url;
+
+    if (!redirectUrl) {
+        const error = new Error('Yoco checkout response had no redirect URL');
+        error.code = 'YOCO_INVALID_RESPONSE';
+        throw error;
+    }
+
+    return { yocoData, yocoPayload, redirectUrl, checkoutExpiresAt };
+}
+
+// Charge a one-time token from the Yoco popup SDK. Throws an error with
+// code 'YOCO_CHARGE_FAILED' (and Yoco's response in details) if declined.
+async function chargeYocoToken(token, amountInCents, metadata) {
+    const { ok, data } = await paymentProvider.chargeToken({
+        token,
+        amountInCents,
+        currency: 'ZAR',
+        metadata
+    });
+
+    if (!ok || (data.status && data.status !== 'successful')) {
+        const error = new Error(data.displayMessage || data.errorMessage || data.message || 'Card payment was declined');
+        error.code = 'YOCO_CHARGE_FAILED';
+        error.details = data;
+        throw error;
+    }
+
+    return data;
+}
+
+const POPUP_CHARGE_CONFIG = {
+    // A 'charging' claim older than this belongs to a request that died
+    // mid-charge (the charge call itself gives up after API_TIMEOUT_MS)
+    STALE_CLAIM_MS: 2 * 60 * 1000,
+    // Slack for clock differences when looking a charge up with Yoco
+    LOOKUP_MARGIN_MS: 60 * 1000
+};
+
+// Looks a popup charge up among Yoco's payments, for when the charge call
+// errored or never came back and we don't know if the card was charged.
+// Charges carry the finalize request's request_id in their metadata.
+// Returns the payment, or null if Yoco has none.
+async function findPopupCharge(requestId, claimedAt) {
+    const { payments } = await listSuccessfulPayments(
+        new Date(claimedAt.getTime() - POPUP_CHARGE_CONFIG.LOOKUP_MARGIN_MS),
+        new Date()
+    );
+    return payments.find(payment => payment.metadata?.request_id === requestId) || null;
+}
+
+// Creates the order a popup charge paid for, from the priced order stored
+// on the token's claim, and marks the claim completed. Safe to repeat, as
+// createCompletedOrder keys the order on the charge id.
+async function completePopupPayment(tokenRef, claim, charge) {
+    const orderId = await createCompletedOrder({ ...claim.order, yoco_charge_id: charge.id }, charge);
+    await tokenRef.update({
+        status: 'completed',
+        order_id: orderId,
+        updated_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return orderId;
+}
+
+// Picks up a token an earlier request already claimed. A charged token
+// whose order wasn't created gets it now; one whose charge outcome is
+// unknown (the call failed, or the request died mid-charge) is checked
+// with Yoco first. Returns { orderId } or, when there's no order to give
+// back, { httpStatus, message }.
+async function resumePopupPayment(tokenRef, claim) {
+    if (claim.order_id) {
+        return { orderId: claim.order_id };
+    }
+    if (claim.status === 'charged') {
+        return { orderId: await completePopupPayment(tokenRef, claim, claim.charge) };
+    }
+    if (claim.status === 'declined') {
+        return { httpStatus: 409, message: 'This payment was declined' };
+    }
+
+    const claimedAt = claim.claimed_at.toDate();
+    if (claim.status === 'charging' && claimedAt.getTime() > Date.now() - POPUP_CHARGE_CONFIG.STALE_CLAIM_MS) {
+        return { httpStatus: 409, message: 'This payment is already being processed' };
+    }
+
+    const payment = await findPopupCharge(claim.request_id, claimedAt);
+    if (!payment) {
+        await tokenRef.update({
+            status: 'not_found',
+            checked_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return {
+            httpStatus: 409,
+            message: `We could not confirm this payment with Yoco. Please check with your bank before paying again, or contact us quoting ${claim.order.order_reference}.`
+        };
+    }
+
+    await tokenRef.update({
+        status: 'charged',
+        charge: payment,
+        updated_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return { orderId: await completePopupPayment(tokenRef, claim, payment) };
+}
+
+// Every path that finds a paid checkout ends up here. Most pending payments
+// are orders; a tab settlement pays down a credit account instead.
+async function completePendingPayment(pending, paymentDetails) {
+    if (pending.purpose === 'credit_settlement') {
+        return recordCreditSettlement(pending, paymentDetails);
+    }
+    return createCompletedOrder(pending, paymentDetails);
+}
+
+// Shared handler: given a Yoco checkoutId, look up the pending order and
+// create the completed order + fire notifications. Used by both the
+// browser redirect handler (/yoco-payment-success) and the webhook
+// (/yoco-webhook), so whichever one arrives first "wins" — the other will
+// simply find no pending order left (already deleted) and skip safely.
+async function completeOrderFromCheckoutId(checkoutId, paymentDetails, sourceLabel) {
+    const pendingOrder = await getPendingOrderByCheckoutId(checkoutId);
+
+    if (!pendingOrder) {
+        console.log(`[${sourceLabel}] No pending order found for checkout ${checkoutId} — likely already completed by another path, or never existed. Skipping.`);
+        return null;
+    }
+
+    const orderId = await completePendingPayment(pendingOrder, paymentDetails);
+    console.log(`[${sourceLabel}] ✅ Order created: ${orderId}`);
+
+    await db.collection('pending_payments').doc(pendingOrder.id).delete();
+    console.log(`[${sourceLabel}] Pending payment cleaned up`);
+
+    return orderId;
+}
+
+// ============================================
+// ABANDONED PENDING PAYMENTS
+// ============================================
+//
+// A pending payment only leaves pending_payments through
+// completeOrderFromCheckoutId. Cancelled, failed and expired checkouts are
+// picked up here once they're comfortably past their Yoco expiry: each one
+// is re-checked with Yoco (in case both the redirect and the webhook were
+// missed), completed if it was actually paid, and otherwise moved to
+// abandoned_payments with the reason it was given up on.
+
+const PENDING_SWEEP_CONFIG = {
+    STALE_AFTER_MS: 30 * 60 * 1000,          // Checkouts expire after 10 min
+    UNVERIFIED_GIVE_UP_MS: 24 * 60 * 60 * 1000, // Stop waiting on Yoco after a day
+    BATCH_SIZE: 50,
+    INTERVAL_MS: 15 * 60 * 1000
+};
+
+// Moves a pending payment to abandoned_payments (same document id) and
+// releases its stock. Returns false if it was completed or moved by
+// another path in the meantime.
+async function abandonPendingPayment(pendingId, reason, verification) {
+    const pendingRef = db.collection('pending_payments').doc(pendingId);
+    const abandonedRef = db.collection('abandoned_payments').doc(pendingId);
+
+    const pending = await db.runTransaction(async (transaction) => {
+        const pendingDoc = await transaction.get(pendingRef);
+        if (!pendingDoc.exists) {
+            return null;
+        }
+
+        transaction.set(abandonedRef, {
+            ...pendingDoc.data(),
+            abandoned_reason: reason,
+            yoco_status: verification?.status || null,
+            abandoned_at: admin.firestore.FieldValue.serverTimestamp(),
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+        transaction.delete(pendingRef);
+        return pendingDoc.data();
+    });
+
+    if (!pending) {
+        return false;
+    }
+
+    if (pending.reservation_id) {
+        await releaseStockReservation(pending.reservation_id, 'abandoned');
+    }
+
+    console.log(`[pending-sweep] Abandoned ${pendingId} (${reason})`);
+    return true;
+}
+
+async function sweepAbandonedPendingPayments() {
+    const sweepId = `pending_sweep_${Date.now()}`;
+    const result = { checked: 0, completed: 0, abandoned: 0, skipped: 0 };
+
+    const staleBefore = admin.firestore.Timestamp.fromMillis(Date.now() - PENDING_SWEEP_CONFIG.STALE_AFTER_MS);
+    const snapshot = await db.collection('pending_payments')
+        .where('created_at', '<', staleBefore)
+        .orderBy('created_at', 'asc')
+        .limit(PENDING_SWEEP_CONFIG.BATCH_SIZE)
+        .get();
+
+    for (const doc of snapshot.docs) {
+        result.checked++;
+        const pending = doc.data();
+
+        try {
+            if (!pending.yoco_checkout_id) {
+                await abandonPendingPayment(doc.id, 'missing_checkout_id', null);
+                result.abandoned++;
+                continue;
+            }
+
+            const paymentDetails = await verifyYocoPayment(pending.yoco_checkout_id);
+
+            if (!paymentDetails) {
+                // Yoco unreachable or checkout unknown — try again next run,
+                // unless we've been trying for too long already.
+                const ageMs = Date.now() - (pending.created_at?.toMillis?.() || Date.now());
+                if (ageMs > PENDING_SWEEP_CONFIG.UNVERIFIED_GIVE_UP_MS) {
+                    await abandonPendingPayment(doc.id, 'unverified', null);
+                    result.abandoned++;
+                } else {
+                    result.skipped++;
+                }
+                continue;
+            }
+
+            if (
+                paymentDetails.status === 'successful' ||
+                paymentDetails.status === 'completed' ||
+                paymentDetails.paymentId
+            ) {
+                console.log(`[${sweepId}] Checkout ${pending.yoco_checkout_id} was paid — completing order`);
+                await completeOrderFromCheckoutId(pending.yoco_checkout_id, paymentDetails, sweepId);
+                result.completed++;
+                continue;
+            }
+
+            // Prefer what we saw from the customer's return (cancelled /
+            // failed) over Yoco's generic status for an unpaid checkout.
+            const reason = pending.status === 'cancelled' || pending.status === 'failed'
+                ? pending.status
+                : 'expired';
+
+            if (await abandonPendingPayment(doc.id, reason, paymentDetails)) {
+                result.abandoned++;
+            }
+        } catch (error) {
+            console.error(`[${sweepId}] Failed to sweep pending payment ${doc.id}:`, error);
+            result.skipped++;
+        }
+    }
+
+    console.log(`[${sweepId}] Done:`, result);
+    return result;
+}
+
+// ============================================
+// ORDER FULFILMENT LIFECYCLE
+// ============================================
+//
+// paid -> picking -> ready -> out_for_delivery -> delivered, and any
+// not-yet-delivered order can be cancelled. Click-and-collect orders go
+// ready -> collected instead (see CLICK AND COLLECT). Orders created before the
+// lifecycle existed have status 'completed', which is treated as 'paid'.
+// Cash orders start at awaiting_cash instead of paid (see CASH PAYMENTS).
+// Tab orders start at paid; cancelling one takes it off the customer's
+// balance (see CREDIT ACCOUNTS).
+
+const ORDER_STATUS_TRANSITIONS = {
+    awaiting_cash: ['picking', 'cancelled'],
+    paid: ['picking', 'cancelled'],
+    completed: ['picking', 'cancelled'],
+    picking: ['ready', 'cancelled'],
+    ready: ['out_for_delivery', 'collected', 'cancelled'],
+    out_for_delivery: ['delivered', 'ready', 'cancelled'],
+    delivered: [],
+    collected: [],
+    cancelled: []
+};
+
+// Statuses where the customer's money has been taken and kept (for cash
+// orders, only once payment_status is 'paid')
+const PAID_ORDER_STATUSES = ['paid', 'completed', 'picking', 'ready', 'out_for_delivery', 'delivered', 'collected'];
+
+// Only these statuses are worth a WhatsApp — picking is internal.
+const CUSTOMER_STATUS_MESSAGES = {
+    paid: 'Payment received',
+    ready: 'Ready',
+    out_for_delivery: 'Out for delivery',
+    delivered: 'Delivered',
+    collected: 'Collected',
+    cancelled: 'Cancelled'
+};
+
+// Moves an order to nextStatus if the lifecycle allows it, appending to
+// status_history, then notifies the customer for visible transitions.
+// Throws an error with code 'ORDER_NOT_FOUND', 'INVALID_TRANSITION' or
+// 'CASH_NOT_COLLECTED'.
+async function transitionOrderStatus(orderId, nextStatus, { note = '', actor = 'admin', extraUpdates = {} } = {}) {
+    const orderRef = db.collection('orders').doc(orderId);
+
+    const { order, previousStatus } = await db.runTransaction(async (transaction) => {
+        const orderDoc = await transaction.get(orderRef);
+
+        if (!orderDoc.exists) {
+            const error = new Error(`Order ${orderId} not found`);
+            error.code = 'ORDER_NOT_FOUND';
+            throw error;
+        }
+
+        const current = orderDoc.data();
+        const currentStatus = current.status || 'paid';
+        // Collection orders are never driven out, and only they are collected
+        const allowed = (ORDER_STATUS_TRANSITIONS[currentStatus] || []).filter(status =>
+            isCollectionOrder(current) ? status !== 'out_for_delivery' : status !== 'collected'
+        );
+
+        if (!allowed.includes(nextStatus)) {
+            const error = new Error(`Cannot move order from ${currentStatus} to ${nextStatus}`);
+            error.code = 'INVALID_TRANSITION';
+            error.currentStatus = currentStatus;
+            error.allowedStatuses = allowed;
+            throw error;
+        }
+
+        if ((nextStatus === 'delivered' || nextStatus === 'collected') && current.payment_status === 'awaiting_cash') {
+            const error = new Error(`Record the cash payment before marking the order ${nextStatus}`);
+            error.code = 'CASH_NOT_COLLECTED';
+            throw error;
+        }
+
+        const historyEntry = {
+            status: nextStatus,
+            from: currentStatus,
+            at: admin.firestore.Timestamp.now(),
+            by: actor
+        };
+        if (note) {
+            historyEntry.note = note;
+        }
+
+        // Points earned are taken back and points spent are returned
+        const loyaltyUpdates = nextStatus === 'cancelled'
+            ? adjustOrderLoyaltyInTransaction(transaction, orderId, current, 1, 'order_cancelled')
+            : {};
+
+        // A cancelled tab order comes off what the customer owes
+        if (nextStatus === 'cancelled' && isTabOrder(current)) {
+            reverseTabChargeInTransaction(transaction, orderId, current, 'order_cancelled');
+        }
+
+        // A booked delivery slot frees up for someone else
+        const slotUpdates = {};
+        if (nextStatus === 'cancelled' && current.delivery_slot_booked && current.delivery_slot) {
+            writeDeliverySlotCountsInTransaction(transaction, current.delivery_slot, { booked: -1 });
+            slotUpdates.delivery_slot_booked = false;
+        }
+
+        // Back to ready means off whatever run it was on, so it can go on another
+        const runUpdates = nextStatus === 'ready' ? { delivery_run_id: null, driver_id: null } : {};
+
+        transaction.update(orderRef, {
+            ...runUpdates,
+            ...extraUpdates,
+            ...loyaltyUpdates,
+            ...slotUpdates,
+            status: nextStatus,
+            status_history: admin.firestore.FieldValue.arrayUnion(historyEntry),
+            [`${nextStatus}_at`]: admin.firestore.FieldValue.serverTimestamp(),
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return { order: { id: orderDoc.id, ...current, ...runUpdates, ...extraUpdates, status: nextStatus }, previousStatus: currentStatus };
+    });
+
+    console.log(`[order-status] ${orderId}: ${previousStatus} -> ${nextStatus} (by ${actor})`);
+
+    // Unpaid cash orders still hold their stock. Paid orders' reservations
+    // are already converted, so this is a no-op for them.
+    if (nextStatus === 'cancelled' && order.reservation_id) {
+        await releaseStockReservation(order.reservation_id, 'order_cancelled');
+    }
+
+    let customerMessage = CUSTOMER_STATUS_MESSAGES[nextStatus];
+    if (nextStatus === 'ready' && isCollectionOrder(order)) {
+        customerMessage = 'Ready for collection';
+    } else if (nextStatus === 'ready' && previousStatus === 'out_for_delivery') {
+        customerMessage = 'We missed you - we will try again soon';
+    }
+    if (customerMessage) {
+        await sendWhatsAppNotification(order, customerMessage);
+    }
+
+    return { order, previousStatus };
+}
+
+// ============================================
+// CLICK AND COLLECT
+// ============================================
+//
+// /create-checkout takes fulfilment_type 'collect' for customers who fetch
+// their order from the store: no address, delivery fee or slot. When the
+// order is paid it gets a short pickup_code, sent with every WhatsApp
+// update, which staff check at the counter (POST /admin/pickups/collect)
+// to hand the order over and mark it collected.
+
+const FULFILMENT_TYPES = ['delivery', 'collect'];
+
+const PICKUP_CODE_CONFIG = {
+    LENGTH: 6,
+    // No 0/O or 1/I, which are easy to misread off a phone screen
+    ALPHABET: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+};
+
+// Orders from before click-and-collect were all delivered
+function isCollectionOrder(order) {
+    return order.fulfilment_type === 'collect';
+}
+
+function generatePickupCode() {
+    let code = '';
+    for (let i = 0; i < PICKUP_CODE_CONFIG.LENGTH; i++) {
+        code += PICKUP_CODE_CONFIG.ALPHABET[crypto.randomInt(PICKUP_CODE_CONFIG.ALPHABET.length)];
+    }
+    return code;
+}
+
+function normalisePickupCode(code) {
+    return String(code || '').trim().toUpperCase().replace(/[\s-]/g, '');
+}
+
+// Finds the collection order a pickup code belongs to, among those not yet
+// handed over. Codes aren't unique across all time, so collected and
+// cancelled orders are skipped. Returns the order or null.
+async function findOrderByPickupCode(code) {
+    const snapshot = await db.collection('orders')
+        .where('pickup_code', '==', normalisePickupCode(code))
+        .get();
+
+    const waiting = snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(order => !['collected', 'cancelled'].includes(order.status));
+
+    return waiting[0] || null;
+}
+
+// ============================================
+// DRIVERS AND DELIVERY RUNS
+// ============================================
+//
+// Staff group ready delivery orders into runs, one per area (customer_city
+// or postal code), and give each run to a driver from the drivers
+// collection. A run is a delivery_runs document holding its stops, and
+// can be cancelled while still planned. When it is dispatched every
+// stop's order goes out_for_delivery; the driver
+// then reports each stop as delivered, or as a failed attempt, which puts
+// the order back to ready for a later run. Drivers see their run at
+// GET /driver/:driverId/run and sign in with a PIN, like tab customers.
+
+const DELIVERY_RUN_CONFIG = {
+    MAX_STOPS_PER_RUN: 20,
+    MAX_PIN_FAILURES: 5
+};
+
+const DELIVERY_RUN_GROUPINGS = ['city', 'postal_code'];
+const DELIVERY_STOP_OUTCOMES = ['delivered', 'failed'];
+
+function hashDriverPin(driverId, pin) {
+    return crypto.createHash('sha256').update(`driver:${driverId}:${pin}`).digest('hex');
+}
+
+function publicDriver(id, driver) {
+    const { pin_hash, ...rest } = driver;
+    return { id, ...rest, pin_set: !!pin_hash };
+}
+
+// Throws an error with code 'DRIVER_NOT_FOUND' or 'DRIVER_INACTIVE'.
+async function getActiveDriver(driverId) {
+    const driverDoc = await db.collection('drivers').doc(String(driverId)).get();
+    if (!driverDoc.exists) {
+        const error = new Error(`Driver ${driverId} not found`);
+        error.code = 'DRIVER_NOT_FOUND';
+        throw error;
+    }
+    if (driverDoc.data().active === false) {
+        const error = new Error(`${driverDoc.data().name} is not an active driver`);
+        error.code = 'DRIVER_INACTIVE';
+        throw error;
+    }
+    return { id: driverDoc.id, ...driverDoc.data() };
+}
+
+// Checks a driver's PIN, locking them out after too many wrong tries until
+// an admin sets a new one. Throws 'DRIVER_NOT_FOUND', 'DRIVER_INACTIVE',
+// 'DRIVER_PIN_LOCKED' or 'DRIVER_PIN_INVALID'.
+async function authenticateDriver(driverId, pin) {
+    const driver = await getActiveDriver(driverId);
+    const driverRef = db.collection('drivers').doc(driver.id);
+
+    if ((driver.pin_failures || 0) >= DELIVERY_RUN_CONFIG.MAX_PIN_FAILURES) {
+        const error = new Error('Too many wrong PINs - ask the store to reset yours');
+        error.code = 'DRIVER_PIN_LOCKED';
+        throw error;
+    }
+
+    const received = Buffer.from(hashDriverPin(driver.id, String(pin || '')), 'hex');
+    const expected = Buffer.from(driver.pin_hash || '', 'hex');
+    if (!pin || received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        await driverRef.update({ pin_failures: admin.firestore.FieldValue.increment(1) });
+        const error = new Error('Incorrect PIN');
+        error.code = 'DRIVER_PIN_INVALID';
+        throw error;
+    }
+
+    if (driver.pin_failures) {
+        await driverRef.update({ pin_failures: 0 });
+    }
+    return driver;
+}
+
+// The area an order is grouped under. Falls back to the delivery quote's
+// address for orders whose customer_info has none.
+function deliveryRunArea(order, groupBy) {
+    const area = groupBy === 'postal_code'
+        ? order.customer_info?.customer_postal_code || order.delivery?.postal_code
+        : order.customer_info?.customer_city || order.delivery?.suburb;
+    return String(area || '').trim() || 'Unknown area';
+}
+
+// Cash on delivery orders are the only ones the driver collects money for
+function buildDeliveryStop(order) {
+    return {
+        order_id: order.id,
+        order_reference: order.order_reference || null,
+        customer_name: order.customer_info?.customer_name || '',
+        customer_phone: order.customer_info?.customer_phone || '',
+        address: order.customer_info?.customer_address || '',
+        city: order.customer_info?.customer_city || '',
+        postal_code: order.customer_info?.customer_postal_code || '',
+        delivery_slot: order.delivery_slot || null,
+        item_count: (order.items || []).reduce((sum, item) => sum + item.quantity, 0),
+        amount_due_cents: order.payment_status === 'awaiting_cash' ? order.amount_cents : 0,
+        status: 'pending'
+    };
+}
+
+// Puts every ready delivery order not yet on a run into new runs, one per
+// area (split if an area has more than MAX_STOPS_PER_RUN). Pass area to
+// build just that one, and driverId to assign the runs straight away.
+// Returns the runs created. Throws 'DRIVER_NOT_FOUND' or 'DRIVER_INACTIVE'.
+async function createDeliveryRuns({ groupBy = 'city', area = null, driverId = null, createdBy = 'admin' } = {}) {
+    const driver = driverId ? await getActiveDriver(driverId) : null;
+
+    const snapshot = await db.collection('orders').where('status', '==', 'ready').get();
+    const groups = new Map();
+
+    snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(order => !isCollectionOrder(order) && !order.delivery_run_id)
+        .forEach(order => {
+            const key = deliveryRunArea(order, groupBy);
+            if (area && key.toLowerCase() !== String(area).trim().toLowerCase()) {
+                return;
+            }
+            groups.set(key, [...(groups.get(key) || []), order]);
+        });
+
+    const runs = [];
+    const runDate = todaySAST();
+
+    for (const [key, orders] of [...groups.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+        // Neighbouring addresses end up next to each other on the sheet
+        orders.sort((a, b) =>
+            deliveryRunArea(a, 'postal_code').localeCompare(deliveryRunArea(b, 'postal_code')) ||
+            (a.customer_info?.customer_address || '').localeCompare(b.customer_info?.customer_address || '')
+        );
+
+        for (let i = 0; i < orders.length; i += DELIVERY_RUN_CONFIG.MAX_STOPS_PER_RUN) {
+            const batch = orders.slice(i, i + DELIVERY_RUN_CONFIG.MAX_STOPS_PER_RUN);
+            const runRef = db.collection('delivery_runs').doc();
+
+            // Another run may have picked up some of these since the query
+            const run = await db.runTransaction(async (transaction) => {
+                const orderDocs = await transaction.getAll(...batch.map(order => db.collection('orders').doc(order.id)));
+                const stillFree = orderDocs
+                    .filter(doc => doc.exists && doc.data().status === 'ready' && !doc.data().delivery_run_id)
+                    .map(doc => ({ id: doc.id, ...doc.data() }));
+
+                if (stillFree.length === 0) {
+                    return null;
+                }
+
+                const data = {
+                    area: key,
+                    group_by: groupBy,
+                    run_date: runDate,
+                    driver_id: driver ? driver.id : null,
+                    driver_name: driver ? driver.name : null,
+                    status: 'planned',
+                    stops: stillFree.map(buildDeliveryStop),
+                    created_by: createdBy,
+                    created_at: admin.firestore.FieldValue.serverTimestamp(),
+                    updated_at: admin.firestore.FieldValue.serverTimestamp()
+                };
+                transaction.set(runRef, data);
+                stillFree.forEach(order => {
+                    transaction.update(db.collection('orders').doc(order.id), {
+                        delivery_run_id: runRef.id,
+                        updated_at: admin.firestore.FieldValue.serverTimestamp()
+                    });
+                });
+                return { id: runRef.id, ...data };
+            });
+
+            if (run) {
+                runs.push(run);
+            }
+        }
+    }
+
+    console.log(`[delivery-runs] ${createdBy} built ${runs.length} run(s) by ${groupBy}`);
+    return runs;
+}
+
+// Throws 'RUN_NOT_FOUND', or 'RUN_LOCKED' if the run is no longer planned.
+async function assignDeliveryRunDriver(runId, driverId) {
+    const driver = await getActiveDriver(driverId);
+    const runRef = db.collection('delivery_runs').doc(runId);
+
+    await db.runTransaction(async (transaction) => {
+        const runDoc = await transaction.get(runRef);
+        if (!runDoc.exists) {
+            const error = new Error(`Delivery run ${runId} not found`);
+            error.code = 'RUN_NOT_FOUND';
+            throw error;
+        }
+        if (runDoc.data().status !== 'planned') {
+            const error = new Error('Only a planned run can change driver');
+            error.code = 'RUN_LOCKED';
+            throw error;
+        }
+        transaction.update(runRef, {
+            driver_id: driver.id,
+            driver_name: driver.name,
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+    });
+
+    return driver;
+}
+
+// Takes a stop that couldn't be dispatched back off its run, so the order
+// goes back in the pool for the next runs built. If the order did go out
+// (the error came after its transition was committed) the stop is kept.
+// Returns the stop as it should be recorded on the run.
+async function releaseFailedRunStop(runId, stop, reason) {
+    const orderRef = db.collection('orders').doc(stop.order_id);
+
+    return db.runTransaction(async (transaction) => {
+        const orderDoc = await transaction.get(orderRef);
+        const order = orderDoc.exists ? orderDoc.data() : null;
+
+        if (order?.delivery_run_id === runId && order.status === 'out_for_delivery') {
+            return stop;
+        }
+        if (order?.delivery_run_id === runId) {
+            transaction.update(orderRef, {
+                delivery_run_id: null,
+                updated_at: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+        return { ...stop, status: 'removed', note: reason };
+    });
+}
+
+// Sends one stop of a dispatching run out. Never throws: a stop that
+// can't go out is released and recorded as removed.
+async function dispatchRunStop(runId, run, stop, actor) {
+    try {
+        const orderDoc = await db.collection('orders').doc(stop.order_id).get();
+        if (orderDoc.exists && orderDoc.data().delivery_run_id !== runId) {
+            return { ...stop, status: 'removed', note: 'Taken off this run' };
+        }
+
+        await transitionOrderStatus(stop.order_id, 'out_for_delivery', {
+            note: `Run ${runId} with ${run.driver_name}`,
+            actor,
+            extraUpdates: { driver_id: run.driver_id }
+        });
+        return stop;
+    } catch (error) {
+        if (error.code !== 'INVALID_TRANSITION' && error.code !== 'ORDER_NOT_FOUND') {
+            console.error(`[delivery-runs] Could not dispatch ${stop.order_id} on run ${runId}:`, error);
+        } else {
+            console.warn(`[delivery-runs] ${stop.order_id} left off run ${runId}: ${error.message}`);
+        }
+
+        try {
+            return await releaseFailedRunStop(runId, stop, error.message);
+        } catch (releaseError) {
+            console.error(`[delivery-runs] Could not release ${stop.order_id} from run ${runId}:`, releaseError);
+            return { ...stop, status: 'removed', note: error.message };
+        }
+    }
+}
+
+// Sends a planned run out: each stop's order moves to out_for_delivery
+// (which WhatsApps the customer). The run is moved to 'dispatching' in a
+// transaction first, so a second dispatch of the same run is refused
+// rather than finding every order already out. Orders cancelled or taken
+// off the run since it was built are left off, and a stop that fails is
+// released back to the pool. The run always leaves 'dispatching', even if
+// dispatch stops part way. Throws 'RUN_NOT_FOUND', 'RUN_LOCKED' or
+// 'RUN_NO_DRIVER'.
+async function dispatchDeliveryRun(runId, actor = 'admin') {
+    const runRef = db.collection('delivery_runs').doc(runId);
+
+    const run = await db.runTransaction(async (transaction) => {
+        const runDoc = await transaction.get(runRef);
+
+        if (!runDoc.exists) {
+            const error = new Error(`Delivery run ${runId} not found`);
+            error.code = 'RUN_NOT_FOUND';
+            throw error;
+        }
+        const data = runDoc.data();
+        if (data.status !== 'planned') {
+            const error = new Error(`Run is already ${data.status}`);
+            error.code = 'RUN_LOCKED';
+            throw error;
+        }
+        if (!data.driver_id) {
+            const error = new Error('Assign a driver before dispatching the run');
+            error.code = 'RUN_NO_DRIVER';
+            throw error;
+        }
+
+        transaction.update(runRef, {
+            status: 'dispatching',
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return data;
+    });
+
+    const stops = [];
+    let status;
+    try {
+        for (const stop of run.stops) {
+            stops.push(await dispatchRunStop(runId, run, stop, actor));
+        }
+    } finally {
+        // dispatchRunStop doesn't throw, but if anything does, stops never
+        // reached are recorded as left off rather than leaving the run stuck
+        run.stops.slice(stops.length).forEach(stop => {
+            stops.push({ ...stop, status: 'removed', note: 'Dispatch stopped before this stop' });
+        });
+
+        status = stops.some(stop => stop.status === 'pending') ? 'out_for_delivery' : 'completed';
+        await runRef.update({
+            status,
+            stops,
+            dispatched_at: admin.firestore.FieldValue.serverTimestamp(),
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+    }
+
+    return { id: runId, ...run, status, stops };
+}
+
+// Breaks up a planned run that won't go out, putting its orders back in
+// the pool for the next runs built. Throws 'RUN_NOT_FOUND' or 'RUN_LOCKED'.
+async function cancelDeliveryRun(runId, actor = 'admin') {
+    const runRef = db.collection('delivery_runs').doc(runId);
+
+    const run = await db.runTransaction(async (transaction) => {
+        const runDoc = await transaction.get(runRef);
+        if (!runDoc.exists) {
+            const error = new Error(`Delivery run ${runId} not found`);
+            error.code = 'RUN_NOT_FOUND';
+            throw error;
+        }
+        const data = runDoc.data();
+        if (data.status !== 'planned') {
+            const error = new Error(`Run is already ${data.status}`);
+            error.code = 'RUN_LOCKED';
+            throw error;
+        }
+
+        const orderRefs = data.stops.map(stop => db.collection('orders').doc(stop.order_id));
+        const orderDocs = orderRefs.length > 0 ? await transaction.getAll(...orderRefs) : [];
+
+        orderDocs
+            .filter(orderDoc => orderDoc.exists && orderDoc.data().delivery_run_id === runId)
+            .forEach(orderDoc => {
+                transaction.update(orderDoc.ref, {
+                    delivery_run_id: null,
+                    updated_at: admin.firestore.FieldValue.serverTimestamp()
+                });
+            });
+
+        transaction.update(runRef, {
+            status: 'cancelled',
+            cancelled_by: actor,
+            cancelled_at: admin.firestore.FieldValue.serverTimestamp(),
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return data;
+    });
+
+    console.log(`[delivery-runs] ${actor} cancelled run ${runId} (${run.stops.length} stop(s))`);
+    return { id: runId, ...run, status: 'cancelled' };
+}
+
+// Writes one stop's result back into the run, completing the run once
+// nothing is pending.
+async function updateDeliveryStop(runRef, orderId, changes) {
+    return db.runTransaction(async (transaction) => {
+        const runDoc = await transaction.get(runRef);
+        const stops = runDoc.data().stops.map(stop =>
+            stop.order_id === orderId
+                ? { ...stop, ...changes, updated_at: admin.firestore.Timestamp.now() }
+                : stop
+        );
+        const completed = !stops.some(stop => stop.status === 'pending');
+
+        transaction.update(runRef, {
+            stops,
+            status: completed ? 'completed' : runDoc.data().status,
+            ...(completed ? { completed_at: admin.firestore.FieldValue.serverTimestamp() } : {}),
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return { id: runDoc.id, ...runDoc.data(), stops, status: completed ? 'completed' : runDoc.data().status };
+    });
+}
+
+// A driver's report for one stop. Delivering a cash on delivery order
+// needs the cash tendered, which is recorded first. A failed attempt puts
+// the order back to ready and off the run. Throws 'RUN_NOT_FOUND',
+// 'STOP_NOT_FOUND', 'STOP_CLOSED', 'CASH_REQUIRED', plus anything from
+// recordCashCollection or transitionOrderStatus.
+async function recordDeliveryStopOutcome(driver, runId, orderId, { outcome, note = '', cashTenderedCents = null }) {
+    const runRef = db.collection('delivery_runs').doc(runId);
+    const runDoc = await runRef.get();
+
+    if (!runDoc.exists || runDoc.data().driver_id !== driver.id) {
+        const error = new Error(`Delivery run ${runId} not found`);
+        error.code = 'RUN_NOT_FOUND';
+        throw error;
+    }
+    const stop = runDoc.data().stops.find(candidate => candidate.order_id === orderId);
+    if (!stop) {
+        const error = new Error(`Order ${orderId} is not on this run`);
+        error.code = 'STOP_NOT_FOUND';
+        throw error;
+    }
+    if (runDoc.data().status !== 'out_for_delivery' || stop.status !== 'pending') {
+        const error = new Error(`This stop is already ${stop.status === 'pending' ? runDoc.data().status : stop.status}`);
+        error.code = 'STOP_CLOSED';
+        throw error;
+    }
+
+    const actor = `driver:${driver.name}`;
+
+    try {
+        if (outcome === 'delivered') {
+            let cashCollectedCents = 0;
+            if (stop.amount_due_cents > 0) {
+                const orderDoc = await db.collection('orders').doc(orderId).get();
+                if (orderDoc.exists && orderDoc.data().payment_status === 'awaiting_cash') {
+                    if (!(cashTenderedCents > 0)) {
+                        const error = new Error(`Collect R${(stop.amount_due_cents / 100).toFixed(2)} before marking this delivered`);
+                        error.code = 'CASH_REQUIRED';
+                        throw error;
+                    }
+                    await recordCashCollection(orderId, cashTenderedCents, actor);
+                    cashCollectedCents = stop.amount_due_cents;
+                }
+            }
+
+            await transitionOrderStatus(orderId, 'delivered', { note, actor });
+            return updateDeliveryStop(runRef, orderId, { status: 'delivered', note, cash_collected_cents: cashCollectedCents });
+        }
+
+        await transitionOrderStatus(orderId, 'ready', {
+            note: `Delivery attempt failed${note ? `: ${note}` : ''}`,
+            actor,
+            extraUpdates: {
+                failed_delivery_attempts: admin.firestore.FieldValue.increment(1)
+            }
+        });
+        return updateDeliveryStop(runRef, orderId, { status: 'failed', note });
+    } catch (error) {
+        // Cancelled while on the road: nothing left for the driver to do
+        if (error.code === 'INVALID_TRANSITION' && error.currentStatus === 'cancelled') {
+            await updateDeliveryStop(runRef, orderId, { status: 'removed', note: 'Order cancelled' });
+        }
+        throw error;
+    }
+}
+
+// Run totals for the daily report, per driver
+async function getDeliveryRunTotals(date) {
+    const snapshot = await db.collection('delivery_runs').where('run_date', '==', date).get();
+    const totals = { runs: 0, stops: 0, delivered: 0, failed: 0, pending: 0, cash_collected: 0, byDriver: {} };
+
+    snapshot.forEach(doc => {
+        const run = doc.data();
+        if (run.status === 'cancelled') return;
+        const driverName = run.driver_name || 'Unassigned';
+        const driverTotals = totals.byDriver[driverName] || { runs: 0, stops: 0, delivered: 0, failed: 0, cash_collected: 0 };
+
+        totals.runs += 1;
+        driverTotals.runs += 1;
+
+        run.stops.filter(stop => stop.status !== 'removed').forEach(stop => {
+            const cash = (stop.cash_collected_cents || 0) / 100;
+            totals.stops += 1;
+            driverTotals.stops += 1;
+            if (stop.status === 'delivered') {
+                totals.delivered += 1;
+                driverTotals.delivered += 1;
+            } else if (stop.status === 'failed') {
+                totals.failed += 1;
+                driverTotals.failed += 1;
+            } else {
+                totals.pending += 1;
+            }
+            totals.cash_collected = Number((totals.cash_collected + cash).toFixed(2));
+            driverTotals.cash_collected = Number((driverTotals.cash_collected + cash).toFixed(2));
+        });
+
+        totals.byDriver[driverName] = driverTotals;
+    });
+
+    return totals;
+}
+
+// ============================================
+// ORDER TRACKING
+// ============================================
+//
+// Customers look up their own order at GET /api/orders/track with the
+// order reference and the last four digits of the phone number on it.
+// There is no login, so the answer is kept to what the customer already
+// knows: status, timeline and totals, but no address, staff names or
+// pickup code. Wrong digits count against the order, and after
+// MAX_FAILURES it can't be tracked for LOCKOUT_MS, so the digits can't be
+// guessed by trying them all. They also count against the client's IP
+// address (tracking_clients, keyed by a hash of the address), so one
+// client can't work through many orders a few guesses at a time.
+
+const TRACKING_CONFIG = {
+    PHONE_DIGITS: 4,
+    MAX_FAILURES: 10,
+    MAX_CLIENT_FAILURES: 30,
+    LOCKOUT_MS: 15 * 60 * 1000
+};
+
+const TRACKING_STATUS_LABELS = {
+    awaiting_cash: 'Order placed - pay on delivery',
+    paid: 'Payment received',
+    completed: 'Payment received',
+    picking: 'Being packed',
+    ready: 'Packed and ready',
+    out_for_delivery: 'Out for delivery',
+    delivered: 'Delivered',
+    collected: 'Collected',
+    cancelled: 'Cancelled'
+};
+
+function trackingStatusLabel(order, status, from = null) {
+    if (status === 'ready' && from === 'out_for_delivery') {
+        return 'Delivery attempt missed';
+    }
+    if (status === 'ready' && isCollectionOrder(order)) {
+        return 'Ready for collection';
+    }
+    return TRACKING_STATUS_LABELS[status] || status;
+}
+
+function timestampToISO(value) {
+    if (!value) {
+        return null;
+    }
+    return typeof value.toDate === 'function' ? value.toDate().toISOString() : new Date(value).toISOString();
+}
+
+// What a customer may see of their order
+function buildOrderTracking(order) {
+    const history = Array.isArray(order.status_history) && order.status_history.length > 0
+        ? order.status_history
+        : [{ status: order.status || 'paid', at: order.created_at }];
+
+    const timeline = history
+        .map(entry => ({
+            status: entry.status,
+            label: trackingStatusLabel(order, entry.status, entry.from),
+            at: timestampToISO(entry.at)
+        }))
+        .sort((a, b) => (a.at || '').localeCompare(b.at || ''));
+
+    const status = order.status || 'paid';
+
+    return {
+        order_reference: order.order_reference,
+        status,
+        status_label: trackingStatusLabel(order, status, history[history.length - 1]?.from),
+        fulfilment_type: order.fulfilment_type || 'delivery',
+        customer_first_name: (order.customer_info?.customer_name || '').split(' ')[0],
+        placed_at: timestampToISO(order.created_at),
+        scheduled_for: order.scheduled_for || null,
+        delivery_slot: order.delivery_slot
+            ? { date: order.delivery_slot.date, start: order.delivery_slot.start, end: order.delivery_slot.end }
+            : null,
+        item_count: (order.items || []).reduce((sum, item) => sum + item.quantity, 0),
+        total: (order.amount_cents || 0) / 100,
+        payment_status: order.payment_status === 'awaiting_cash' ? 'pay_on_delivery' : 'paid',
+        // See TAX INVOICES
+        invoice_available: isInvoiceable(order),
+        timeline
+    };
+}
+
+// Counts a wrong guess against a tracking_clients or orders document.
+// failures is the document's current count; a run of failures starts
+// again once an old lockout has passed.
+function countTrackingFailureInTransaction(transaction, ref, failures, lastFailureAt, countField, atField) {
+    const lastFailureMs = lastFailureAt ? lastFailureAt.toMillis() : 0;
+    const expired = !failures || Date.now() - lastFailureMs >= TRACKING_CONFIG.LOCKOUT_MS;
+    transaction.set(ref, {
+        [countField]: expired ? 1 : admin.firestore.FieldValue.increment(1),
+        [atField]: admin.firestore.Timestamp.now()
+    }, { merge: true });
+}
+
+function isTrackingLocked(failures, lastFailureAt, maxFailures) {
+    const lastFailureMs = lastFailureAt ? lastFailureAt.toMillis() : 0;
+    return (failures || 0) >= maxFailures && Date.now() - lastFailureMs < TRACKING_CONFIG.LOCKOUT_MS;
+}
+
+// Returns { order } or { error: 'not_found' | 'locked' }. A wrong phone
+// gets the same answer as an unknown reference. clientIp is the caller's
+// address; failures are counted against it and the order in one
+// transaction, so concurrent guesses are all counted.
+async function findOrderForTracking(orderReference, phoneLastDigits, clientIp) {
+    const clientKey = crypto.createHash('sha256').update(String(clientIp || 'unknown')).digest('hex').slice(0, 32);
+    const clientRef = db.collection('tracking_clients').doc(clientKey);
+    const orderQuery = db.collection('orders')
+        .where('order_reference', '==', String(orderReference))
+        .limit(1);
+
+    return db.runTransaction(async (transaction) => {
+        const clientDoc = await transaction.get(clientRef);
+        const snapshot = await transaction.get(orderQuery);
+        const client = clientDoc.exists ? clientDoc.data() : {};
+
+        if (isTrackingLocked(client.failures, client.last_failure_at, TRACKING_CONFIG.MAX_CLIENT_FAILURES)) {
+            return { error: 'locked' };
+        }
+
+        if (snapshot.empty) {
+            countTrackingFailureInTransaction(transaction, clientRef, client.failures, client.last_failure_at, 'failures', 'last_failure_at');
+            return { error: 'not_found' };
+        }
+
+        const orderDoc = snapshot.docs[0];
+        const order = orderDoc.data();
+
+        if (isTrackingLocked(order.tracking_failures, order.tracking_last_failure_at, TRACKING_CONFIG.MAX_FAILURES)) {
+            return { error: 'locked' };
+        }
+
+        const phoneDigits = String(order.customer_info?.customer_phone || order.metadata?.customer_phone || '').replace(/\D/g, '');
+        if (!phoneDigits || !phoneDigits.endsWith(phoneLastDigits)) {
+            countTrackingFailureInTransaction(transaction, clientRef, client.failures, client.last_failure_at, 'failures', 'last_failure_at');
+            countTrackingFailureInTransaction(
+                transaction, orderDoc.ref, order.tracking_failures, order.tracking_last_failure_at,
+                'tracking_failures', 'tracking_last_failure_at'
+            );
+            return { error: 'not_found' };
+        }
+
+        if (order.tracking_failures) {
+            transaction.update(orderDoc.ref, { tracking_failures: 0 });
+        }
+        return { order: { id: orderDoc.id, ...order } };
+    });
+}
+
+// ============================================
+// TAX INVOICES
+// ============================================
+//
+// A paid order can have a PDF tax invoice, for admin download, customer
+// download (with the same reference + phone check as tracking) or email.
+// The invoice number is taken from counters/invoices in a transaction the
+// first time the invoice is asked for, and stored on the order as
+// invoice_number, so numbers run in sequence with no gaps or repeats and
+// re-downloads show the same number. Seller details come from the
+// environment; without SELLER_VAT_NUMBER no invoice is issued, as it
+// wouldn't be a valid tax invoice.
+
+const INVOICE_CONFIG = {
+    PREFIX: process.env.INVOICE_PREFIX || 'INV-',
+    NUMBER_DIGITS: 6,
+    SELLER_NAME: process.env.SELLER_NAME || 'EezySpaza',
+    SELLER_ADDRESS: process.env.SELLER_ADDRESS || '',
+    SELLER_VAT_NUMBER: process.env.SELLER_VAT_NUMBER || '',
+    SELLER_PHONE: process.env.SELLER_PHONE || '',
+    SELLER_EMAIL: process.env.SELLER_EMAIL || process.env.GMAIL_USER || ''
+};
+
+function formatRands(cents) {
+    return `R${(cents / 100).toFixed(2)}`;
+}
+
+// Cash orders only count as paid once the cash is in
+function isInvoiceable(order) {
+    return PAID_ORDER_STATUSES.includes(order.status || 'paid') && order.payment_status !== 'awaiting_cash';
+}
+
+// Gives the order its invoice number if it doesn't have one yet. Returns
+// the order with invoice_number and invoice_issued_at. Throws an error
+// with code 'INVOICE_NOT_CONFIGURED', 'ORDER_NOT_FOUND' or
+// 'ORDER_NOT_INVOICEABLE'.
+async function issueInvoiceNumber(orderId) {
+    if (!INVOICE_CONFIG.SELLER_VAT_NUMBER) {
+        const error = new Error('SELLER_VAT_NUMBER is not set');
+        error.code = 'INVOICE_NOT_CONFIGURED';
+        throw error;
+    }
+
+    const orderRef = db.collection('orders').doc(orderId);
+    const counterRef = db.collection('counters').doc('invoices');
+
+    const { order, issued } = await db.runTransaction(async (transaction) => {
+        const [orderDoc, counterDoc] = await transaction.getAll(orderRef, counterRef);
+
+        if (!orderDoc.exists) {
+            const error = new Error(`Order ${orderId} not found`);
+            error.code = 'ORDER_NOT_FOUND';
+            throw error;
+        }
+
+        const existing = { id: orderDoc.id, ...orderDoc.data() };
+        if (existing.invoice_number) {
+            return { order: existing, issued: false };
+        }
+        if (!isInvoiceable(existing)) {
+            const error = new Error('Only paid orders can be invoiced');
+            error.code = 'ORDER_NOT_INVOICEABLE';
+            throw error;
+        }
+
+        const number = (counterDoc.exists ? counterDoc.data().last_number || 0 : 0) + 1;
+        const invoiceNumber = `${INVOICE_CONFIG.PREFIX}${String(number).padStart(INVOICE_CONFIG.NUMBER_DIGITS, '0')}`;
+        const issuedAt = admin.firestore.Timestamp.now();
+
+        transaction.set(counterRef, {
+            last_number: number,
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+        transaction.update(orderRef, {
+            invoice_number: invoiceNumber,
+            invoice_issued_at: issuedAt,
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return { order: { ...existing, invoice_number: invoiceNumber, invoice_issued_at: issuedAt }, issued: true };
+    });
+
+    if (issued) {
+        console.log(`[invoices] ${order.invoice_number} issued for ${orderId}`);
+    }
+    return order;
+}
+
+function invoicePaymentDetails(order) {
+    let method = 'Card (Yoco)';
+    if (isTabOrder(order)) {
+        method = 'On account';
+    } else if (CASH_PAYMENT_METHODS.includes(order.payment_method)) {
+        method = 'Cash';
+    }
+
+    const reference = order.payment_details?.paymentId ||
+        order.yoco_checkout_id ||
+        order.yoco_charge_id ||
+        order.order_reference ||
+        order.id;
+
+    return { method, reference };
+}
+
+// The invoice's lines and totals. Every line is excluding VAT and the VAT
+// total is the one charged. Delivery and discounts were priced VAT
+// inclusive, so their VAT is taken out here; the discounts absorb the cent
+// or so of rounding between that and the charged VAT, so the lines add up
+// to the total excluding VAT. Orders from before itemised pricing only
+// have a total, so their VAT is worked back out of it.
+function buildInvoiceLines(order) {
+    const breakdown = order.pricing || {};
+    const totalCents = order.amount_cents || breakdown.total_cents || 0;
+    const vatCents = breakdown.vat_cents ??
+        Math.round(totalCents * PRICING_CONFIG.VAT_RATE / (1 + PRICING_CONFIG.VAT_RATE));
+    const vatRate = breakdown.vat_rate ?? PRICING_CONFIG.VAT_RATE;
+
+    const excludingVat = cents => cents - Math.round(cents * vatRate / (1 + vatRate));
+    const itemLines = (order.items || []).map(item => ({
+        description: item.name || item.id,
+        quantity: String(item.quantity),
+        unitCents: item.amount,
+        totalCents: item.line_total_cents ?? item.amount * item.quantity
+    }));
+    const deliveryExclCents = breakdown.delivery_cents > 0 ? excludingVat(breakdown.delivery_cents) : 0;
+    const discountLines = (breakdown.discounts || []).map(discount => ({
+        description: discount.source === 'loyalty' ? 'Loyalty points' : `Voucher ${discount.code || ''}`,
+        totalCents: -excludingVat(discount.amount_cents)
+    }));
+
+    const linesCents = [...itemLines, ...discountLines].reduce((sum, line) => sum + line.totalCents, deliveryExclCents);
+    const roundingCents = (totalCents - vatCents) - linesCents;
+    if (roundingCents !== 0 && discountLines.length > 0) {
+        discountLines[discountLines.length - 1].totalCents += roundingCents;
+    }
+
+    return { itemLines, deliveryExclCents, discountLines, roundingCents, totalCents, vatCents, vatRate };
+}
+
+// Lays out the invoice from buildInvoiceLines
+function renderInvoicePdf(order) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50 });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const { itemLines, deliveryExclCents, discountLines, roundingCents, totalCents, vatCents, vatRate } =
+            buildInvoiceLines(order);
+        const payment = invoicePaymentDetails(order);
+        const issuedAt = timestampToISO(order.invoice_issued_at) || new Date().toISOString();
+        const customer = order.customer_info || {};
+
+        // Seller
+        doc.fontSize(20).text('TAX INVOICE', { align: 'right' });
+        doc.moveUp().fontSize(14).text(INVOICE_CONFIG.SELLER_NAME);
+        doc.fontSize(9);
+        [INVOICE_CONFIG.SELLER_ADDRESS, INVOICE_CONFIG.SELLER_PHONE, INVOICE_CONFIG.SELLER_EMAIL]
+            .filter(Boolean)
+            .forEach(line => doc.text(line));
+        doc.text(`VAT number: ${INVOICE_CONFIG.SELLER_VAT_NUMBER}`);
+        doc.moveDown();
+
+        // Invoice and customer
+        doc.fontSize(10);
+        doc.text(`Invoice number: ${order.invoice_number}`);
+        doc.text(`Invoice date: ${issuedAt.slice(0, 10)}`);
+        doc.text(`Order reference: ${order.order_reference || order.id}`);
+        doc.moveDown(0.5);
+        doc.text('Bill to:');
+        [customer.customer_name, customer.customer_address, customer.customer_city, customer.customer_postal_code,
+            customer.customer_phone, customer.customer_email]
+            .filter(Boolean)
+            .forEach(line => doc.text(line));
+        if (customer.customer_vat_number) {
+            doc.text(`VAT number: ${customer.customer_vat_number}`);
+        }
+        doc.moveDown();
+
+        // Lines
+        const columns = { description: 50, quantity: 300, unit: 350, total: 450 };
+        const tableRow = (description, quantity, unit, total, options = {}) => {
+            const y = doc.y;
+            doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica');
+            doc.text(description, columns.description, y, { width: 240 });
+            const rowBottom = doc.y;
+            doc.text(quantity, columns.quantity, y, { width: 40, align: 'right' });
+            doc.text(unit, columns.unit, y, { width: 90, align: 'right' });
+            doc.text(total, columns.total, y, { width: 95, align: 'right' });
+            doc.x = columns.description;
+            doc.y = Math.max(rowBottom, doc.y) + 4;
+        };
+
+        tableRow('Description', 'Qty', 'Unit (excl)', 'Total (excl)', { bold: true });
+        itemLines.forEach(line => {
+            tableRow(line.description, line.quantity, formatRands(line.unitCents), formatRands(line.totalCents));
+        });
+        if (deliveryExclCents > 0) {
+            tableRow('Delivery', '1', formatRands(deliveryExclCents), formatRands(deliveryExclCents));
+        }
+        discountLines.forEach(line => {
+            tableRow(line.description, '', '', `-${formatRands(-line.totalCents)}`);
+        });
+        if (roundingCents !== 0 && discountLines.length === 0 && itemLines.length > 0) {
+            tableRow('Rounding', '', '', formatRands(roundingCents));
+        }
+        doc.moveDown();
+
+        // VAT breakdown
+        tableRow('Total excluding VAT', '', '', formatRands(totalCents - vatCents));
+        tableRow(`VAT (${Math.round(vatRate * 100)}%)`, '', '', formatRands(vatCents));
+        tableRow('Total including VAT', '', '', formatRands(totalCents), { bold: true });
+        doc.moveDown();
+
+        doc.font('Helvetica').fontSize(9);
+        doc.text(`Paid by: ${payment.method}`);
+        doc.text(`Payment reference: ${payment.reference}`);
+        if (order.refunded_amount_cents > 0) {
+            doc.text(`Refunded since invoicing: ${formatRands(order.refunded_amount_cents)}`);
+        }
+
+        doc.end();
+    });
+}
+
+function invoiceFilename(order) {
+    return `${order.invoice_number}.pdf`;
+}
+
+// Throws 'EMAIL_NOT_CONFIGURED' or 'NO_EMAIL_ADDRESS'.
+async function emailInvoice(order, pdf, to = null) {
+    if (!mailTransporter) {
+        const error = new Error('Email is not configured');
+        error.code = 'EMAIL_NOT_CONFIGURED';
+        throw error;
+    }
+
+    const recipient = to || order.customer_info?.customer_email;
+    if (!recipient) {
+        const error = new Error('No email address for this order');
+        error.code = 'NO_EMAIL_ADDRESS';
+        throw error;
+    }
+
+    await mailTransporter.sendMail({
+        from: `"${INVOICE_CONFIG.SELLER_NAME}" <${process.env.GMAIL_USER}>`,
+        to: recipient,
+        subject: `Tax invoice ${order.invoice_number} - ${INVOICE_CONFIG.SELLER_NAME}`,
+        text: `Please find attached tax invoice ${order.invoice_number} for order ${order.order_reference || order.id}.\n\nThank you for shopping with us.`,
+        attachments: [{ filename: invoiceFilename(order), content: pdf, contentType: 'application/pdf' }]
+    });
+
+    console.log(`[invoices] ${order.invoice_number} emailed to ${recipient}`);
+    return recipient;
+}
+
+// ============================================
+// CASH PAYMENTS
+// ============================================
+//
+// Cash on delivery and pay-at-counter orders never go through Yoco. The
+// order is created straight away with status 'awaiting_cash' and its stock
+// held in a stock_reservations document with the order's id, so it can be
+// picked and delivered like any other order. payment_status tracks the
+// money separately: it stays 'awaiting_cash' until staff record the cash
+// (recordCashCollection), which is when stock is actually taken and the
+// order starts counting as revenue.
+
+const CASH_PAYMENT_METHODS = ['cash_on_delivery', 'pay_at_counter'];
+
+const CASH_CONFIG = {
+    // Long enough for a next-day delivery run. After this the reservation
+    // sweeper drops the hold; collecting the cash later still takes the
+    // stock, and flags the order oversold if it has run out.
+    RESERVATION_HOLD_MS: (parseInt(process.env.CASH_RESERVATION_HOLD_HOURS, 10) || 48) * 60 * 60 * 1000
+};
+
+const CASH_ORDER_MESSAGES = {
+    cash_on_delivery: 'Order received - please pay cash on delivery',
+    pay_at_counter: 'Order received - please pay at the counter'
+};
+
+function isCashOrder(order) {
+    return CASH_PAYMENT_METHODS.includes(order.payment_method);
+}
+
+// A client-supplied order reference becomes part of the order id, so only
+// a plain token is accepted (the app sends EazySpaza_Order_<timestamp>).
+const ORDER_REFERENCE_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+function isValidOrderReference(reference) {
+    return typeof reference === 'string' && ORDER_REFERENCE_PATTERN.test(reference);
+}
+
+// Whether an order found under a retried reference was placed from the
+// same phone number, so guessing a reference doesn't return someone else's
+// order.
+function isSameCustomerOrder(order, customerPhone) {
+    const customerKey = normaliseCustomerPhone(customerPhone);
+    return Boolean(customerKey) && normaliseCustomerPhone(order.customer_info?.customer_phone) === customerKey;
+}
+
+// Creates the order and holds its stock in one transaction. Safe to retry
+// with the same order id: the existing order is returned instead, as long
+// as it belongs to the same customer ('ORDER_REFERENCE_TAKEN' otherwise).
+// Throws 'INSUFFICIENT_STOCK' like reserveStockInTransaction.
+async function createCashOrder(orderData) {
+    const orderRef = db.collection('orders').doc(orderData.id);
+    const holdUntil = new Date(Date.now() + CASH_CONFIG.RESERVATION_HOLD_MS).toISOString();
+
+    const result = await db.runTransaction(async (transaction) => {
+        const existing = await transaction.get(orderRef);
+        if (existing.exists) {
+            if (!isSameCustomerOrder(existing.data(), orderData.customer_info.customer_phone)) {
+                const error = new Error('That order reference is already in use');
+                error.code = 'ORDER_REFERENCE_TAKEN';
+                throw error;
+            }
+            return { created: false, order: { id: existing.id, ...existing.data() } };
+        }
+
+        const reservation = await reserveStockInTransaction(transaction, orderData.id, orderData.items, holdUntil);
+
+        const order = {
+            ...orderData,
+            reservation_id: reservation ? orderData.id : null,
+            status: 'awaiting_cash',
+            payment_status: 'awaiting_cash',
+            status_history: [{
+                status: 'awaiting_cash',
+                at: admin.firestore.Timestamp.now(),
+                by: 'system'
+            }],
+            created_at: admin.firestore.FieldValue.serverTimestamp(),
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        };
+
+        transaction.set(orderRef, order);
+        return { created: true, order };
+    });
+
+    if (result.created) {
+        console.log(`[cash] Created ${orderData.payment_method} order ${orderData.id}`);
+        await sendWhatsAppNotification(result.order, CASH_ORDER_MESSAGES[orderData.payment_method]);
+    }
+
+    return result;
+}
+
+// Records the cash handed over for an order and takes its items out of
+// stock. amountTenderedCents is what the customer gave; the change is
+// worked out from the order total. Throws an error with code
+// 'ORDER_NOT_FOUND', 'NOT_CASH_ORDER', 'CASH_ALREADY_COLLECTED',
+// 'ORDER_CANCELLED' or 'INSUFFICIENT_CASH'.
+async function recordCashCollection(orderId, amountTenderedCents, collectedBy) {
+    const orderRef = db.collection('orders').doc(orderId);
+
+    const result = await db.runTransaction(async (transaction) => {
+        const orderDoc = await transaction.get(orderRef);
+
+        if (!orderDoc.exists) {
+            const error = new Error(`Order ${orderId} not found`);
+            error.code = 'ORDER_NOT_FOUND';
+            throw error;
+        }
+
+        const order = { id: orderDoc.id, ...orderDoc.data() };
+        const failWith = (code, message) => {
+            const error = new Error(message);
+            error.code = code;
+            throw error;
+        };
+
+        if (!isCashOrder(order)) {
+            failWith('NOT_CASH_ORDER', 'Order is not a cash order');
+        }
+        if (order.payment_status !== 'awaiting_cash') {
+            failWith('CASH_ALREADY_COLLECTED', 'Cash has already been recorded for this order');
+        }
+        if (order.status === 'cancelled') {
+            failWith('ORDER_CANCELLED', 'Order has been cancelled');
+        }
+        if (amountTenderedCents < order.amount_cents) {
+            failWith('INSUFFICIENT_CASH', `Amount tendered is less than the order total of R${(order.amount_cents / 100).toFixed(2)}`);
+        }
+
+        const stock = await readOrderStockInTransaction(transaction, order.items, order.reservation_id);
+        const oversoldItems = writeOrderStockInTransaction(transaction, stock, orderId);
+
+        const cashPayment = {
+            method: order.payment_method,
+            amount_tendered_cents: amountTenderedCents,
+            change_given_cents: amountTenderedCents - order.amount_cents,
+            collected_by: collectedBy,
+            collected_at: admin.firestore.Timestamp.now()
+        };
+
+        const updates = {
+            payment_status: 'paid',
+            payment_details: cashPayment,
+            payment_completed_at: admin.firestore.FieldValue.serverTimestamp(),
+            oversold: oversoldItems.length > 0,
+            oversold_items: oversoldItems,
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        };
+
+        // Paid at the counter before picking started
+        if (order.status === 'awaiting_cash') {
+            updates.status = 'paid';
+            updates.paid_at = admin.firestore.FieldValue.serverTimestamp();
+            updates.status_history = admin.firestore.FieldValue.arrayUnion({
+                status: 'paid',
+                from: 'awaiting_cash',
+                at: admin.firestore.Timestamp.now(),
+                by: collectedBy
+            });
+        }
+
+        transaction.update(orderRef, updates);
+
+        return {
+            order: { ...order, status: updates.status || order.status, payment_status: 'paid' },
+            cashPayment,
+            oversoldItems
+        };
+    });
+
+    console.log(`[cash] ${orderId}: R${(amountTenderedCents / 100).toFixed(2)} collected by ${collectedBy}`);
+    if (result.oversoldItems.length > 0) {
+        console.warn(`[cash] Order ${orderId} oversold:`, result.oversoldItems);
+    }
+
+    await sendWhatsAppNotification(result.order, CUSTOMER_STATUS_MESSAGES.paid);
+
+    return result;
+}
+
+// ============================================
+// CREDIT ACCOUNTS (THE TAB)
+// ============================================
+//
+// Trusted customers can buy on credit and settle later. Each account lives
+// at credit_accounts/{phone} (normaliseCustomerPhone) with a credit limit
+// and a running balance_cents of what is owed; credit_ledger has one entry
+// per charge, payment, reversal or refund credit so a balance can always
+// be explained.
+// amount_cents on a ledger entry is always positive and
+// balance_change_cents carries the sign.
+//
+// A tab order is taken out of stock and charged to the account in one
+// transaction, and is 'paid' as far as the lifecycle is concerned
+// (payment_status 'on_account'). Payments come in at the counter
+// (POST /admin/credit-accounts/:phone/payments) or through a Yoco
+// settlement link, which is an ordinary pending payment with
+// purpose 'credit_settlement' (see completePendingPayment). Refunded lines
+// of a tab order are credited back to the account (refundTabOrder).
+
+const CREDIT_CONFIG = {
+    DEFAULT_TERMS_DAYS: parseInt(process.env.CREDIT_TERMS_DAYS, 10) || 30,
+    // Wrong PINs in a row before the tab is locked until staff set a new one
+    MAX_PIN_FAILURES: 5
+};
+
+const CREDIT_ACCOUNT_STATUSES = ['active', 'suspended'];
+
+function hashCreditPin(customerKey, pin) {
+    return crypto.createHash('sha256').update(`${customerKey}:${pin}`).digest('hex');
+}
+
+function creditPinMatches(account, customerKey, pin) {
+    if (!account.pin_hash || !pin) {
+        return false;
+    }
+    const received = Buffer.from(hashCreditPin(customerKey, String(pin)), 'hex');
+    const expected = Buffer.from(account.pin_hash, 'hex');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+function isTabOrder(order) {
+    return order.payment_method === 'credit_tab';
+}
+
+// The account fields safe to hand back from the API
+function publicCreditAccount(customerKey, account) {
+    const { pin_hash, ...fields } = account;
+    return {
+        ...fields,
+        customer_key: customerKey,
+        available_cents: Math.max(0, (account.credit_limit_cents || 0) - (account.balance_cents || 0)),
+        pin_set: !!pin_hash
+    };
+}
+
+function writeCreditLedgerEntry(transaction, entryRef, customerKey, entry) {
+    transaction.set(entryRef, {
+        customer_key: customerKey,
+        order_id: null,
+        order_reference: null,
+        note: '',
+        ...entry,
+        created_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+// Creates a tab order, takes its items out of stock and adds it to the
+// customer's balance in one transaction. Safe to retry with the same order
+// id: once the PIN checks out, the existing order is returned instead
+// (if it's on the same account). Throws an error with code
+// 'CREDIT_ACCOUNT_NOT_FOUND', 'CREDIT_ACCOUNT_SUSPENDED', 'CREDIT_PIN_LOCKED',
+// 'CREDIT_PIN_INVALID', 'CREDIT_LIMIT_EXCEEDED' or 'ORDER_REFERENCE_TAKEN'.
+async function createTabOrder(orderData, customerKey, pin) {
+    const accountRef = db.collection('credit_accounts').doc(customerKey);
+    const orderRef = db.collection('orders').doc(orderData.id);
+
+    const failWith = (code, message, details = {}) => {
+        const error = new Error(message);
+        error.code = code;
+        Object.assign(error, details);
+        throw error;
+    };
+
+    const result = await db.runTransaction(async (transaction) => {
+        const [existing, accountDoc] = await transaction.getAll(orderRef, accountRef);
+        if (!accountDoc.exists) {
+            failWith('CREDIT_ACCOUNT_NOT_FOUND', 'No credit account for this phone number');
+        }
+
+        const account = accountDoc.data();
+        if (account.status !== 'active') {
+            failWith('CREDIT_ACCOUNT_SUSPENDED', 'This credit account is not active');
+        }
+        if ((account.pin_failures || 0) >= CREDIT_CONFIG.MAX_PIN_FAILURES) {
+            failWith('CREDIT_PIN_LOCKED', 'Too many wrong PINs - please ask us to reset it');
+        }
+
+        // Throwing here would roll back the failure count with everything else
+        if (!creditPinMatches(account, customerKey, pin)) {
+            transaction.update(accountRef, {
+                pin_failures: admin.firestore.FieldValue.increment(1),
+                updated_at: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return { pinRejected: true };
+        }
+
+        if (existing.exists) {
+            if (existing.data().payment_details?.customer_key !== customerKey) {
+                failWith('ORDER_REFERENCE_TAKEN', 'That order reference is already in use');
+            }
+            return { created: false, order: { id: existing.id, ...existing.data() } };
+        }
+
+        const balanceAfter = (account.balance_cents || 0) + orderData.amount_cents;
+        if (balanceAfter > (account.credit_limit_cents || 0)) {
+            failWith('CREDIT_LIMIT_EXCEEDED', 'This order would take the account over its credit limit', {
+                availableCents: Math.max(0, (account.credit_limit_cents || 0) - (account.balance_cents || 0))
+            });
+        }
+
+        const stock = await readOrderStockInTransaction(transaction, orderData.items, null);
+        const oversoldItems = writeOrderStockInTransaction(transaction, stock, orderData.id);
+
+        const order = {
+            ...orderData,
+            status: 'paid',
+            payment_status: 'on_account',
+            payment_details: { method: 'credit_tab', customer_key: customerKey },
+            status_history: [{
+                status: 'paid',
+                at: admin.firestore.Timestamp.now(),
+                by: 'system',
+                note: 'Charged to credit account'
+            }],
+            oversold: oversoldItems.length > 0,
+            oversold_items: oversoldItems,
+            payment_completed_at: admin.firestore.FieldValue.serverTimestamp(),
+            created_at: admin.firestore.FieldValue.serverTimestamp(),
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        };
+
+        transaction.set(orderRef, order);
+        transaction.update(accountRef, {
+            balance_cents: admin.firestore.FieldValue.increment(orderData.amount_cents),
+            pin_failures: 0,
+            last_charge_at: admin.firestore.FieldValue.serverTimestamp(),
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+        writeCreditLedgerEntry(transaction, db.collection('credit_ledger').doc(`charge_${orderData.id}`), customerKey, {
+            type: 'charge',
+            amount_cents: orderData.amount_cents,
+            balance_change_cents: orderData.amount_cents,
+            order_id: orderData.id,
+            order_reference: orderData.order_reference
+        });
+
+        return { created: true, order, balanceAfter, oversoldItems };
+    });
+
+    if (result.pinRejected) {
+        failWith('CREDIT_PIN_INVALID', 'Incorrect PIN');
+    }
+
+    if (result.created) {
+        console.log(`[credit] Tab order ${orderData.id} charged to ${customerKey}, balance now ${result.balanceAfter}c`);
+        if (result.oversoldItems.length > 0) {
+            console.warn(`[credit] Order ${orderData.id} oversold:`, result.oversoldItems);
+        }
+        await sendWhatsAppNotification(result.order, 'Charged to your account');
+    }
+
+    return result;
+}
+
+// Takes a cancelled tab order back off the balance, less anything already
+// credited for refunded lines (refundTabOrder). Runs inside
+// transitionOrderStatus's transaction and only writes.
+function reverseTabChargeInTransaction(transaction, orderId, order, reason) {
+    const customerKey = order.payment_details?.customer_key;
+    const reverseCents = (order.amount_cents || 0) - (order.refunded_amount_cents || 0);
+    if (!customerKey || reverseCents <= 0) {
+        return;
+    }
+
+    transaction.update(db.collection('credit_accounts').doc(customerKey), {
+        balance_cents: admin.firestore.FieldValue.increment(-reverseCents),
+        updated_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+    writeCreditLedgerEntry(transaction, db.collection('credit_ledger').doc(`reversal_${orderId}`), customerKey, {
+        type: 'reversal',
+        amount_cents: reverseCents,
+        balance_change_cents: -reverseCents,
+        order_id: orderId,
+        order_reference: order.order_reference || null,
+        note: reason
+    });
+}
+
+// Pays money off an account. entryId makes the payment idempotent: a
+// second call with the same id is ignored and returns { recorded: false }.
+// Paying more than is owed leaves the account in credit (a negative
+// balance, which later tab orders use up); the entry records the excess in
+// overpaid_cents and is flagged needs_review so staff can refund it.
+// Throws 'CREDIT_ACCOUNT_NOT_FOUND'.
+async function recordCreditPayment(customerKey, amountCents, { entryId, method, reference = null, note = '', recordedBy = 'admin', yocoCheckoutId = null, paymentId = null }) {
+    const accountRef = db.collection('credit_accounts').doc(customerKey);
+    const entryRef = entryId
+        ? db.collection('credit_ledger').doc(entryId)
+        : db.collection('credit_ledger').doc();
+
+    const result = await db.runTransaction(async (transaction) => {
+        const [accountDoc, entryDoc] = await transaction.getAll(accountRef, entryRef);
+
+        if (entryDoc.exists) {
+            return { recorded: false, entryId: entryRef.id, balanceCents: accountDoc.data()?.balance_cents || 0 };
+        }
+        if (!accountDoc.exists) {
+            const error = new Error('No credit account for this phone number');
+            error.code = 'CREDIT_ACCOUNT_NOT_FOUND';
+            throw error;
+        }
+
+        const owedCents = Math.max(0, accountDoc.data().balance_cents || 0);
+        const overpaidCents = Math.max(0, amountCents - owedCents);
+
+        transaction.update(accountRef, {
+            balance_cents: admin.firestore.FieldValue.increment(-amountCents),
+            last_payment_at: admin.firestore.FieldValue.serverTimestamp(),
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+        writeCreditLedgerEntry(transaction, entryRef, customerKey, {
+            type: 'payment',
+            amount_cents: amountCents,
+            balance_change_cents: -amountCents,
+            overpaid_cents: overpaidCents,
+            needs_review: overpaidCents > 0,
+            method,
+            order_reference: reference,
+            note,
+            recorded_by: recordedBy,
+            yoco_checkout_id: yocoCheckoutId,
+            payment_id: paymentId
+        });
+
+        return {
+            recorded: true,
+            entryId: entryRef.id,
+            balanceCents: (accountDoc.data().balance_cents || 0) - amountCents,
+            overpaidCents
+        };
+    });
+
+    if (result.recorded) {
+        console.log(`[credit] ${customerKey}: R${(amountCents / 100).toFixed(2)} paid by ${method}, balance now ${result.balanceCents}c`);
+        if (result.overpaidCents > 0) {
+            console.warn(`⚠️ [credit] ${customerKey} paid ${result.overpaidCents}c more than was owed (entry ${result.entryId})`);
+        }
+    }
+
+    return result;
+}
+
+// Completion path for a paid settlement checkout. Returns the ledger entry
+// id, the way createCompletedOrder returns the order id. The balance may
+// have been paid down at the counter since the link went out, in which
+// case recordCreditPayment records the overpayment.
+async function recordCreditSettlement(pending, paymentDetails) {
+    const { entryId } = await recordCreditPayment(pending.customer_key, pending.amount_cents, {
+        entryId: `settle_${pending.yoco_checkout_id}`,
+        method: 'yoco',
+        reference: pending.order_reference,
+        recordedBy: 'system',
+        yocoCheckoutId: pending.yoco_checkout_id,
+        paymentId: paymentDetails?.paymentId || paymentDetails?.id || null
+    });
+    return entryId;
+}
+
+// Accounts with money owed for longer than their payment terms. Payments
+// clear the oldest charges first, so whatever is owed beyond the charges
+// made within the terms is overdue. The ledger is read in one query, back
+// as far as the longest terms of any account that owes money.
+async function getOverdueCreditAccounts() {
+    const snapshot = await db.collection('credit_accounts')
+        .where('balance_cents', '>', 0)
+        .get();
+
+    if (snapshot.empty) {
+        return [];
+    }
+
+    const now = Date.now();
+    const dayMs = 24 * 60 * 60 * 1000;
+    const termsDaysFor = account => account.payment_terms_days || CREDIT_CONFIG.DEFAULT_TERMS_DAYS;
+    const accounts = new Map(snapshot.docs.map(doc => [doc.id, doc.data()]));
+    const longestTermsDays = Math.max(...[...accounts.values()].map(termsDaysFor));
+
+    const recentSnapshot = await db.collection('credit_ledger')
+        .where('created_at', '>=', admin.firestore.Timestamp.fromMillis(now - longestTermsDays * dayMs))
+        .get();
+
+    // Charges (less reversals and credits) made within each account's terms
+    const recentChargesCents = new Map();
+    recentSnapshot.forEach(entry => {
+        const { customer_key: customerKey, type, created_at: createdAt, balance_change_cents: change } = entry.data();
+        const account = accounts.get(customerKey);
+        if (!account || type === 'payment') return;
+        if (createdAt.toMillis() < now - termsDaysFor(account) * dayMs) return;
+        recentChargesCents.set(customerKey, (recentChargesCents.get(customerKey) || 0) + (change || 0));
+    });
+
+    const overdue = [];
+
+    for (const [customerKey, account] of accounts) {
+        const termsDays = termsDaysFor(account);
+        const overdueCents = account.balance_cents - Math.max(0, recentChargesCents.get(customerKey) || 0);
+        if (overdueCents > 0) {
+            overdue.push({
+                customer_key: customerKey,
+                customer_name: account.customer_name || '',
+                balance_cents: account.balance_cents,
+                overdue_cents: overdueCents,
+                payment_terms_days: termsDays,
+                last_payment_at: account.last_payment_at?.toDate?.().toISOString() || null
+            });
+        }
+    }
+
+    return overdue.sort((a, b) => b.overdue_cents - a.overdue_cents);
+}
+
+// ============================================
+// REFUNDS
+// ============================================
+//
+// Refunds go back through Yoco against the original checkout. Each one is
+// recorded in the order's refunds array, refunded lines are restocked once
+// Yoco confirms the refund succeeded, and the order's
+// refunded_amount_cents / refund_status keep a running total. Tab orders
+// have no checkout to refund; refundTabOrder credits the customer's
+// account instead.
+
+// Works out what a refund request is worth. requestedItems is
+// [{ id, quantity }] for a partial refund, or empty for a full refund of
+// whatever hasn't been refunded yet. Line refunds include VAT at the rate
+// the order was charged.
+function calculateRefund(order, requestedItems) {
+    const errors = [];
+    const items = Array.isArray(order.items) ? order.items : [];
+    const vatRate = order.pricing?.vat_rate ?? PRICING_CONFIG.VAT_RATE;
+    const alreadyRefunded = order.refunded_amount_cents || 0;
+    const remainingCents = Math.max(0, (order.amount_cents || 0) - alreadyRefunded);
+
+    if (!requestedItems || requestedItems.length === 0) {
+        const lines = items
+            .map(item => ({
+                id: String(item.id),
+                name: item.name,
+                quantity: (Number(item.quantity) || 0) - (item.refunded_quantity || 0)
+            }))
+            .filter(line => line.quantity > 0);
+
+        if (remainingCents <= 0) {
+            errors.push('Order has already been fully refunded');
+        }
+
+        return { isValid: errors.length === 0, errors, type: 'full', amountCents: remainingCents, lines };
+    }
+
+    const lines = [];
+    let amountCents = 0;
+
+    // Repeated ids are merged so each product is checked once against its
+    // full requested quantity
+    const requested = new Map();
+    requestedItems.forEach((line, index) => {
+        const quantity = Number(line?.quantity);
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            errors.push(`items[${index}]: quantity must be a positive whole number`);
+            return;
+        }
+        const id = String(line?.id);
+        requested.set(id, (requested.get(id) || 0) + quantity);
+    });
+
+    requested.forEach((quantity, id) => {
+        const item = items.find(orderItem => String(orderItem.id) === id);
+
+        if (!item) {
+            errors.push(`product ${id} is not on this order`);
+            return;
+        }
+
+        const refundable = (Number(item.quantity) || 0) - (item.refunded_quantity || 0);
+        if (quantity > refundable) {
+            errors.push(`only ${refundable} of ${item.name} can still be refunded`);
+            return;
+        }
+
+        // Less this line's share of any voucher or other discount
+        const lineDiscountCents = Math.round((item.discount_cents || 0) * quantity / (Number(item.quantity) || 1));
+        const lineCents = Math.round((item.amount || 0) * quantity * (1 + vatRate)) - lineDiscountCents;
+        amountCents += lineCents;
+        lines.push({ id: String(item.id), name: item.name, quantity, amount_cents: lineCents });
+    });
+
+    // Rounding across several partial refunds must never exceed the charge
+    amountCents = Math.min(amountCents, remainingCents);
+    if (errors.length === 0 && amountCents <= 0) {
+        errors.push('Nothing left to refund on this order');
+    }
+
+    return { isValid: errors.length === 0, errors, type: 'partial', amountCents, lines };
+}
+
+async function requestYocoRefund(checkoutId, amountCents, idempotencyKey, metadata) {
+    const { ok, status, data } = await paymentProvider.refundCheckout(
+        checkoutId,
+        { amount: amountCents, metadata },
+        idempotencyKey
+    );
+
+    if (!ok) {
+        const error = new Error(data.message || data.description || `Yoco refund failed with status ${status}`);
+        error.code = 'YOCO_REFUND_FAILED';
+        error.details = data;
+        throw error;
+    }
+
+    return data;
+}
+
+// The refund's id, also sent to Yoco as its Idempotency-Key. It's derived
+// from the order, how many refunds came before it and the lines refunded,
+// so a retried or double-submitted request gets the same key (and Yoco
+// hands back the original refund) while a later refund of the same lines
+// gets a new one.
+function refundRequestKey(orderId, previousRefunds, refund) {
+    const lines = refund.lines
+        .map(line => `${line.id}x${line.quantity}`)
+        .sort()
+        .join(',');
+    const hash = crypto.createHash('sha256')
+        .update(`${previousRefunds}|${refund.type}|${refund.amountCents}|${lines}`)
+        .digest('hex')
+        .slice(0, 16);
+    return `refund_${orderId}_${hash}`;
+}
+
+// Marks a refund's lines as refunded on the order's items (direction 1), or
+// clears them again when the refund fails (-1).
+function adjustRefundedQuantities(items, lines, direction) {
+    return (items || []).map(item => {
+        const line = lines.find(refundLine => refundLine.id === String(item.id));
+        return line
+            ? { ...item, refunded_quantity: Math.max(0, (item.refunded_quantity || 0) + direction * line.quantity) }
+            : item;
+    });
+}
+
+// Reads the products a refund's lines came from. Must run before the
+// transaction's writes; pass the result to writeRefundStockInTransaction.
+async function readRefundStockInTransaction(transaction, lines) {
+    const productRefs = lines.map(line => db.collection('products').doc(line.id));
+    const productDocs = productRefs.length > 0 ? await transaction.getAll(...productRefs) : [];
+
+    return productDocs.map((productDoc, index) => ({
+        ref: productRefs[index],
+        quantity: lines[index].quantity,
+        tracked: productDoc.exists && typeof productDoc.data().stock === 'number'
+    }));
+}
+
+// Puts refunded lines back into stock (direction 1), or takes them out
+// again if a refund that was restocked later fails (-1).
+function writeRefundStockInTransaction(transaction, stock, direction) {
+    stock.forEach(entry => {
+        if (!entry.tracked) return;
+        transaction.update(entry.ref, {
+            stock: admin.firestore.FieldValue.increment(direction * entry.quantity),
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+    });
+}
+
+// Claims a refund before Yoco is asked for it, by adding a 'requesting'
+// record to the order's refunds array in a transaction. The refund is
+// worked out against the order as read in that transaction, and only one
+// claim can be in flight per order, so concurrent requests can't refund
+// the same lines twice. A claim with the same key is handed back as-is so
+// the caller can retry it.
+async function claimOrderRefund(orderId, requestedItems, { reason, refundedBy }) {
+    const orderRef = db.collection('orders').doc(orderId);
+
+    return db.runTransaction(async (transaction) => {
+        const orderDoc = await transaction.get(orderRef);
+        if (!orderDoc.exists) {
+            const error = new Error('Order not found');
+            error.code = 'ORDER_NOT_FOUND';
+            throw error;
+        }
+
+        const order = { id: orderDoc.id, ...orderDoc.data() };
+        if (!order.yoco_checkout_id) {
+            const error = new Error('Order was not paid through a Yoco checkout');
+            error.code = 'NOT_YOCO_ORDER';
+            throw error;
+        }
+
+        const refund = calculateRefund(order, requestedItems);
+        if (!refund.isValid) {
+            const error = new Error('Refund validation failed');
+            error.code = 'REFUND_INVALID';
+            error.details = refund.errors;
+            throw error;
+        }
+
+        const refunds = Array.isArray(order.refunds) ? order.refunds : [];
+        const previousRefunds = refunds.filter(existing => existing.status !== 'requesting').length;
+        const refundId = refundRequestKey(order.id, previousRefunds, refund);
+
+        const inFlight = refunds.find(existing => existing.status === 'requesting');
+        if (inFlight) {
+            if (inFlight.refund_id === refundId) {
+                return { order, claim: inFlight };
+            }
+            const error = new Error('Another refund on this order is still being processed');
+            error.code = 'REFUND_IN_PROGRESS';
+            error.refundId = inFlight.refund_id;
+            throw error;
+        }
+
+        const claim = {
+            refund_id: refundId,
+            yoco_refund_id: null,
+            type: refund.type,
+            amount_cents: refund.amountCents,
+            items: refund.lines,
+            reason: reason || '',
+            status: 'requesting',
+            refunded_by: refundedBy || 'admin',
+            created_at: admin.firestore.Timestamp.now()
+        };
+
+        transaction.update(orderRef, {
+            refunds: admin.firestore.FieldValue.arrayUnion(claim),
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return { order, claim };
+    });
+}
+
+// Drops a claim Yoco turned down, so the refund can be asked for again.
+async function releaseRefundClaim(orderId, refundId) {
+    const orderRef = db.collection('orders').doc(orderId);
+
+    await db.runTransaction(async (transaction) => {
+        const orderDoc = await transaction.get(orderRef);
+        const refunds = orderDoc.data()?.refunds || [];
+        const remaining = refunds.filter(refund =>
+            !(refund.refund_id === refundId && refund.status === 'requesting')
+        );
+        if (remaining.length === refunds.length) return;
+
+        transaction.update(orderRef, {
+            refunds: remaining,
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+    });
+}
+
+// Records Yoco's acceptance of a claimed refund and updates the order's
+// totals, in one transaction. The refunded lines go back into stock only
+// if the refund has already succeeded; a pending one is restocked by its
+// refund.succeeded webhook. Recording a refund that's already been
+// recorded changes nothing. If the refund's webhook got here first, its
+// outcome is used, and an 'external' record it added (when it couldn't
+// match the claim) is merged into this one so the refund is only counted
+// once.
+async function recordOrderRefund(orderId, refundId, yocoRefund) {
+    const orderRef = db.collection('orders').doc(orderId);
+
+    return db.runTransaction(async (transaction) => {
+        const orderDoc = await transaction.get(orderRef);
+        const order = orderDoc.data();
+        const index = (order.refunds || []).findIndex(refund => refund.refund_id === refundId);
+
+        if (index === -1 || order.refunds[index].status !== 'requesting') {
+            return { order: { id: orderDoc.id, ...order }, refund: order.refunds?.[index] || null };
+        }
+
+        const claim = order.refunds[index];
+        const yocoRefundId = claim.yoco_refund_id || yocoRefund.refundId || yocoRefund.id || null;
+        const external = yocoRefundId
+            ? order.refunds.find(refund => refund.type === 'external' && refund.yoco_refund_id === yocoRefundId)
+            : null;
+
+        let refundedAmountCents = order.refunded_amount_cents || 0;
+        if (external?.status === 'succeeded') {
+            refundedAmountCents -= external.amount_cents;
+        }
+
+        const status = claim.webhook_status || external?.status || yocoRefund.status || 'pending';
+        const refundRecord = {
+            ...claim,
+            yoco_refund_id: yocoRefundId,
+            status,
+            restocked: status === 'succeeded'
+        };
+        const refunds = order.refunds
+            .filter(refund => refund !== external)
+            .map(refund => (refund === claim ? refundRecord : refund));
+
+        // A pending refund still counts (so its lines can't be refunded
+        // twice) but waits for Yoco's confirmation before restocking; a
+        // failed one counts for nothing.
+        const counted = status !== 'failed';
+        const stock = refundRecord.restocked
+            ? await readRefundStockInTransaction(transaction, refundRecord.items)
+            : [];
+
+        const items = counted ? adjustRefundedQuantities(order.items, refundRecord.items, 1) : (order.items || []);
+
+        if (counted) {
+            refundedAmountCents += refundRecord.amount_cents;
+        }
+        refundedAmountCents = Math.max(0, refundedAmountCents);
+
+        let refundStatus = null;
+        if (refundedAmountCents > 0) {
+            refundStatus = refundedAmountCents >= (order.amount_cents || 0) ? 'refunded' : 'partially_refunded';
+        }
+
+        writeRefundStockInTransaction(transaction, stock, 1);
+
+        const loyaltyUpdates = adjustOrderLoyaltyInTransaction(
+            transaction, orderId, order, loyaltyLostShare(order, refundedAmountCents), 'refund'
+        );
+
+        transaction.update(orderRef, {
+            ...loyaltyUpdates,
+            items,
+            refunds,
+            refunded_amount_cents: refundedAmountCents,
+            refund_status: refundStatus,
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return {
+            order: { id: orderDoc.id, ...order, items, refunds, refunded_amount_cents: refundedAmountCents },
+            refund: refundRecord
+        };
+    });
+}
+
+// Refunds lines of a tab order by taking them off the customer's account:
+// the refund is recorded as succeeded, the lines restocked and a 'credit'
+// ledger entry written, all in one transaction. A cancelled order has
+// already been reversed off the account and can't be refunded.
+// Throws 'ORDER_NOT_FOUND' or 'REFUND_INVALID'.
+async function refundTabOrder(orderId, requestedItems, { reason, refundedBy }) {
+    const orderRef = db.collection('orders').doc(orderId);
+
+    return db.runTransaction(async (transaction) => {
+        const orderDoc = await transaction.get(orderRef);
+        if (!orderDoc.exists) {
+            const error = new Error('Order not found');
+            error.code = 'ORDER_NOT_FOUND';
+            throw error;
+        }
+
+        const order = { id: orderDoc.id, ...orderDoc.data() };
+        const refund = order.status === 'cancelled'
+            ? { isValid: false, errors: ['Cancelled tab orders are already off the account'] }
+            : calculateRefund(order, requestedItems);
+        if (!refund.isValid) {
+            const error = new Error('Refund validation failed');
+            error.code = 'REFUND_INVALID';
+            error.details = refund.errors;
+            throw error;
+        }
+
+        const customerKey = order.payment_details.customer_key;
+        const refunds = Array.isArray(order.refunds) ? order.refunds : [];
+        const refundId = refundRequestKey(order.id, refunds.length, refund);
+        const stock = await readRefundStockInTransaction(transaction, refund.lines);
+
+        const refundRecord = {
+            refund_id: refundId,
+            yoco_refund_id: null,
+            type: refund.type,
+            amount_cents: refund.amountCents,
+            items: refund.lines,
+            reason: reason || '',
+            status: 'succeeded',
+            restocked: true,
+            method: 'credit_tab',
+            refunded_by: refundedBy || 'admin',
+            created_at: admin.firestore.Timestamp.now()
+        };
+        const items = adjustRefundedQuantities(order.items, refund.lines, 1);
+        const refundedAmountCents = (order.refunded_amount_cents || 0) + refund.amountCents;
+        const refundStatus = refundedAmountCents >= (order.amount_cents || 0) ? 'refunded' : 'partially_refunded';
+
+        writeRefundStockInTransaction(transaction, stock, 1);
+
+        transaction.update(db.collection('credit_accounts').doc(customerKey), {
+            balance_cents: admin.firestore.FieldValue.increment(-refund.amountCents),
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+        writeCreditLedgerEntry(transaction, db.collection('credit_ledger').doc(refundId), customerKey, {
+            type: 'credit',
+            amount_cents: refund.amountCents,
+            balance_change_cents: -refund.amountCents,
+            order_id: orderId,
+            order_reference: order.order_reference || '',
+            note: reason || 'Refund',
+            recorded_by: refundedBy || 'admin'
+        });
+
+        const loyaltyUpdates = adjustOrderLoyaltyInTransaction(
+            transaction, orderId, order, loyaltyLostShare(order, refundedAmountCents), 'refund'
+        );
+
+        transaction.update(orderRef, {
+            ...loyaltyUpdates,
+            items,
+            refunds: admin.firestore.FieldValue.arrayUnion(refundRecord),
+            refunded_amount_cents: refundedAmountCents,
+            refund_status: refundStatus,
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return {
+            order: { ...order, items, refunds: [...refunds, refundRecord], refunded_amount_cents: refundedAmountCents },
+            refund: refundRecord
+        };
+    });
+}
+
+// Applies a refund.succeeded / refund.failed webhook to the order's refund
+// records. Refunds requested here are matched by Yoco refund id or our
+// refund_request_id metadata; refunds made in the Yoco portal are added as
+// 'external' records so the order's refunded total stays correct. A claim
+// that hasn't been recorded yet only notes the outcome, which
+// recordOrderRefund then applies. A recorded refund is restocked when it
+// succeeds, and its lines are freed up again (and taken back out of stock
+// if they'd been restocked) when it fails.
+// Returns the action taken, for the webhook_events log.
+async function applyRefundWebhookEvent(checkoutId, payload, outcome) {
+    const orderRef = db.collection('orders').doc(`yoco_${checkoutId}`);
+
+    return db.runTransaction(async (transaction) => {
+        const orderDoc = await transaction.get(orderRef);
+        if (!orderDoc.exists) {
+            return 'order_not_found';
+        }
+
+        const order = orderDoc.data();
+        const refunds = Array.isArray(order.refunds) ? [...order.refunds] : [];
+        const yocoRefundId = payload.id || payload.refundId || null;
+        const refundRequestId = payload.metadata?.refund_request_id || null;
+        let refundedAmountCents = order.refunded_amount_cents || 0;
+
+        let items = order.items || [];
+
+        const index = refunds.findIndex(refund =>
+            (yocoRefundId && refund.yoco_refund_id === yocoRefundId) ||
+            (refundRequestId && refund.refund_id === refundRequestId)
+        );
+
+        if (index === -1) {
+            const amountCents = Number(payload.amount) || 0;
+            refunds.push({
+                refund_id: `external_${yocoRefundId || Date.now()}`,
+                yoco_refund_id: yocoRefundId,
+                type: 'external',
+                amount_cents: amountCents,
+                items: [],
+                reason: 'Refunded outside EezySpaza',
+                status: outcome,
+                refunded_by: 'yoco',
+                created_at: admin.firestore.Timestamp.now()
+            });
+            if (outcome === 'succeeded') {
+                refundedAmountCents += amountCents;
+            }
+        } else if (refunds[index].status === 'requesting') {
+            const claim = refunds[index];
+            if (claim.webhook_status === outcome) {
+                return 'refund_already_applied';
+            }
+
+            refunds[index] = {
+                ...claim,
+                yoco_refund_id: claim.yoco_refund_id || yocoRefundId,
+                webhook_status: outcome,
+                [`${outcome}_at`]: admin.firestore.Timestamp.now()
+            };
+
+            transaction.update(orderRef, {
+                refunds,
+                updated_at: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            return `refund_${outcome}_before_record`;
+        } else {
+            const previous = refunds[index];
+            if (previous.status === outcome) {
+                return 'refund_already_applied';
+            }
+
+            const lines = previous.items || [];
+
+            // Requested refunds count towards the total straight away, so
+            // only a change into or out of 'failed' moves the total.
+            if (outcome === 'failed') {
+                refundedAmountCents -= previous.amount_cents;
+                items = adjustRefundedQuantities(items, lines, -1);
+            } else if (previous.status === 'failed') {
+                refundedAmountCents += previous.amount_cents;
+                items = adjustRefundedQuantities(items, lines, 1);
+            }
+
+            // Stock follows the outcome: in on success, back out if a
+            // restocked refund then fails
+            const restocked = outcome === 'succeeded';
+            if (restocked !== Boolean(previous.restocked)) {
+                const stock = await readRefundStockInTransaction(transaction, lines);
+                writeRefundStockInTransaction(transaction, stock, restocked ? 1 : -1);
+            }
+
+            refunds[index] = {
+                ...previous,
+                yoco_refund_id: previous.yoco_refund_id || yocoRefundId,
+                status: outcome,
+                restocked,
+                [`${outcome}_at`]: admin.firestore.Timestamp.now()
+            };
+        }
+
+        refundedAmountCents = Math.max(0, refundedAmountCents);
+
+        let refundStatus = null;
+        if (refundedAmountCents > 0) {
+            refundStatus = refundedAmountCents >= (order.amount_cents || 0) ? 'refunded' : 'partially_refunded';
+        }
+
+        const loyaltyUpdates = adjustOrderLoyaltyInTransaction(
+            transaction, orderDoc.id, order, loyaltyLostShare(order, refundedAmountCents), `refund_${outcome}`
+        );
+
+        transaction.update(orderRef, {
+            ...loyaltyUpdates,
+            items,
+            refunds,
+            refunded_amount_cents: refundedAmountCents,
+            refund_status: refundStatus,
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return `refund_${outcome}`;
+    });
+}
+
+// ============================================
+// TRADING HOURS
+// ============================================
+//
+// The weekly schedule, holiday overrides and a temporary "closed" switch
+// live in settings/trading_hours (PUT /admin/store/trading-hours), with
+// TRADING_HOURS_DEFAULTS filling any gaps. Times are SAST, 'HH:MM'.
+// Checkouts are refused while the store is closed unless
+// accept_after_hours is on, in which case the order is taken and marked
+// scheduled_for the next opening. A temporary closure has no known
+// reopening, so it always refuses.
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const TRADING_HOURS_DEFAULTS = {
+    // A day set to null is closed all day
+    weekly: {
+        monday: { open: '07:00', close: '19:00' },
+        tuesday: { open: '07:00', close: '19:00' },
+        wednesday: { open: '07:00', close: '19:00' },
+        thursday: { open: '07:00', close: '19:00' },
+        friday: { open: '07:00', close: '19:00' },
+        saturday: { open: '08:00', close: '17:00' },
+        sunday: { open: '09:00', close: '13:00' }
+    },
+    // 'YYYY-MM-DD' -> { name, open, close }; leave out open/close to close
+    // for the whole day, e.g. { "2026-12-25": { "name": "Christmas Day" } }
+    holidays: {},
+    temporarily_closed: false,
+    closed_message: '',
+    accept_after_hours: false
+};
+
+const TRADING_HOURS_CONFIG = {
+    // How far ahead to look for the next opening
+    LOOKAHEAD_DAYS: 14
+};
+
+const TIME_OF_DAY_PATTERN = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+async function getTradingHours() {
+    const hoursDoc = await db.collection('settings').doc('trading_hours').get();
+    const stored = hoursDoc.exists ? hoursDoc.data() : {};
+    return {
+        ...TRADING_HOURS_DEFAULTS,
+        ...stored,
+        weekly: { ...TRADING_HOURS_DEFAULTS.weekly, ...(stored.weekly || {}) }
+    };
+}
+
+// A holiday entry wins over the weekday. Returns { open, close } or null.
+function tradingHoursForDate(hours, date) {
+    if (Object.prototype.hasOwnProperty.call(hours.holidays || {}, date)) {
+        const holiday = hours.holidays[date];
+        return holiday?.open && holiday?.close ? holiday : null;
+    }
+    const weekday = WEEKDAYS[new Date(`${date}T12:00:00Z`).getUTCDay()];
+    return hours.weekly[weekday] || null;
+}
+
+function sastDateTime(date, timeOfDay) {
+    return new Date(`${date}T${timeOfDay}:00+02:00`);
+}
+
+// Whether the store is open at nowMs and, if not, when it next opens and
+// whether an order can be taken for then.
+function describeStoreStatus(hours, nowMs = Date.now()) {
+    const today = new Date(nowMs + 2 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    let current = null;
+    let next = null;
+
+    for (let offset = 0; offset < TRADING_HOURS_CONFIG.LOOKAHEAD_DAYS && !current && !next; offset++) {
+        const date = new Date(nowMs + 2 * 60 * 60 * 1000 + offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const day = tradingHoursForDate(hours, date);
+        if (!day) {
+            continue;
+        }
+
+        const opensAt = sastDateTime(date, day.open);
+        const closesAt = sastDateTime(date, day.close);
+
+        if (opensAt.getTime() <= nowMs && nowMs < closesAt.getTime()) {
+            current = { opensAt, closesAt };
+        } else if (opensAt.getTime() > nowMs) {
+            next = { date, opensAt, closesAt };
+        }
+    }
+
+    const holiday = hours.holidays?.[today];
+    const isOpen = !hours.temporarily_closed && !!current;
+
+    let reason = 'open';
+    let message = current ? `Open until ${tradingHoursForDate(hours, today).close}` : '';
+    if (hours.temporarily_closed) {
+        reason = 'temporarily_closed';
+        message = hours.closed_message || 'We are temporarily closed';
+    } else if (!current) {
+        reason = holiday && !(holiday.open && holiday.close) ? 'holiday' : 'after_hours';
+        const weekday = next && WEEKDAYS[new Date(`${next.date}T12:00:00Z`).getUTCDay()];
+        const opening = next
+            ? `Opens ${next.date === today ? 'today' : weekday.charAt(0).toUpperCase() + weekday.slice(1)} at ${tradingHoursForDate(hours, next.date).open}`
+            : 'No opening hours set';
+        message = reason === 'holiday' && holiday.name
+            ? `Closed for ${holiday.name}. ${opening}`
+            : `Closed. ${opening}`;
+    }
+
+    const canSchedule = !isOpen && !hours.temporarily_closed && hours.accept_after_hours && !!next;
+
+    return {
+        is_open: isOpen,
+        reason,
+        message,
+        closes_at: isOpen ? current.closesAt.toISOString() : null,
+        next_opening_at: !isOpen && next ? next.opensAt.toISOString() : null,
+        accepts_orders: isOpen || canSchedule,
+        scheduled_for: canSchedule ? next.opensAt.toISOString() : null
+    };
+}
+
+async function getStoreStatus() {
+    return describeStoreStatus(await getTradingHours());
+}
+
+// ============================================
+// DELIVERY SLOTS
+// ============================================
+//
+// Customers can pick a delivery window at checkout. The windows for each
+// weekday, and how many orders each can take, live in
+// settings/delivery_slots (PUT /admin/delivery-slots) with
+// DELIVERY_SLOT_DEFAULTS filling any gaps. Each dated window is a slot
+// with id 'YYYY-MM-DD_HHMM' and a delivery_slots document counting
+// reserved_count (held by an unpaid checkout, see STOCK RESERVATIONS) and
+// booked_count (paid orders). A slot is full once the two add up to
+// max_orders. Days the store is closed (see TRADING HOURS) have no slots.
+
+const DELIVERY_SLOT_DEFAULTS = {
+    // weekday -> [{ start, end, max_orders }], times SAST 'HH:MM'
+    weekly: {
+        monday: [
+            { start: '09:00', end: '11:00', max_orders: 6 },
+            { start: '11:00', end: '13:00', max_orders: 6 },
+            { start: '14:00', end: '16:00', max_orders: 6 },
+            { start: '16:00', end: '18:00', max_orders: 6 }
+        ],
+        tuesday: [
+            { start: '09:00', end: '11:00', max_orders: 6 },
+            { start: '11:00', end: '13:00', max_orders: 6 },
+            { start: '14:00', end: '16:00', max_orders: 6 },
+            { start: '16:00', end: '18:00', max_orders: 6 }
+        ],
+        wednesday: [
+            { start: '09:00', end: '11:00', max_orders: 6 },
+            { start: '11:00', end: '13:00', max_orders: 6 },
+            { start: '14:00', end: '16:00', max_orders: 6 },
+            { start: '16:00', end: '18:00', max_orders: 6 }
+        ],
+        thursday: [
+            { start: '09:00', end: '11:00', max_orders: 6 },
+            { start: '11:00', end: '13:00', max_orders: 6 },
+            { start: '14:00', end: '16:00', max_orders: 6 },
+            { start: '16:00', end: '18:00', max_orders: 6 }
+        ],
+        friday: [
+            { start: '09:00', end: '11:00', max_orders: 6 },
+            { start: '11:00', end: '13:00', max_orders: 6 },
+            { start: '14:00', end: '16:00', max_orders: 6 },
+            { start: '16:00', end: '18:00', max_orders: 6 }
+        ],
+        saturday: [
+            { start: '09:00', end: '11:00', max_orders: 6 },
+            { start: '11:00', end: '13:00', max_orders: 6 }
+        ],
+        sunday: []
+    },
+    // How many days, counting today, customers can book into
+    days_ahead: 3,
+    // Slots starting sooner than this can't be booked; picking takes time
+    lead_minutes: 90
+};
+
+const DELIVERY_SLOT_CONFIG = {
+    MAX_DAYS_AHEAD: 14,
+    MAX_ORDERS_PER_SLOT: 200
+};
+
+async function getDeliverySlotSettings() {
+    const slotsDoc = await db.collection('settings').doc('delivery_slots').get();
+    const stored = slotsDoc.exists ? slotsDoc.data() : {};
+    return {
+        ...DELIVERY_SLOT_DEFAULTS,
+        ...stored,
+        weekly: { ...DELIVERY_SLOT_DEFAULTS.weekly, ...(stored.weekly || {}) }
+    };
+}
+
+function deliverySlotId(date, start) {
+    return `${date}_${start.replace(':', '')}`;
+}
+
+// Every slot that can still be booked at nowMs, soonest first:
+// [{ id, date, start, end, max_orders }]
+function buildDeliverySlots(settings, hours, nowMs = Date.now()) {
+    const earliestStartMs = nowMs + settings.lead_minutes * 60 * 1000;
+    const days = Math.min(settings.days_ahead, DELIVERY_SLOT_CONFIG.MAX_DAYS_AHEAD);
+    const slots = [];
+
+    for (let offset = 0; offset < days; offset++) {
+        const date = new Date(nowMs + 2 * 60 * 60 * 1000 + offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        if (!tradingHoursForDate(hours, date)) {
+            continue;
+        }
+
+        const weekday = WEEKDAYS[new Date(`${date}T12:00:00Z`).getUTCDay()];
+        (settings.weekly[weekday] || [])
+            .filter(template => sastDateTime(date, template.start).getTime() >= earliestStartMs)
+            .sort((a, b) => a.start.localeCompare(b.start))
+            .forEach(template => {
+                slots.push({
+                    id: deliverySlotId(date, template.start),
+                    date,
+                    start: template.start,
+                    end: template.end,
+                    max_orders: template.max_orders
+                });
+            });
+    }
+
+    return slots;
+}
+
+// Checks a slot id from the trolley against the current templates.
+// Returns { isValid: true, slot } or { isValid: false, reason, message }.
+// Whether it still has room is only known inside the transaction that
+// holds it (reserveStockInTransaction).
+async function resolveDeliverySlot(slotId) {
+    const [settings, hours] = await Promise.all([getDeliverySlotSettings(), getTradingHours()]);
+    const slot = buildDeliverySlots(settings, hours).find(candidate => candidate.id === String(slotId));
+
+    if (!slot) {
+        return {
+            isValid: false,
+            reason: 'slot_unavailable',
+            message: 'That delivery slot is no longer available, please choose another'
+        };
+    }
+    return { isValid: true, slot };
+}
+
+// Reads a slot's counts. Must run before any writes in the transaction.
+async function readDeliverySlotInTransaction(transaction, slot) {
+    const slotDoc = await transaction.get(db.collection('delivery_slots').doc(slot.id));
+    const counts = slotDoc.exists ? slotDoc.data() : {};
+    const taken = (counts.reserved_count || 0) + (counts.booked_count || 0);
+    return { remaining: slot.max_orders - taken };
+}
+
+// Moves a slot's counts, e.g. { reserved: -1, booked: 1 } when a held
+// slot is paid for. Only writes.
+function writeDeliverySlotCountsInTransaction(transaction, slot, { reserved = 0, booked = 0 }) {
+    const update = { updated_at: admin.firestore.FieldValue.serverTimestamp() };
+
+    // Full slot details are only passed when holding or booking; releases
+    // just have the id and leave them alone
+    if (slot.date) {
+        update.date = slot.date;
+        update.start = slot.start;
+        update.end = slot.end;
+    }
+    if (slot.max_orders !== undefined) {
+        update.max_orders = slot.max_orders;
+    }
+    if (reserved) {
+        update.reserved_count = admin.firestore.FieldValue.increment(reserved);
+    }
+    if (booked) {
+        update.booked_count = admin.firestore.FieldValue.increment(booked);
+    }
+
+    transaction.set(db.collection('delivery_slots').doc(slot.id), update, { merge: true });
+}
+
+// What gets stored on the pending payment and the order
+function summariseDeliverySlot(slot) {
+    return { id: slot.id, date: slot.date, start: slot.start, end: slot.end };
+}
+
+// Bookable slots with how much room each has left
+async function listDeliverySlots(days = null) {
+    const [settings, hours] = await Promise.all([getDeliverySlotSettings(), getTradingHours()]);
+    const slots = buildDeliverySlots(
+        days ? { ...settings, days_ahead: Math.min(days, settings.days_ahead) } : settings,
+        hours
+    );
+
+    if (slots.length === 0) {
+        return [];
+    }
+
+    const slotDocs = await db.getAll(...slots.map(slot => db.collection('delivery_slots').doc(slot.id)));
+
+    return slots.map((slot, index) => {
+        const counts = slotDocs[index].exists ? slotDocs[index].data() : {};
+        const remaining = Math.max(0, slot.max_orders - (counts.reserved_count || 0) - (counts.booked_count || 0));
+        return { ...slot, remaining, available: remaining > 0 };
+    });
+}
+
+// ============================================
+// CHECKOUT IDEMPOTENCY
+// ============================================
+//
+// A double tap or a WebView retry must not create a second Yoco checkout.
+// The first /create-checkout for a key claims a checkout_idempotency
+// document; repeats with the same key get the stored response back for as
+// long as that checkout can still be paid.
+
+const IDEMPOTENCY_CONFIG = {
+    // A claim whose request never finished (crash, timeout) is abandoned
+    // after this, so the customer isn't locked out of checking out.
+    IN_PROGRESS_TIMEOUT_MS: 60 * 1000
+};
+
+// The Idempotency-Key header wins; otherwise the client's order_reference
+// identifies the attempt. Without either there's nothing to dedupe on.
+function getCheckoutIdempotencyKey(req) {
+    const headerKey = req.get('Idempotency-Key');
+    if (headerKey) {
+        return `key:${headerKey}`;
+    }
+    const orderReference = req.body?.metadata?.order_reference;
+    return orderReference ? `ref:${orderReference}` : null;
+}
+
+// Same key with a different trolley is a client bug, not a retry
+function fingerprintCheckoutRequest(body) {
+    const lines = (body.line_items || [])
+        .map(item => ({ id: String(item.id), quantity: Number(item.quantity) }))
+        .sort((a, b) => a.id.localeCompare(b.id));
+
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify({
+            amount: String(body.amount),
+            lines,
+            voucher: normaliseVoucherCode(body.voucher_code),
+            loyalty_points: Number(body.loyalty_points) || 0,
+            fulfilment_type: body.fulfilment_type || 'delivery',
+            delivery: deliveryAddressFrom(body.metadata),
+            delivery_slot: body.delivery_slot_id ? String(body.delivery_slot_id) : null
+        }))
+        .digest('hex');
+}
+
+// Returns one of:
+//   { status: 'claimed', ref }      - go ahead and create the checkout
+//   { status: 'replay', response }  - send the stored response back
+//   { status: 'in_progress' }       - the first request is still running
+//   { status: 'mismatch' }          - key reused for a different trolley
+//   { status: 'paid', orderId }     - that checkout was already paid
+async function claimCheckoutIdempotencyKey(key, fingerprint) {
+    const keyHash = crypto.createHash('sha256').update(key).digest('hex');
+    const ref = db.collection('checkout_idempotency').doc(keyHash);
+
+    return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        const now = Date.now();
+
+        if (doc.exists) {
+            const record = doc.data();
+            const live = record.status === 'completed'
+                ? record.expires_at.toMillis() > now
+                : record.claimed_at.toMillis() > now - IDEMPOTENCY_CONFIG.IN_PROGRESS_TIMEOUT_MS;
+
+            if (live && record.fingerprint !== fingerprint) {
+                return { status: 'mismatch' };
+            }
+
+            if (live && record.status === 'in_progress') {
+                return { status: 'in_progress' };
+            }
+
+            if (live && record.status === 'completed') {
+                const checkoutId = record.response.checkout_id;
+
+                // Only replay a checkout the customer can still pay — one
+                // that was cancelled or failed gets a fresh checkout.
+                const pendingSnapshot = await transaction.get(
+                    db.collection('pending_payments')
+                        .where('yoco_checkout_id', '==', checkoutId)
+                        .limit(1)
+                );
+
+                if (!pendingSnapshot.empty && pendingSnapshot.docs[0].data().status === 'awaiting_payment') {
+                    return { status: 'replay', response: record.response };
+                }
+
+                const orderDoc = await transaction.get(db.collection('orders').doc(`yoco_${checkoutId}`));
+                if (orderDoc.exists) {
+                    return { status: 'paid', orderId: orderDoc.id };
+                }
+            }
+        }
+
+        transaction.set(ref, {
+            key,
+            fingerprint,
+            status: 'in_progress',
+            claimed_at: admin.firestore.Timestamp.fromMillis(now),
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return { status: 'claimed', ref };
+    });
+}
+
+async function completeCheckoutIdempotencyKey(ref, response, checkoutExpiresAt) {
+    await ref.update({
+        status: 'completed',
+        response,
+        expires_at: admin.firestore.Timestamp.fromDate(new Date(checkoutExpiresAt)),
+        updated_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+// ============================================
+// PAYMENT LINKS (/pay/:reference)
+// ============================================
+
+const PAYMENT_LINK_CONFIG = {
+    // After this a link shows "start a new order" instead of regenerating
+    MAX_LIFETIME_MS: (parseInt(process.env.PAYMENT_LINK_MAX_AGE_HOURS) || 72) * 60 * 60 * 1000,
+    // A regeneration that never finished (crash, timeout) is abandoned
+    // after this, so the link can be opened again.
+    REGENERATION_TIMEOUT_MS: 60 * 1000
+};
+
+function isCheckoutExpired(pending) {
+    const expiresAtMs = pending.checkout_expires_at
+        ? new Date(pending.checkout_expires_at).getTime()
+        : (pending.created_at?.toMillis?.() || 0) + 10 * 60 * 1000;
+    return expiresAtMs <= Date.now();
+}
+
+// The order behind a payment link is normally still in pending_payments,
+// but the sweeper may already have moved it to abandoned_payments.
+async function findPaymentLinkOrder(orderReference) {
+    for (const collection of ['pending_payments', 'abandoned_payments']) {
+        const snapshot = await db.collection(collection)
+            .where('order_reference', '==', orderReference)
+            .limit(1)
+            .get();
+
+        if (!snapshot.empty) {
+            return snapshot.docs[0];
+        }
+    }
+    return null;
+}
+
+// Claims a payment link for regeneration in a transaction, so two opens
+// of the same link can't each create a checkout and hold the stock twice.
+// Returns the link's current data, or null if another request is already
+// regenerating it (or has just replaced it).
+async function claimPaymentLinkRegeneration(linkRef, requestId) {
+    return db.runTransaction(async (transaction) => {
+        const linkDoc = await transaction.get(linkRef);
+        if (!linkDoc.exists) {
+            return null;
+        }
+
+        const link = linkDoc.data();
+        const claimedMs = link.regenerating_at?.toMillis?.() || 0;
+        if (link.regenerating_by && claimedMs > Date.now() - PAYMENT_LINK_CONFIG.REGENERATION_TIMEOUT_MS) {
+            return null;
+        }
+
+        transaction.update(linkRef, {
+            regenerating_by: requestId,
+            regenerating_at: admin.firestore.Timestamp.now()
+        });
+        return link;
+    });
+}
+
+// Lets the link be regenerated again after an attempt that didn't replace it
+async function releasePaymentLinkClaim(linkRef, requestId) {
+    await db.runTransaction(async (transaction) => {
+        const linkDoc = await transaction.get(linkRef);
+        if (!linkDoc.exists || linkDoc.data().regenerating_by !== requestId) return;
+
+        transaction.update(linkRef, {
+            regenerating_by: admin.firestore.FieldValue.delete(),
+            regenerating_at: admin.firestore.FieldValue.delete()
+        });
+    });
+}
+
+// Replaces the expired checkout behind a payment link with a fresh one,
+// after making sure the old one wasn't paid and the order still prices the
+// same. Returns { status: 'regenerated', redirectUrl }, { status: 'paid' },
+// { status: 'changed', changedItems } or { status: 'in_progress' } when
+// another request has the link.
+async function regenerateCheckoutForPaymentLink(linkDoc, requestId) {
+    const pending = await claimPaymentLinkRegeneration(linkDoc.ref, requestId);
+    if (!pending) {
+        return { status: 'in_progress' };
+    }
+
+    try {
+        const result = await regenerateClaimedPaymentLink(linkDoc, pending, requestId);
+        if (result.status !== 'regenerated') {
+            await releasePaymentLinkClaim(linkDoc.ref, requestId);
+        }
+        return result;
+    } catch (error) {
+        await releasePaymentLinkClaim(linkDoc.ref, requestId);
+        throw error;
+    }
+}
+
+// The work of regenerateCheckoutForPaymentLink, once the link is claimed.
+// pending is the link's data as read by the claim.
+async function regenerateClaimedPaymentLink(linkDoc, pending, requestId) {
+
+    if (pending.yoco_checkout_id) {
+        const paymentDetails = await verifyYocoPayment(pending.yoco_checkout_id);
+
+        if (paymentDetails && (
+            paymentDetails.status === 'successful' ||
+            paymentDetails.status === 'completed' ||
+            paymentDetails.paymentId
+        )) {
+            console.log(`[${requestId}] Old checkout ${pending.yoco_checkout_id} was paid — completing order`);
+            await completePendingPayment({ ...pending, id: linkDoc.id }, paymentDetails);
+            await linkDoc.ref.delete();
+            return { status: 'paid' };
+        }
+    }
+
+    let pricing = { items: [], breakdown: pending.pricing || null };
+    let voucher = pending.voucher || null;
+    let loyalty = pending.loyalty || null;
+
+    if (pending.purpose === 'credit_settlement') {
+        // Nothing to reprice, but there's no point paying off a tab that
+        // has since been settled some other way
+        const accountDoc = await db.collection('credit_accounts').doc(pending.customer_key).get();
+        if (!accountDoc.exists || (accountDoc.data().balance_cents || 0) <= 0) {
+            return { status: 'paid' };
+        }
+    } else {
+        // The old hold would otherwise count against our own re-check
+        if (pending.reservation_id) {
+            await releaseStockReservation(pending.reservation_id, 'regenerated');
+        }
+
+        pricing = await priceOrderFromCatalogue(
+            (pending.items || []).map(item => ({ id: item.id, quantity: item.quantity, amount: item.amount }))
+        );
+        if (!pricing.isValid) {
+            console.log(`[${requestId}] ${pending.order_reference} no longer prices the same:`, pricing.changedItems);
+            return { status: 'changed', changedItems: pricing.changedItems };
+        }
+
+        // The delivery fee the customer was quoted when the link was made
+        // still stands. The voucher and points are checked again, as the
+        // voucher may have expired or run out and the points been spent.
+        if (pending.delivery) {
+            pricing = applyDeliveryToPricing(pricing, pending.delivery);
+        }
+
+        const customerPhone = pending.customer_info?.customer_phone || pending.metadata?.customer_phone;
+        if (pending.voucher) {
+            const evaluation = await evaluateVoucher(pending.voucher.code, pricing, customerPhone);
+            if (!evaluation.isValid) {
+                console.log(`[${requestId}] ${pending.order_reference} voucher ${pending.voucher.code} rejected: ${evaluation.reason}`);
+                return { status: 'changed', changedItems: [] };
+            }
+            ({ pricing, voucher } = applyVoucherToPricing(pricing, evaluation));
+        }
+
+        if (pending.loyalty?.points_redeemed > 0) {
+            const redemption = await evaluateLoyaltyRedemption(customerPhone, pending.loyalty.points_redeemed, pricing);
+            if (!redemption.isValid) {
+                console.log(`[${requestId}] ${pending.order_reference} loyalty redemption rejected: ${redemption.reason}`);
+                return { status: 'changed', changedItems: [] };
+            }
+            pricing = applyDiscountToPricing(pricing, {
+                source: 'loyalty',
+                code: null,
+                amountCents: redemption.amountCents,
+                allocateTo: pricing.items.map(item => item.id)
+            });
+            loyalty = {
+                customer_key: redemption.customerKey,
+                points_redeemed: redemption.points,
+                redeem_value_cents: redemption.amountCents
+            };
+        }
+
+        if (pricing.breakdown.total_cents !== pending.amount_cents) {
+            console.log(`[${requestId}] ${pending.order_reference} now prices at ${pricing.breakdown.total_cents}c, not ${pending.amount_cents}c`);
+            return { status: 'changed', changedItems: [] };
+        }
+    }
+
+    // A slot that has since passed can't be held again
+    let deliverySlot = null;
+    if (pending.delivery_slot) {
+        const resolved = await resolveDeliverySlot(pending.delivery_slot.id);
+        if (!resolved.isValid) {
+            console.log(`[${requestId}] ${pending.order_reference} delivery slot ${pending.delivery_slot.id} has passed`);
+            return { status: 'changed', changedItems: [] };
+        }
+        deliverySlot = resolved.slot;
+    }
+
+    const checkout = await createYocoCheckout({
+        amountInCents: pending.amount_cents,
+        orderReference: pending.order_reference,
+        successUrl: pending.success_url,
+        cancelUrl: pending.cancel_url,
+        failureUrl: pending.failure_url,
+        metadata: {
+            customer_name: pending.customer_info?.customer_name || 'Customer',
+            customer_email: pending.customer_info?.customer_email || '',
+            customer_phone: pending.customer_info?.customer_phone || '',
+            request_id: requestId
+        },
+        lineItems: pricing.items.length > 0 ? buildYocoLineItems(pricing) : null
+    });
+
+    // Drop the old document's bookkeeping; storePendingOrder sets fresh
+    // status, timestamps and reservation.
+    const {
+        status, created_at, updated_at, reservation_id,
+        abandoned_reason, abandoned_at, yoco_status,
+        regenerating_by, regenerating_at,
+        ...carried
+    } = pending;
+
+    try {
+        await storePendingOrder({
+            ...carried,
+            id: checkout.yocoData.id,
+            metadata: checkout.yocoPayload.metadata,
+            items: pricing.items,
+            pricing: pricing.breakdown,
+            voucher,
+            loyalty,
+            delivery_slot: deliverySlot,
+            yoco_checkout_id: checkout.yocoData.id,
+            request_id: requestId,
+            redirectUrl: checkout.redirectUrl,
+            success_url: checkout.yocoPayload.successUrl,
+            cancel_url: checkout.yocoPayload.cancelUrl,
+            failure_url: checkout.yocoPayload.failureUrl,
+            checkout_expires_at: checkout.checkoutExpiresAt,
+            link_created_at: pending.link_created_at || created_at || admin.firestore.Timestamp.now(),
+            regenerated_from: pending.yoco_checkout_id || null,
+            regeneration_count: (pending.regeneration_count || 0) + 1
+        });
+    } catch (error) {
+        if (error.code === 'INSUFFICIENT_STOCK') {
+            return { status: 'changed', changedItems: error.changedItems };
+        }
+        if (['SLOT_FULL', 'VOUCHER_UNAVAILABLE', 'POINTS_UNAVAILABLE'].includes(error.code)) {
+            return { status: 'changed', changedItems: [] };
+        }
+        throw error;
+    }
+
+    await linkDoc.ref.delete();
+
+    console.log(`[${requestId}] Regenerated checkout for ${pending.order_reference}: ${checkout.yocoData.id}`);
+    return { status: 'regenerated', redirectUrl: checkout.redirectUrl };
+}
+
+function renderPaymentLinkPage(title, message) {
+    return `<!doctype html>
+<html>
+<head>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${title} - EezySpaza</title>
+</head>
+<body style="font-family: Arial, sans-serif; max-width: 480px; margin: 40px auto; padding: 0 16px; text-align: center;">
+    <h1>${title}</h1>
+    <p>${message}</p>
+</body>
+</html>`;
+}
+
+// South Africa Standard Time is a constant UTC+2 offset (no DST),
+// so we can compute day boundaries with a fixed offset string.
+function getSASTDayRange(dateStr) {
+    const start = new Date(`${dateStr}T00:00:00+02:00`);
+    const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+    return { start, end };
+}
+
+// Returns today's date as YYYY-MM-DD, in SAST.
+function todaySAST() {
+    const sastNow = new Date(Date.now() + 2 * 60 * 60 * 1000);
+    return sastNow.toISOString().slice(0, 10);
+}
+
+// Returns yesterday's date as YYYY-MM-DD, in SAST.
+function yesterdaySAST() {
+    const sastNow = new Date(Date.now() + 2 * 60 * 60 * 1000);
+    const y = new Date(sastNow.getTime() - 24 * 60 * 60 * 1000);
+    return y.toISOString().slice(0, 10);
+}
+
+async function getOrdersForDate(dateStr) {
+    const { start, end } = getSASTDayRange(dateStr);
+
+    const snapshot = await db.collection('orders')
+        .where('created_at', '>=', admin.firestore.Timestamp.fromDate(start))
+        .where('created_at', '<', admin.firestore.Timestamp.fromDate(end))
+        .orderBy('created_at', 'desc')
+        .get();
+
+    const orders = [];
+    snapshot.forEach(doc => orders.push({ id: doc.id, ...doc.data() }));
+    return orders;
+}
+
+function buildDailySummary(date, orders) {
+    const byStatus = {};
+    let totalRevenue = 0;
+    let completedRevenue = 0;
+    let refundedTotal = 0;
+    const oversoldOrders = [];
+    const byChannel = {};
+    const byPaymentType = {
+        card: { count: 0, revenue: 0 },
+        cash: { count: 0, revenue: 0 },
+        tab: { count: 0, revenue: 0 }
+    };
+    const cashOutstanding = { count: 0, amount: 0 };
+    const deliveryFees = { count: 0, amount: 0 };
+    let discountTotal = 0;
+    const byVoucher = {};
+
+    orders.forEach(order => {
+        const status = order.status || 'unknown';
+        byStatus[status] = (byStatus[status] || 0) + 1;
+
+        if (order.oversold) {
+            oversoldOrders.push({
+                id: order.id,
+                order_reference: order.order_reference || '',
+                items: order.oversold_items || []
+            });
+        }
+
+        // Refunds are netted off the order they belong to
+        const refunded = (order.refunded_amount_cents || 0) / 100;
+        const amount = (order.amount_display ??
+            ((order.amount_cents || order.amount || 0) / 100)) - refunded;
+
+        refundedTotal += refunded;
+        totalRevenue += amount;
+
+        // Orders from before channels were recorded all came from the app
+        const channel = order.channel || 'app';
+        byChannel[channel] = byChannel[channel] || { count: 0, revenue: 0 };
+        byChannel[channel].count += 1;
+        byChannel[channel].revenue = Number((byChannel[channel].revenue + amount).toFixed(2));
+
+        if (order.payment_status === 'awaiting_cash') {
+            if (status !== 'cancelled') {
+                cashOutstanding.count += 1;
+                cashOutstanding.amount = Number((cashOutstanding.amount + amount).toFixed(2));
+            }
+            return;
+        }
+
+        if (PAID_ORDER_STATUSES.includes(status)) {
+            completedRevenue += amount;
+
+            const paymentType = isCashOrder(order) ? 'cash' : isTabOrder(order) ? 'tab' : 'card';
+            byPaymentType[paymentType].count += 1;
+            byPaymentType[paymentType].revenue = Number((byPaymentType[paymentType].revenue + amount).toFixed(2));
+
+            discountTotal += (order.pricing?.discount_cents || 0) / 100;
+
+            // Net of free-delivery vouchers, which discount the fee away
+            const deliveryCents = (order.pricing?.delivery_cents || 0) -
+                (order.voucher?.free_delivery ? order.voucher.discount_cents : 0);
+            if (deliveryCents > 0) {
+                deliveryFees.count += 1;
+                deliveryFees.amount = Number((deliveryFees.amount + deliveryCents / 100).toFixed(2));
+            }
+
+            if (order.voucher?.code) {
+                const code = order.voucher.code;
+                byVoucher[code] = byVoucher[code] || { count: 0, discount: 0 };
+                byVoucher[code].count += 1;
+                byVoucher[code].discount = Number((byVoucher[code].discount + order.voucher.discount_cents / 100).toFixed(2));
+            }
+        }
+    });
+
+    return {
+        date,
+        totalOrders: orders.length,
+        byStatus,
+        byChannel,
+        byPaymentType,
+        cashOutstanding,
+        deliveryFees,
+        totalRevenue: Number(totalRevenue.toFixed(2)),
+        completedRevenue: Number(completedRevenue.toFixed(2)),
+        refundedTotal: Number(refundedTotal.toFixed(2)),
+        discountTotal: Number(discountTotal.toFixed(2)),
+        byVoucher,
+        oversoldOrders,
+        generatedAt: new Date().toISOString()
+    };
+}
+
+async function archiveDailyReport(date, summary, orders) {
+    // Slim order list — enough detail to review later without
+    // bloating the archived document.
+    const orderSnapshot = orders.map(order => ({
+        id: order.id,
+        customer: order.customer_info?.customer_name ||
+            order.metadata?.customer_name || 'Unknown',
+        total: order.amount_display ??
+            ((order.amount_cents || order.amount || 0) / 100),
+        status: order.status || 'unknown'
+    }));
+
+    await db.collection('dailyReports').doc(date).set({
+        ...summary,
+        orders: orderSnapshot
+    });
+
+    console.log(`[daily-report] Archived ${date} to Firestore (dailyReports/${date})`);
+}
+
+function renderReconciliationSection(reconciliation) {
+    if (!reconciliation) {
+        return '';
+    }
+    if (reconciliation.status === 'failed') {
+        return `<h3>Payment Reconciliation</h3><p style="color:#b91c1c;">Reconciliation failed: ${reconciliation.error}</p>`;
+    }
+
+    const rows = [
+        ...reconciliation.missing_orders_created.map(item =>
+            `<tr><td>Order created</td><td>${item.order_reference || item.checkout_id}</td><td>R${(item.amount_cents / 100).toFixed(2)}</td></tr>`),
+        ...reconciliation.missing_orders_unresolved.map(item =>
+            `<tr><td>Paid, no order</td><td>${item.order_reference || item.checkout_id}</td><td>R${(item.amount_cents / 100).toFixed(2)}</td></tr>`),
+        ...reconciliation.amount_mismatches.map(item =>
+            `<tr><td>Amount mismatch</td><td>${item.order_id}</td><td>R${(item.order_amount_cents / 100).toFixed(2)} vs R${(item.paid_amount_cents / 100).toFixed(2)} paid</td></tr>`),
+        ...reconciliation.orphan_orders.map(item =>
+            `<tr><td>No payment</td><td>${item.order_id}</td><td>R${((item.amount_cents || 0) / 100).toFixed(2)}</td></tr>`)
+    ].join('');
+
+    return `
+            <h3>Payment Reconciliation (${reconciliation.status})</h3>
+            <p>${reconciliation.payments_checked} Yoco payment(s) checked, ${reconciliation.matched} matched to orders.</p>
+            ${reconciliation.truncated ? '<p style="color:#b91c1c;">Not every payment could be listed — check the Yoco dashboard.</p>' : ''}
+            <table border="1" cellpadding="6" cellspacing="0" style="border-collapse: collapse;">
+                <tr style="background:#f3f4f6;"><th>Issue</th><th>Order</th><th>Amount</th></tr>
+                ${rows || '<tr><td colspan="3">Everything matched</td></tr>'}
+            </table>`;
+}
+
+async function sendDailyReportEmail(summary, reconciliation) {
+    if (!mailTransporter) {
+        console.warn('[daily-report] Email not configured — skipping send');
+        return;
+    }
+
+    const statusRows = Object.entries(summary.byStatus)
+        .map(([status, count]) => `<tr><td>${status}</td><td>${count}</td></tr>`)
+        .join('');
+
+    const channelRows = Object.entries(summary.byChannel || {})
+        .map(([channel, totals]) => `<tr><td>${channel}</td><td>${totals.count}</td><td>R${totals.revenue.toFixed(2)}</td></tr>`)
+        .join('');
+
+    const paymentTypeRows = Object.entries(summary.byPaymentType || {})
+        .map(([type, totals]) => `<tr><td>${type}</td><td>${totals.count}</td><td>R${totals.revenue.toFixed(2)}</td></tr>`)
+        .join('');
+
+    const cashOutstanding = summary.cashOutstanding || { count: 0, amount: 0 };
+    const deliveryFees = summary.deliveryFees || { count: 0, amount: 0 };
+
+    const overdueCreditRows = (summary.overdueCredit || [])
+        .map(account =>
+            `<tr><td>${account.customer_name || account.customer_key}</td><td>R${(account.balance_cents / 100).toFixed(2)}</td>` +
+            `<td>R${(account.overdue_cents / 100).toFixed(2)}</td><td>${account.last_payment_at ? account.last_payment_at.slice(0, 10) : 'never'}</td></tr>`
+        )
+        .join('');
+
+    const deliveryRuns = summary.deliveryRuns || { runs: 0, stops: 0, delivered: 0, failed: 0, pending: 0, cash_collected: 0, byDriver: {} };
+    const driverRows = Object.entries(deliveryRuns.byDriver)
+        .map(([driver, totals]) =>
+            `<tr><td>${driver}</td><td>${totals.runs}</td><td>${totals.stops}</td><td>${totals.delivered}</td>` +
+            `<td>${totals.failed}</td><td>R${totals.cash_collected.toFixed(2)}</td></tr>`
+        )
+        .join('');
+
+    const voucherRows = Object.entries(summary.byVoucher || {})
+        .map(([code, totals]) => `<tr><td>${code}</td><td>${totals.count}</td><td>R${totals.discount.toFixed(2)}</td></tr>`)
+        .join('');
+
+    const oversoldRows = (summary.oversoldOrders || [])
+        .flatMap(order => order.items.map(item =>
+            `<tr><td>${order.order_reference || order.id}</td><td>${item.name || item.product_id}</td>` +
+            `<td>${item.ordered_quantity}</td><td>${item.shortfall}</td></tr>`
+        ))
+        .join('');
+
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 500px;">
+            <h2>EezySpaza Daily Report — ${summary.date}</h2>
+            <p><strong>Total Orders:</strong> ${summary.totalOrders}</p>
             <p><strong>Total Revenue (all orders):</strong> R${summary.totalRevenue.toFixed(2)}</p>
             <p><strong>Completed/Delivered Revenue:</strong> R${summary.completedRevenue.toFixed(2)}</p>
+            <p><strong>Refunded (already deducted above):</strong> R${(summary.refundedTotal || 0).toFixed(2)}</p>
+            <p><strong>Delivery fees (included above):</strong> R${deliveryFees.amount.toFixed(2)} on ${deliveryFees.count} order(s)</p>
             <h3>Breakdown by Status</h3>
             <table border="1" cellpadding="6" cellspacing="0" style="border-collapse: collapse;">
                 <tr style="background:#f3f4f6;"><th>Status</th><th>Count</th></tr>
                 ${statusRows || '<tr><td colspan="2">No orders today</td></tr>'}
             </table>
+            <h3>Breakdown by Channel</h3>
+            <table border="1" cellpadding="6" cellspacing="0" style="border-collapse: collapse;">
+                <tr style="background:#f3f4f6;"><th>Channel</th><th>Orders</th><th>Revenue</th></tr>
+                ${channelRows || '<tr><td colspan="3">No orders today</td></tr>'}
+            </table>
+            <h3>Card vs Cash vs Tab (paid orders)</h3>
+            <table border="1" cellpadding="6" cellspacing="0" style="border-collapse: collapse;">
+                <tr style="background:#f3f4f6;"><th>Payment</th><th>Orders</th><th>Revenue</th></tr>
+                ${paymentTypeRows}
+            </table>
+            <p><strong>Cash still to collect:</strong> ${cashOutstanding.count} order(s), R${cashOutstanding.amount.toFixed(2)}</p>
+            <h3>Overdue Credit Accounts</h3>
+            <table border="1" cellpadding="6" cellspacing="0" style="border-collapse: collapse;">
+                <tr style="background:#f3f4f6;"><th>Customer</th><th>Owes</th><th>Overdue</th><th>Last Payment</th></tr>
+                ${overdueCreditRows || '<tr><td colspan="4">No overdue accounts</td></tr>'}
+            </table>
+            <h3>Delivery Runs</h3>
+            <p><strong>${deliveryRuns.runs} run(s), ${deliveryRuns.stops} stop(s):</strong> ${deliveryRuns.delivered} delivered, ${deliveryRuns.failed} failed, ${deliveryRuns.pending} still out</p>
+            <table border="1" cellpadding="6" cellspacing="0" style="border-collapse: collapse;">
+                <tr style="background:#f3f4f6;"><th>Driver</th><th>Runs</th><th>Stops</th><th>Delivered</th><th>Failed</th><th>Cash Collected</th></tr>
+                ${driverRows || '<tr><td colspan="6">No delivery runs</td></tr>'}
+            </table>
+            <h3>Discounts</h3>
+            <p><strong>Total discounts given:</strong> R${(summary.discountTotal || 0).toFixed(2)}</p>
+            <table border="1" cellpadding="6" cellspacing="0" style="border-collapse: collapse;">
+                <tr style="background:#f3f4f6;"><th>Voucher</th><th>Orders</th><th>Discount</th></tr>
+                ${voucherRows || '<tr><td colspan="3">No vouchers redeemed</td></tr>'}
+            </table>
+            <h3>Oversold Lines</h3>
+            <table border="1" cellpadding="6" cellspacing="0" style="border-collapse: collapse;">
+                <tr style="background:#f3f4f6;"><th>Order</th><th>Product</th><th>Ordered</th><th>Short By</th></tr>
+                ${oversoldRows || '<tr><td colspan="4">No oversold items</td></tr>'}
+            </table>
+            ${renderReconciliationSection(reconciliation)}
             <p style="color:#888; font-size:12px; margin-top: 20px;">
                 Generated automatically at ${summary.generatedAt}
             </p>
         </div>
     `;
 
-    await mailTransporter.sendMail({
-        from: `"EezySpaza Reports" <${process.env.GMAIL_USER}>`,
-        to: DAILY_REPORT_RECIPIENT,
-        subject: `EezySpaza Daily Report — ${summary.date}`,
-        html
-    });
+    await mailTransporter.sendMail({
+        from: `"EezySpaza Reports" <${process.env.GMAIL_USER}>`,
+        to: DAILY_REPORT_RECIPIENT,
+        subject: `EezySpaza Daily Report — ${summary.date}`,
+        html,
+        // Full reconciliation report for anything the table leaves out
+        attachments: reconciliation ? [{
+            filename: `reconciliation-${summary.date}.json`,
+            content: JSON.stringify(reconciliation, null, 2),
+            contentType: 'application/json'
+        }] : []
+    });
+
+    console.log(`[daily-report] ✅ Email sent for ${summary.date} to ${DAILY_REPORT_RECIPIENT}`);
+}
+
+async function generateAndSendDailyReport(date) {
+    console.log(`[daily-report] Generating report for ${date}`);
+
+    // Runs first so any orders it recovers are in place. A Yoco outage
+    // shouldn't stop the report going out, so failures are reported in it.
+    let reconciliation;
+    try {
+        reconciliation = await runPaymentReconciliation(date);
+    } catch (error) {
+        console.error(`[daily-report] Reconciliation failed for ${date}:`, error);
+        reconciliation = { date, status: 'failed', error: error.message };
+    }
+
+    const orders = await getOrdersForDate(date);
+    const summary = {
+        ...buildDailySummary(date, orders),
+        overdueCredit: await getOverdueCreditAccounts(),
+        deliveryRuns: await getDeliveryRunTotals(date)
+    };
+    await archiveDailyReport(date, summary, orders);
+    await sendDailyReportEmail(summary, reconciliation);
+    console.log(`[daily-report] Done for ${date}`);
+    return summary;
+}
+
+
+// ============================================
+// PAYMENT RECONCILIATION
+// ============================================
+//
+// If both the success redirect and the webhook are lost, the customer is
+// charged but no order exists. Each night (just before the daily report,
+// which includes the result) every Yoco payment for the day is matched
+// against orders by yoco_checkout_id: missing orders are created from the
+// pending (or abandoned) payment, and amount mismatches and orders with no
+// payment behind them are flagged. Reports are kept in
+// reconciliation_reports/{date}.
+
+const RECONCILIATION_CONFIG = {
+    PAGE_LIMIT: 100,
+    MAX_PAGES: 50,
+    IN_QUERY_LIMIT: 30  // Firestore 'in' filters take at most 30 values
+};
+
+// Successful payments made between start and end. truncated is set if
+// there were more than MAX_PAGES pages.
+async function listSuccessfulPayments(start, end) {
+    const payments = [];
+    let cursor = null;
+
+    for (let page = 0; page < RECONCILIATION_CONFIG.MAX_PAGES; page++) {
+        const { ok, status, data } = await paymentProvider.listPayments({
+            createdAfter: start.toISOString(),
+            createdBefore: end.toISOString(),
+            limit: RECONCILIATION_CONFIG.PAGE_LIMIT,
+            cursor
+        });
+
+        if (!ok) {
+            const error = new Error(`Could not list Yoco payments (status ${status})`);
+            error.code = 'YOCO_UNAVAILABLE';
+            throw error;
+        }
+
+        payments.push(...(data.data || []));
+        cursor = data.nextCursor || null;
+
+        if (!cursor) {
+            return { payments: payments.filter(isSuccessfulPayment), truncated: false };
+        }
+    }
+
+    return { payments: payments.filter(isSuccessfulPayment), truncated: true };
+}
+
+function isSuccessfulPayment(payment) {
+    return payment.status === 'succeeded' || payment.status === 'successful';
+}
+
+// Map of yoco_checkout_id -> order for the given checkout ids. A tab
+// settlement's credit_ledger payment stands in for the order.
+async function findOrdersByCheckoutIds(checkoutIds) {
+    const orders = new Map();
+
+    for (let i = 0; i < checkoutIds.length; i += RECONCILIATION_CONFIG.IN_QUERY_LIMIT) {
+        const chunk = checkoutIds.slice(i, i + RECONCILIATION_CONFIG.IN_QUERY_LIMIT);
+        for (const collection of ['orders', 'credit_ledger']) {
+            const snapshot = await db.collection(collection)
+                .where('yoco_checkout_id', 'in', chunk)
+                .get();
+            snapshot.forEach(doc => orders.set(doc.data().yoco_checkout_id, { id: doc.id, ...doc.data() }));
+        }
+    }
+
+    return orders;
+}
+
+// Creates the order for a paid checkout that never got one. The pending
+// payment may already have been given up on by the pending sweep, so
+// abandoned_payments is checked too. Returns { orderId, source } or null
+// if there is nothing to build the order from.
+async function recoverOrderForPayment(checkoutId, payment, label) {
+    const orderId = await completeOrderFromCheckoutId(checkoutId, payment, label);
+    if (orderId) {
+        return { orderId, source: 'pending_payments' };
+    }
+
+    const abandonedSnapshot = await db.collection('abandoned_payments')
+        .where('yoco_checkout_id', '==', checkoutId)
+        .limit(1)
+        .get();
+
+    if (abandonedSnapshot.empty) {
+        return null;
+    }
+
+    const abandonedDoc = abandonedSnapshot.docs[0];
+    const recoveredId = await completePendingPayment({ ...abandonedDoc.data(), id: abandonedDoc.id }, payment);
+    await abandonedDoc.ref.delete();
+    console.log(`[${label}] ✅ Order created from abandoned payment: ${recoveredId}`);
+
+    return { orderId: recoveredId, source: 'abandoned_payments' };
+}
+
+async function runPaymentReconciliation(date) {
+    const runId = `reconcile_${date}_${Date.now()}`;
+    const { start, end } = getSASTDayRange(date);
+    console.log(`[${runId}] Reconciling Yoco payments for ${date}`);
+
+    const { payments, truncated } = await listSuccessfulPayments(start, end);
+
+    const paymentsByCheckout = new Map();
+    const paymentsWithoutCheckout = [];
+    payments.forEach(payment => {
+        const checkoutId = payment.metadata?.checkoutId || payment.checkoutId;
+        if (checkoutId) {
+            paymentsByCheckout.set(checkoutId, payment);
+        } else {
+            paymentsWithoutCheckout.push({ payment_id: payment.id, amount_cents: payment.amount });
+        }
+    });
+
+    const ordersByCheckout = await findOrdersByCheckoutIds([...paymentsByCheckout.keys()]);
+
+    const report = {
+        date,
+        run_id: runId,
+        provider: paymentProvider.name,
+        payments_checked: payments.length,
+        matched: 0,
+        missing_orders_created: [],
+        missing_orders_unresolved: [],
+        amount_mismatches: [],
+        orphan_orders: [],
+        payments_without_checkout: paymentsWithoutCheckout,
+        truncated
+    };
+
+    for (const [checkoutId, payment] of paymentsByCheckout) {
+        const order = ordersByCheckout.get(checkoutId);
+
+        if (!order) {
+            const recovered = await recoverOrderForPayment(checkoutId, payment, runId);
+            const entry = {
+                checkout_id: checkoutId,
+                payment_id: payment.id,
+                amount_cents: payment.amount,
+                order_reference: payment.metadata?.order_reference || ''
+            };
+            if (recovered) {
+                report.missing_orders_created.push({ ...entry, order_id: recovered.orderId, source: recovered.source });
+            } else {
+                report.missing_orders_unresolved.push(entry);
+            }
+            continue;
+        }
+
+        report.matched++;
+
+        if (order.amount_cents !== payment.amount) {
+            report.amount_mismatches.push({
+                order_id: order.id,
+                checkout_id: checkoutId,
+                order_amount_cents: order.amount_cents,
+                paid_amount_cents: payment.amount
+            });
+        }
+    }
+
+    // Orders claiming a Yoco checkout with no payment for it that day. The
+    // payment may just fall the other side of midnight, so each one is
+    // checked with Yoco before it is flagged.
+    const orders = await getOrdersForDate(date);
+    for (const order of orders) {
+        if (!order.yoco_checkout_id || paymentsByCheckout.has(order.yoco_checkout_id)) {
+            continue;
+        }
+
+        const verification = await verifyYocoPayment(order.yoco_checkout_id);
+        const paid = verification && (
+            verification.status === 'successful' ||
+            verification.status === 'completed' ||
+            verification.paymentId
+        );
+
+        if (!paid) {
+            report.orphan_orders.push({
+                order_id: order.id,
+                checkout_id: order.yoco_checkout_id,
+                amount_cents: order.amount_cents,
+                yoco_status: verification?.status || null
+            });
+        }
+    }
+
+    const issues = report.missing_orders_unresolved.length +
+        report.amount_mismatches.length +
+        report.orphan_orders.length;
+    report.status = issues > 0 || truncated ? 'needs_attention' : 'clean';
+
+    await db.collection('reconciliation_reports').doc(date).set({
+        ...report,
+        generated_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    console.log(
+        `[${runId}] ${report.status}: ${report.matched} matched, ` +
+        `${report.missing_orders_created.length} orders created, ${issues} issue(s)`
+    );
+
+    return report;
+}
+
+// ============================================
+// PAYMENT ENDPOINTS
+// ============================================
+
+app.post('/create-checkout', async (req, res) => {
+    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    let idempotencyRef = null;
+    let idempotencyCompleted = false;
+
+    try {
+        console.log(`[${requestId}] Creating checkout`);
+        
+        const validation = validateCheckoutInput(req.body);
+        if (!validation.isValid) {
+            return res.status(400).json({
+                error: 'Input validation failed',
+                details: validation.errors
+            });
+        }
+
+        const idempotencyKey = getCheckoutIdempotencyKey(req);
+        if (idempotencyKey) {
+            const claim = await claimCheckoutIdempotencyKey(idempotencyKey, fingerprintCheckoutRequest(req.body));
+
+            if (claim.status === 'replay') {
+                console.log(`[${requestId}] Idempotent repeat — returning checkout ${claim.response.checkout_id}`);
+                return res.json({ ...claim.response, idempotent_replay: true });
+            }
+            if (claim.status === 'in_progress') {
+                return res.status(409).json({ error: 'Checkout already in progress, please wait' });
+            }
+            if (claim.status === 'mismatch') {
+                return res.status(422).json({ error: 'Idempotency key was already used for a different order' });
+            }
+            if (claim.status === 'paid') {
+                return res.status(409).json({ error: 'This order has already been paid', order_id: claim.orderId });
+            }
+
+            // Any response other than success frees the key again, so the
+            // customer can retry after fixing their trolley or a Yoco outage.
+            idempotencyRef = claim.ref;
+            res.on('finish', () => {
+                if (!idempotencyCompleted) {
+                    idempotencyRef.delete().catch(error => {
+                        console.error(`[${requestId}] Failed to release idempotency key:`, error.message);
+                    });
+                }
+            });
+        }
+
+        // After hours the order is refused, or taken for the next opening
+        // if the store allows it (see TRADING HOURS)
+        const storeStatus = await getStoreStatus();
+        if (!storeStatus.accepts_orders) {
+            return res.status(503).json({ error: storeStatus.message, store_closed: true, store_status: storeStatus });
+        }
+
+        // Never charge the client's amount — rebuild the order from the
+        // live catalogue and charge what the server calculates.
+        let pricing = await priceOrderFromCatalogue(req.body.line_items);
+
+        if (!pricing.isValid) {
+            console.warn(`[${requestId}] Trolley out of date:`, pricing.changedItems);
+            return res.status(409).json({
+                error: 'Some items in your trolley have changed',
+                changed_items: pricing.changedItems
+            });
+        }
+
+        // Delivery goes on before any discount, so a free-delivery voucher
+        // can take it off again. Collection orders have no address to price.
+        const fulfilmentType = req.body.fulfilment_type || 'delivery';
+        let delivery = null;
+        if (fulfilmentType === 'delivery') {
+            const priced = await priceDelivery(pricing, req.body.metadata);
+            if (priced.rejection) {
+                return res.status(409).json({
+                    error: priced.rejection.message,
+                    delivery_error: priced.rejection.reason
+                });
+            }
+            pricing = priced.pricing;
+            delivery = priced.delivery;
+        }
+
+        // The slot is only checked against the schedule here; it is held,
+        // or refused as full, when the pending payment is stored
+        let deliverySlot = null;
+        if (req.body.delivery_slot_id) {
+            const resolved = await resolveDeliverySlot(req.body.delivery_slot_id);
+            if (!resolved.isValid) {
+                return res.status(409).json({ error: resolved.message, slot_error: resolved.reason });
+            }
+            deliverySlot = resolved.slot;
+        }
+
+        let voucher = null;
+        if (req.body.voucher_code) {
+            const evaluation = await evaluateVoucher(req.body.voucher_code, pricing, req.body.metadata?.customer_phone);
+
+            if (!evaluation.isValid) {
+                console.warn(`[${requestId}] Voucher ${req.body.voucher_code} rejected: ${evaluation.reason}`);
+                return res.status(409).json({
+                    error: evaluation.message,
+                    voucher_error: evaluation.reason
+                });
+            }
+
+            ({ pricing, voucher } = applyVoucherToPricing(pricing, evaluation));
+        }
+
+        // Points come off after any voucher, and are held with the stock
+        let loyalty = null;
+        if (req.body.loyalty_points) {
+            const redemption = await evaluateLoyaltyRedemption(
+                req.body.metadata?.customer_phone,
+                req.body.loyalty_points,
+                pricing
+            );
+
+            if (!redemption.isValid) {
+                console.warn(`[${requestId}] Loyalty redemption rejected: ${redemption.reason}`);
+                return res.status(409).json({
+                    error: redemption.message,
+                    loyalty_error: redemption.reason
+                });
+            }
+
+            pricing = applyDiscountToPricing(pricing, {
+                source: 'loyalty',
+                code: null,
+                amountCents: redemption.amountCents,
+                allocateTo: pricing.items.map(item => item.id)
+            });
+            loyalty = {
+                customer_key: redemption.customerKey,
+                points_redeemed: redemption.points,
+                redeem_value_cents: redemption.amountCents
+            };
+        }
+
+        const amountInCents = pricing.breakdown.total_cents;
+        const clientAmountCents = Math.round(validation.amountFloat * 100);
+
+        if (Math.abs(clientAmountCents - amountInCents) > PRICING_CONFIG.TOTAL_TOLERANCE_CENTS) {
+            console.warn(`[${requestId}] Amount mismatch: client ${clientAmountCents}c, server ${amountInCents}c`);
+            return res.status(409).json({
+                error: 'Order total does not match current prices',
+                client_amount: clientAmountCents / 100,
+                server_amount: amountInCents / 100,
+                breakdown: pricing.breakdown
+            });
+        }
+
+        if (amountInCents < YOCO_CONFIG.MIN_AMOUNT_CENTS || amountInCents > YOCO_CONFIG.MAX_AMOUNT_CENTS) {
+            return res.status(400).json({ error: 'Amount out of range' });
+        }
+
+        if (!paymentProvider.isConfigured()) {
+            return res.status(500).json({ error: 'Server configuration error' });
+        }
+
+        const orderReference = req.body.metadata?.order_reference ||
+            `ORDER_${Date.now()}_${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+
+        const checkout = await createYocoCheckout({
+            amountInCents,
+            currency: req.body.currency || 'ZAR',
+            orderReference,
+            successUrl: req.body.successUrl,
+            cancelUrl: req.body.cancelUrl,
+            failureUrl: req.body.failureUrl,
+            metadata: {
+                customer_name: req.body.metadata?.customer_name || 'Customer',
+                customer_email: req.body.metadata?.customer_email || '',
+                customer_phone: req.body.metadata?.customer_phone || '',
+                request_id: requestId
+            },
+            lineItems: buildYocoLineItems(pricing)
+        });
+
+        const { yocoData, yocoPayload, redirectUrl, checkoutExpiresAt } = checkout;
+
+        // Store as PENDING - not completed yet
+        await storePendingOrder({
+            id: yocoData.id,
+            amount: amountInCents,
+            line_items: req.body.line_items,
+            metadata: yocoPayload.metadata,
+            customer_info: {
+                customer_name: yocoPayload.metadata.customer_name,
+                customer_email: yocoPayload.metadata.customer_email,
+                customer_phone: yocoPayload.metadata.customer_phone,
+                ...(fulfilmentType === 'delivery' ? {
+                    customer_address: req.body.metadata?.customer_address || '',
+                    customer_city: req.body.metadata?.customer_city || '',
+                    customer_postal_code: req.body.metadata?.customer_postal_code || ''
+                } : {})
+            },
+            items: pricing.items,
+            pricing: pricing.breakdown,
+            voucher,
+            loyalty,
+            fulfilment_type: fulfilmentType,
+            delivery,
+            delivery_slot: deliverySlot,
+            scheduled_for: storeStatus.scheduled_for,
+            order_reference: orderReference,
+            amount_cents: amountInCents,
+            amount_display: amountInCents / 100,
+            currency: 'ZAR',
+            yoco_checkout_id: yocoData.id,
+            request_id: requestId,
+            redirectUrl: redirectUrl,  // Needed by GET /pay/:reference to forward the customer
+            success_url: yocoPayload.successUrl,  // Store for reference
+            cancel_url: yocoPayload.cancelUrl,    // Reused if /pay/:reference regenerates the checkout
+            failure_url: yocoPayload.failureUrl,
+            checkout_expires_at: checkoutExpiresAt,  // Stock stays reserved until this (+ grace)
+            channel: 'app'
+        });
+
+        console.log(`[${requestId}] Checkout created, redirect: ${redirectUrl}`);
+
+        const responseBody = {
+            redirectUrl: redirectUrl,
+            order_reference: orderReference,
+            amount_cents: amountInCents,
+            pricing: pricing.breakdown,
+            fulfilment_type: fulfilmentType,
+            delivery,
+            delivery_slot: deliverySlot ? summariseDeliverySlot(deliverySlot) : null,
+            voucher,
+            loyalty_points_redeemed: loyalty ? loyalty.points_redeemed : 0,
+            scheduled_for: storeStatus.scheduled_for,
+            checkout_id: yocoData.id,
+            request_id: requestId
+        };
+
+        if (idempotencyRef) {
+            await completeCheckoutIdempotencyKey(idempotencyRef, responseBody, checkoutExpiresAt);
+            idempotencyCompleted = true;
+        }
+
+        res.json(responseBody);
+
+    } catch (error) {
+        if (error.code === 'YOCO_UNAVAILABLE') {
+            return res.status(503).json({ error: 'Payment service unavailable' });
+        }
+        if (error.code === 'YOCO_INVALID_RESPONSE') {
+            return res.status(500).json({ error: 'Invalid payment response' });
+        }
+        if (error.code === 'INSUFFICIENT_STOCK') {
+            // Someone else reserved the last units between pricing and
+            // storing — the unused Yoco checkout simply expires.
+            console.warn(`[${requestId}] Stock reservation failed:`, error.changedItems);
+            return res.status(409).json({
+                error: 'Some items in your trolley have changed',
+                changed_items: error.changedItems
+            });
+        }
+        if (error.code === 'SLOT_FULL') {
+            return res.status(409).json({
+                error: 'That delivery slot has just filled up, please choose another',
+                slot_error: 'slot_full'
+            });
+        }
+        if (error.code === 'VOUCHER_UNAVAILABLE') {
+            return res.status(409).json({ error: error.message, voucher_error: error.reason });
+        }
+        if (error.code === 'POINTS_UNAVAILABLE') {
+            return res.status(409).json({ error: error.message, loyalty_error: 'insufficient_points' });
+        }
+        console.error(`[${requestId}] Checkout error:`, error);
+        res.status(500).json({ error: 'Payment processing error', message: error.message });
+    }
+});
+
+// POPUP PAYMENT - pay-now.js charges the card in the Yoco popup SDK and
+// sends us the resulting one-time token. There is no hosted checkout or
+// webhook in this flow, so the order is created here as soon as the
+// charge succeeds, through the same createCompletedOrder path. The popup
+// only takes delivery orders at the trolley price: collection, vouchers,
+// points and delivery slots go through /create-checkout.
+app.post('/finalize-yoco-payment', async (req, res) => {
+    const requestId = `finalize_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+        const { yocoToken, orderAmount, line_items: lineItems, metadata = {} } = req.body || {};
+        console.log(`[${requestId}] Finalizing popup payment`);
+
+        const validation = validateCheckoutInput({
+            amount: orderAmount,
+            currency: 'ZAR',
+            successUrl: 'n/a',
+            cancelUrl: 'n/a',
+            line_items: lineItems
+        });
+
+        if (!yocoToken) {
+            validation.errors.unshift('Missing yocoToken');
+        }
+
+        const body = req.body || {};
+        if (body.fulfilment_type === 'collect' || body.voucher_code || body.loyalty_points || body.delivery_slot_id) {
+            return res.status(422).json({
+                success: false,
+                message: 'Card popup payments are for delivery orders only, without vouchers, points or a delivery slot. Please pay from your trolley instead.',
+                popup_unsupported: true
+            });
+        }
+        if (validation.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Input validation failed',
+                details: validation.errors
+            });
+        }
+
+        if (!paymentProvider.isConfigured()) {
+            return res.status(500).json({ success: false, message: 'Server configuration error' });
+        }
+
+        // Yoco tokens are single use: a retry after a lost response must
+        // return the order the first attempt created, not charge again.
+        // Each token is claimed in yoco_token_uses (keyed by its hash, so
+        // the token itself is never stored) with create() just before the
+        // charge, so two requests with the same token can't both charge it.
+        // The claim keeps the priced order, so a retry can still create it
+        // if the first attempt charged the card and then failed.
+        const tokenHash = crypto.createHash('sha256').update(String(yocoToken)).digest('hex');
+        const tokenRef = db.collection('yoco_token_uses').doc(tokenHash);
+
+        const sendResumed = async (claim) => {
+            const resumed = await resumePopupPayment(tokenRef, claim);
+            if (!resumed.orderId) {
+                return res.status(resumed.httpStatus).json({ success: false, message: resumed.message });
+            }
+            console.log(`[${requestId}] Token already used for order ${resumed.orderId}`);
+            return res.json({ success: true, orderId: resumed.orderId });
+        };
+
+        const tokenDoc = await tokenRef.get();
+        if (tokenDoc.exists) {
+            return sendResumed(tokenDoc.data());
+        }
+
+        const storeStatus = await getStoreStatus();
+        if (!storeStatus.accepts_orders) {
+            return res.status(503).json({ success: false, message: storeStatus.message, store_closed: true, store_status: storeStatus });
+        }
+
+        let pricing = await priceOrderFromCatalogue(lineItems);
+
+        if (!pricing.isValid) {
+            return res.status(409).json({
+                success: false,
+                message: 'Some items in your trolley have changed. Please return to your trolley.',
+                changed_items: pricing.changedItems
+            });
+        }
+
+        const priced = await priceDelivery(pricing, metadata);
+        if (priced.rejection) {
+            return res.status(409).json({
+                success: false,
+                message: priced.rejection.message,
+                delivery_error: priced.rejection.reason
+            });
+        }
+        pricing = priced.pricing;
+
+        const amountInCents = pricing.breakdown.total_cents;
+        const clientAmountCents = Math.round(validation.amountFloat * 100);
+
+        if (Math.abs(clientAmountCents - amountInCents) > PRICING_CONFIG.TOTAL_TOLERANCE_CENTS) {
+            return res.status(409).json({
+                success: false,
+                message: `Order total has changed to R${(amountInCents / 100).toFixed(2)}. Please return to your trolley.`,
+                client_amount: clientAmountCents / 100,
+                server_amount: amountInCents / 100
+            });
+        }
+
+        if (amountInCents < YOCO_CONFIG.MIN_AMOUNT_CENTS || amountInCents > YOCO_CONFIG.MAX_AMOUNT_CENTS) {
+            return res.status(400).json({ success: false, message: 'Amount out of range' });
+        }
+
+        const orderReference = metadata.order_reference ||
+            `ORDER_${Date.now()}_${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+
+        const customerInfo = {
+            customer_name: metadata.customer_name || 'Customer',
+            customer_email: metadata.customer_email || '',
+            customer_phone: metadata.customer_phone || '',
+            customer_address: metadata.customer_address || '',
+            customer_city: metadata.customer_city || '',
+            customer_postal_code: metadata.customer_postal_code || ''
+        };
+
+        const order = {
+            amount: amountInCents,
+            line_items: lineItems,
+            metadata: { ...customerInfo, order_reference: orderReference, request_id: requestId },
+            customer_info: customerInfo,
+            items: pricing.items,
+            pricing: pricing.breakdown,
+            delivery: priced.delivery,
+            order_reference: orderReference,
+            amount_cents: amountInCents,
+            amount_display: amountInCents / 100,
+            currency: 'ZAR',
+            payment_method: 'yoco_popup',
+            channel: 'app',
+            scheduled_for: storeStatus.scheduled_for,
+            yoco_token_hash: tokenHash,
+            request_id: requestId
+        };
+        const claim = {
+            status: 'charging',
+            request_id: requestId,
+            order,
+            claimed_at: admin.firestore.Timestamp.now(),
+            created_at: admin.firestore.FieldValue.serverTimestamp()
+        };
+
+        try {
+            await tokenRef.create(claim);
+        } catch (createError) {
+            if (createError.code !== FIRESTORE_ALREADY_EXISTS) {
+                throw createError;
+            }
+            return sendResumed((await tokenRef.get()).data());
+        }
+
+        let charge;
+        try {
+            charge = await chargeYocoToken(yocoToken, amountInCents, {
+                order_reference: orderReference,
+                request_id: requestId
+            });
+        } catch (error) {
+            // A decline is final; anything else (a timeout, say) may or may
+            // not have charged the card, so a retry asks Yoco
+            await tokenRef.update({
+                status: error.code === 'YOCO_CHARGE_FAILED' ? 'declined' : 'unknown',
+                updated_at: admin.firestore.FieldValue.serverTimestamp()
+            });
+            throw error;
+        }
+
+        console.log(`[${requestId}] Charge ${charge.id} successful`);
+        await tokenRef.update({
+            status: 'charged',
+            charge,
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        const orderId = await completePopupPayment(tokenRef, claim, charge);
+
+        res.json({
+            success: true,
+            orderId,
+            order_reference: orderReference,
+            amount_cents: amountInCents
+        });
+
+    } catch (error) {
+        if (error.code === 'YOCO_CHARGE_FAILED') {
+            console.warn(`[${requestId}] Charge declined:`, error.details);
+            return res.status(402).json({ success: false, message: error.message });
+        }
+        console.error(`[${requestId}] Finalize payment error:`, error);
+        res.status(500).json({ success: false, message: 'Payment processing error', error: error.message });
+    }
+});
+
+// CASH ORDERS - cash on delivery or pay at the counter. No Yoco involved:
+// the order is priced from the catalogue and created straight away in
+// awaiting_cash, with its stock held until staff record the cash
+// (POST /admin/orders/:id/cash-collected). Retrying with the same
+// metadata.order_reference and phone number returns the order the first
+// attempt created.
+app.post('/create-cash-order', async (req, res) => {
+    const requestId = `cash_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+        const { amount, line_items: lineItems, payment_method: paymentMethod, metadata = {} } = req.body || {};
+        console.log(`[${requestId}] Creating ${paymentMethod} order`);
+
+        const validation = validateCheckoutInput({
+            amount,
+            currency: 'ZAR',
+            successUrl: 'n/a',
+            cancelUrl: 'n/a',
+            line_items: lineItems
+        });
+
+        if (!CASH_PAYMENT_METHODS.includes(paymentMethod)) {
+            validation.errors.push(`payment_method must be one of: ${CASH_PAYMENT_METHODS.join(', ')}`);
+        }
+        if (!normaliseCustomerPhone(metadata.customer_phone)) {
+            validation.errors.push('metadata.customer_phone must be a valid phone number');
+        }
+        if (metadata.order_reference && !isValidOrderReference(metadata.order_reference)) {
+            validation.errors.push('metadata.order_reference must be 8-64 letters, digits, _ or -');
+        }
+        if (paymentMethod === 'cash_on_delivery' && !metadata.customer_address) {
+            validation.errors.push('metadata.customer_address is required for cash on delivery');
+        }
+        if (validation.errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Input validation failed', details: validation.errors });
+        }
+
+        const storeStatus = await getStoreStatus();
+        if (!storeStatus.accepts_orders) {
+            return res.status(503).json({ success: false, error: storeStatus.message, store_closed: true, store_status: storeStatus });
+        }
+
+        let pricing = await priceOrderFromCatalogue(lineItems);
+
+        if (!pricing.isValid) {
+            return res.status(409).json({
+                success: false,
+                error: 'Some items in your trolley have changed',
+                changed_items: pricing.changedItems
+            });
+        }
+
+        // Paying at the counter means collecting, so only cash on delivery pays for it
+        let delivery = null;
+        if (paymentMethod === 'cash_on_delivery') {
+            const priced = await priceDelivery(pricing, metadata);
+            if (priced.rejection) {
+                return res.status(409).json({
+                    success: false,
+                    error: priced.rejection.message,
+                    delivery_error: priced.rejection.reason
+                });
+            }
+            ({ pricing, delivery } = priced);
+        }
+
+        const amountInCents = pricing.breakdown.total_cents;
+        const clientAmountCents = Math.round(validation.amountFloat * 100);
+
+        if (Math.abs(clientAmountCents - amountInCents) > PRICING_CONFIG.TOTAL_TOLERANCE_CENTS) {
+            return res.status(409).json({
+                success: false,
+                error: 'Order total does not match current prices',
+                client_amount: clientAmountCents / 100,
+                server_amount: amountInCents / 100,
+                breakdown: pricing.breakdown
+            });
+        }
+
+        const orderReference = metadata.order_reference ||
+            `CASH_${Date.now()}_${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+
+        const customerInfo = {
+            customer_name: metadata.customer_name || 'Customer',
+            customer_email: metadata.customer_email || '',
+            customer_phone: metadata.customer_phone,
+            customer_address: metadata.customer_address || '',
+            customer_city: metadata.customer_city || '',
+            customer_postal_code: metadata.customer_postal_code || ''
+        };
+
+        const { created, order } = await createCashOrder({
+            id: `cash_${orderReference}`,
+            amount: amountInCents,
+            line_items: lineItems,
+            metadata: { ...customerInfo, order_reference: orderReference, request_id: requestId },
+            customer_info: customerInfo,
+            items: pricing.items,
+            pricing: pricing.breakdown,
+            delivery,
+            order_reference: orderReference,
+            amount_cents: amountInCents,
+            amount_display: amountInCents / 100,
+            currency: 'ZAR',
+            payment_method: paymentMethod,
+            channel: 'app',
+            scheduled_for: storeStatus.scheduled_for,
+            request_id: requestId
+        });
+
+        if (!created) {
+            console.log(`[${requestId}] Order ${order.id} already exists — returning it`);
+        }
+
+        res.json({
+            success: true,
+            orderId: order.id,
+            order_reference: order.order_reference,
+            amount_cents: order.amount_cents,
+            pricing: order.pricing,
+            payment_method: order.payment_method,
+            status: order.status,
+            scheduled_for: order.scheduled_for || null
+        });
+
+    } catch (error) {
+        if (error.code === 'INSUFFICIENT_STOCK') {
+            return res.status(409).json({
+                success: false,
+                error: 'Some items in your trolley have changed',
+                changed_items: error.changedItems
+            });
+        }
+        if (error.code === 'ORDER_REFERENCE_TAKEN') {
+            return res.status(409).json({ success: false, error: error.message });
+        }
+        console.error(`[${requestId}] Cash order error:`, error);
+        res.status(500).json({ success: false, error: 'Order processing error', message: error.message });
+    }
+});
+
+// TAB ORDERS - charged to the customer's credit account instead of Yoco.
+// The account's PIN (set by staff) is needed so a phone number alone
+// can't run up someone else's tab:
+//   POST /create-tab-order
+//   { "amount": 120.5, "line_items": [...], "pin": "4821",
+//     "metadata": { "customer_phone": "0821234567", ... } }
+// The order reference is made here; metadata.order_reference is only the
+// app's retry key, so retrying with it (and the same phone and PIN)
+// returns the order the first attempt created.
+app.post('/create-tab-order', async (req, res) => {
+    const requestId = `tab_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+        const { amount, line_items: lineItems, pin, metadata = {} } = req.body || {};
+        console.log(`[${requestId}] Creating tab order`);
+
+        const validation = validateCheckoutInput({
+            amount,
+            currency: 'ZAR',
+            successUrl: 'n/a',
+            cancelUrl: 'n/a',
+            line_items: lineItems
+        });
+
+        const customerKey = normaliseCustomerPhone(metadata.customer_phone);
+        if (!customerKey) {
+            validation.errors.push('metadata.customer_phone must be a valid phone number');
+        }
+        if (!pin) {
+            validation.errors.push('pin is required');
+        }
+        if (metadata.order_reference && !isValidOrderReference(metadata.order_reference)) {
+            validation.errors.push('metadata.order_reference must be 8-64 letters, digits, _ or -');
+        }
+        if (validation.errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Input validation failed', details: validation.errors });
+        }
+
+        const storeStatus = await getStoreStatus();
+        if (!storeStatus.accepts_orders) {
+            return res.status(503).json({ success: false, error: storeStatus.message, store_closed: true, store_status: storeStatus });
+        }
+
+        let pricing = await priceOrderFromCatalogue(lineItems);
+
+        if (!pricing.isValid) {
+            return res.status(409).json({
+                success: false,
+                error: 'Some items in your trolley have changed',
+                changed_items: pricing.changedItems
+            });
+        }
+
+        // Neighbours on a tab usually collect; delivery is charged when they give an address
+        let delivery = null;
+        if (metadata.customer_address) {
+            const priced = await priceDelivery(pricing, metadata);
+            if (priced.rejection) {
+                return res.status(409).json({
+                    success: false,
+                    error: priced.rejection.message,
+                    delivery_error: priced.rejection.reason
+                });
+            }
+            ({ pricing, delivery } = priced);
+        }
+
+        const amountInCents = pricing.breakdown.total_cents;
+        const clientAmountCents = Math.round(validation.amountFloat * 100);
+
+        if (Math.abs(clientAmountCents - amountInCents) > PRICING_CONFIG.TOTAL_TOLERANCE_CENTS) {
+            return res.status(409).json({
+                success: false,
+                error: 'Order total does not match current prices',
+                client_amount: clientAmountCents / 100,
+                server_amount: amountInCents / 100,
+                breakdown: pricing.breakdown
+            });
+        }
+
+        const orderReference = `TAB_${Date.now()}_${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+
+        // Keyed on the account too, so one customer's retry key can never
+        // land on another customer's order
+        const orderId = metadata.order_reference
+            ? `tab_${crypto.createHash('sha256').update(`${customerKey}:${metadata.order_reference}`).digest('hex').slice(0, 24)}`
+            : `tab_${orderReference}`;
+
+        const customerInfo = {
+            customer_name: metadata.customer_name || 'Customer',
+            customer_email: metadata.customer_email || '',
+            customer_phone: metadata.customer_phone,
+            customer_address: metadata.customer_address || '',
+            customer_city: metadata.customer_city || '',
+            customer_postal_code: metadata.customer_postal_code || ''
+        };
+
+        const { created, order, balanceAfter } = await createTabOrder({
+            id: orderId,
+            amount: amountInCents,
+            line_items: lineItems,
+            metadata: {
+                ...customerInfo,
+                order_reference: orderReference,
+                client_reference: metadata.order_reference || null,
+                request_id: requestId
+            },
+            customer_info: customerInfo,
+            items: pricing.items,
+            pricing: pricing.breakdown,
+            delivery,
+            order_reference: orderReference,
+            amount_cents: amountInCents,
+            amount_display: amountInCents / 100,
+            currency: 'ZAR',
+            payment_method: 'credit_tab',
+            channel: 'app',
+            scheduled_for: storeStatus.scheduled_for,
+            request_id: requestId
+        }, customerKey, pin);
+
+        if (!created) {
+            console.log(`[${requestId}] Order ${order.id} already exists — returning it`);
+        }
+
+        res.json({
+            success: true,
+            orderId: order.id,
+            order_reference: order.order_reference,
+            amount_cents: order.amount_cents,
+            pricing: order.pricing,
+            payment_method: order.payment_method,
+            status: order.status,
+            scheduled_for: order.scheduled_for || null,
+            balance_cents: created ? balanceAfter : undefined
+        });
+
+    } catch (error) {
+        if (error.code === 'CREDIT_ACCOUNT_NOT_FOUND') {
+            return res.status(404).json({ success: false, error: error.message, credit_error: error.code });
+        }
+        if (error.code === 'CREDIT_PIN_INVALID') {
+            return res.status(401).json({ success: false, error: error.message, credit_error: error.code });
+        }
+        if (error.code === 'CREDIT_ACCOUNT_SUSPENDED' || error.code === 'CREDIT_PIN_LOCKED') {
+            return res.status(403).json({ success: false, error: error.message, credit_error: error.code });
+        }
+        if (error.code === 'CREDIT_LIMIT_EXCEEDED') {
+            return res.status(409).json({
+                success: false,
+                error: error.message,
+                credit_error: error.code,
+                available_amount: error.availableCents / 100
+            });
+        }
+        if (error.code === 'ORDER_REFERENCE_TAKEN') {
+            return res.status(409).json({ success: false, error: error.message });
+        }
+        console.error(`[${requestId}] Tab order error:`, error);
+        res.status(500).json({ success: false, error: 'Order processing error', message: error.message });
+    }
+});
+
+// VOUCHER CHECK - lets the trolley show the discount before checkout.
+// /create-checkout checks the code again, so this is advisory only:
+//   POST /api/vouchers/validate
+//   { "code": "WELCOME10", "line_items": [...], "customer_phone": "0821234567" }
+app.post('/api/vouchers/validate', async (req, res) => {
+    try {
+        const { code, line_items: lineItems, customer_phone: customerPhone } = req.body || {};
+
+        const validation = validateCheckoutInput({
+            amount: 1,
+            currency: 'ZAR',
+            successUrl: 'n/a',
+            cancelUrl: 'n/a',
+            line_items: lineItems
+        });
+
+        if (!code) {
+            validation.errors.unshift('Missing code');
+        }
+        if (validation.errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Input validation failed', details: validation.errors });
+        }
+
+        let pricing = await priceOrderFromCatalogue(lineItems);
+
+        if (!pricing.isValid) {
+            return res.status(409).json({
+                success: false,
+                error: 'Some items in your trolley have changed',
+                changed_items: pricing.changedItems
+            });
+        }
+
+        // Priced in the same order as /create-checkout, when the trolley
+        // already knows where it is delivering to
+        const address = deliveryAddressFrom(req.body);
+        if (address.postalCode || address.suburb) {
+            const priced = await priceDelivery(pricing, req.body);
+            if (priced.rejection) {
+                return res.status(409).json({
+                    success: false,
+                    error: priced.rejection.message,
+                    delivery_error: priced.rejection.reason
+                });
+            }
+            pricing = priced.pricing;
+        }
+
+        const evaluation = await evaluateVoucher(code, pricing, customerPhone);
+
+        if (!evaluation.isValid) {
+            return res.json({ success: true, valid: false, reason: evaluation.reason, message: evaluation.message });
+        }
+
+        const { pricing: discounted, voucher } = applyVoucherToPricing(pricing, evaluation);
+
+        res.json({
+            success: true,
+            valid: true,
+            voucher,
+            discount: voucher.discount_cents / 100,
+            pricing: discounted.breakdown
+        });
+    } catch (error) {
+        console.error('Error validating voucher:', error);
+        res.status(500).json({ success: false, error: 'Failed to validate voucher', message: error.message });
+    }
+});
+
+// DELIVERY QUOTE - the fee the trolley should show for an area:
+//   POST /api/delivery/quote
+//   { "line_items": [...], "customer_postal_code": "1804", "customer_city": "Soweto" }
+app.post('/api/delivery/quote', async (req, res) => {
+    try {
+        const { line_items: lineItems } = req.body || {};
+
+        const validation = validateCheckoutInput({
+            amount: 1,
+            currency: 'ZAR',
+            successUrl: 'n/a',
+            cancelUrl: 'n/a',
+            line_items: lineItems
+        });
+        if (validation.errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Input validation failed', details: validation.errors });
+        }
+
+        const pricing = await priceOrderFromCatalogue(lineItems);
+
+        if (!pricing.isValid) {
+            return res.status(409).json({
+                success: false,
+                error: 'Some items in your trolley have changed',
+                changed_items: pricing.changedItems
+            });
+        }
+
+        const address = deliveryAddressFrom(req.body);
+        const quote = await quoteDelivery(address, pricing.breakdown.total_cents);
+
+        if (!quote.isValid) {
+            return res.json({ success: true, deliverable: false, reason: quote.reason, message: quote.message });
+        }
+
+        const goodsCents = pricing.breakdown.total_cents;
+        const freeOverCents = quote.zone?.free_over_cents ?? null;
+
+        res.json({
+            success: true,
+            deliverable: true,
+            zone: quote.zone?.name || null,
+            fee: quote.feeCents / 100,
+            waived: quote.waived,
+            free_over: freeOverCents !== null ? freeOverCents / 100 : null,
+            // How much more to spend for free delivery, for a nudge in the trolley
+            spend_for_free_delivery: freeOverCents !== null && !quote.waived
+                ? (freeOverCents - goodsCents) / 100
+                : null,
+            total: (goodsCents + quote.feeCents) / 100
+        });
+    } catch (error) {
+        console.error('Error quoting delivery:', error);
+        res.status(500).json({ success: false, error: 'Failed to quote delivery', message: error.message });
+    }
+});
+
+// DELIVERY SLOTS - windows the customer can choose at checkout, with how
+// many orders each can still take:
+//   GET /api/delivery/slots?days=2
+app.get('/api/delivery/slots', async (req, res) => {
+    try {
+        const days = parseInt(req.query.days, 10);
+        const slots = await listDeliverySlots(days > 0 ? days : null);
+
+        res.json({ success: true, count: slots.length, slots });
+    } catch (error) {
+        console.error('Error listing delivery slots:', error);
+        res.status(500).json({ success: false, error: 'Failed to list delivery slots', message: error.message });
+    }
+});
+
+// ORDER TRACKING - where a customer's order is, for the tracking page:
+//   GET /api/orders/track?order_reference=ORDER_123_ABC&phone_last_digits=4567
+app.get('/api/orders/track', async (req, res) => {
+    try {
+        const orderReference = String(req.query.order_reference || '').trim();
+        const phoneLastDigits = String(req.query.phone_last_digits || '').trim();
+
+        if (!orderReference || !new RegExp(`^[0-9]{${TRACKING_CONFIG.PHONE_DIGITS}}$`).test(phoneLastDigits)) {
+            return res.status(400).json({
+                success: false,
+                error: `order_reference and the last ${TRACKING_CONFIG.PHONE_DIGITS} digits of your phone number are required`
+            });
+        }
+
+        const result = await findOrderForTracking(orderReference, phoneLastDigits, req.ip);
+
+        if (result.error === 'locked') {
+            return res.status(429).json({ success: false, error: 'Too many attempts. Please try again later.' });
+        }
+        if (result.error) {
+            return res.status(404).json({ success: false, error: "We couldn't find an order with those details" });
+        }
+
+        res.json({ success: true, order: buildOrderTracking(result.order) });
+    } catch (error) {
+        console.error('Error tracking order:', error);
+        res.status(500).json({ success: false, error: 'Failed to look up order' });
+    }
+});
+
+// TAX INVOICE - the customer's own invoice, checked like tracking:
+//   GET /api/orders/invoice?order_reference=ORDER_123_ABC&phone_last_digits=4567
+app.get('/api/orders/invoice', async (req, res) => {
+    try {
+        const orderReference = String(req.query.order_reference || '').trim();
+        const phoneLastDigits = String(req.query.phone_last_digits || '').trim();
+
+        if (!orderReference || !new RegExp(`^[0-9]{${TRACKING_CONFIG.PHONE_DIGITS}}$`).test(phoneLastDigits)) {
+            return res.status(400).json({
+                success: false,
+                error: `order_reference and the last ${TRACKING_CONFIG.PHONE_DIGITS} digits of your phone number are required`
+            });
+        }
+
+        const result = await findOrderForTracking(orderReference, phoneLastDigits, req.ip);
+
+        if (result.error === 'locked') {
+            return res.status(429).json({ success: false, error: 'Too many attempts. Please try again later.' });
+        }
+        if (result.error) {
+            return res.status(404).json({ success: false, error: "We couldn't find an order with those details" });
+        }
+
+        const order = await issueInvoiceNumber(result.order.id);
+        sendInvoicePdf(res, order, await renderInvoicePdf(order));
+    } catch (error) {
+        if (error.code === 'ORDER_NOT_INVOICEABLE') {
+            return res.status(409).json({ success: false, error: 'An invoice is available once your order is paid' });
+        }
+        if (invoiceErrorResponse(res, error)) return;
+        console.error('Error generating customer invoice:', error);
+        res.status(500).json({ success: false, error: 'Failed to generate invoice' });
+    }
+});
+
+// STORE STATUS - whether the store is open and, if not, when it opens and
+// whether orders placed now are taken for then:
+//   GET /api/store/status
+app.get('/api/store/status', async (req, res) => {
+    try {
+        res.json({ success: true, ...(await getStoreStatus()) });
+    } catch (error) {
+        console.error('Error fetching store status:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// LOYALTY BALANCE - GET /api/loyalty/balance?phone=0821234567
+app.get('/api/loyalty/balance', async (req, res) => {
+    try {
+        const customerKey = normaliseCustomerPhone(req.query.phone);
+        if (!customerKey) {
+            return res.status(400).json({ success: false, error: 'A valid phone number is required' });
+        }
+
+        const [balance, rules] = await Promise.all([getLoyaltyBalance(customerKey), getLoyaltyRules()]);
+
+        res.json({
+            success: true,
+            points: balance,
+            value: Math.max(0, balance) * rules.point_value_cents / 100,
+            point_value_cents: rules.point_value_cents,
+            min_redeem_points: rules.min_redeem_points,
+            max_redeem_percent: rules.max_redeem_percent
+        });
+    } catch (error) {
+        console.error('Error fetching loyalty balance:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch balance', message: error.message });
+    }
+});
+
+// FORWARDING PAGE - required by Yoco so the customer reaches checkout via a
+// verified website (this domain) instead of arriving with no referrer at all
+// (which happens when a WebView navigates directly to Yoco's URL from a
+// locally-bundled file:// page, or from an email/SMS/WhatsApp link).
+// See: Yoco support - "Sending Yoco Checkout links by email, SMS, WhatsApp or off-website"
+//
+// Yoco checkouts expire after 10 minutes, but links sent by WhatsApp or
+// email are often opened much later. An expired (or cancelled) checkout is
+// re-priced and replaced with a fresh one here, up to
+// PAYMENT_LINK_CONFIG.MAX_LIFETIME_MS after the link was first created.
+app.get('/pay/:reference', async (req, res) => {
+    const requestId = `paylink_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+
+    try {
+        const link = await findPaymentLinkOrder(req.params.reference);
+
+        if (!link) {
+            // A paid tab settlement leaves a ledger entry rather than an order
+            const [orderSnapshot, settlementSnapshot] = await Promise.all(['orders', 'credit_ledger'].map(collection =>
+                db.collection(collection)
+                    .where('order_reference', '==', req.params.reference)
+                    .limit(1)
+                    .get()
+            ));
+
+            if (!orderSnapshot.empty || !settlementSnapshot.empty) {
+                return res.send(renderPaymentLinkPage('Already paid', 'This order has already been paid. Thank you for shopping with EezySpaza!'));
+            }
+            return res.status(404).send(renderPaymentLinkPage('Order not found', 'This payment link is not valid. Please start a new order in the EezySpaza app.'));
+        }
+
+        const order = link.data();
+        let redirectUrl = order.redirectUrl;
+
+        const stillPayable = link.ref.parent.id === 'pending_payments' &&
+            order.status === 'awaiting_payment' &&
+            !isCheckoutExpired(order);
+
+        if (!stillPayable) {
+            const linkCreatedMs = (order.link_created_at || order.created_at)?.toMillis?.() || 0;
+
+            if (Date.now() - linkCreatedMs > PAYMENT_LINK_CONFIG.MAX_LIFETIME_MS) {
+                console.log(`[${requestId}] Link for ${req.params.reference} is past its maximum lifetime`);
+                return res.status(410).send(renderPaymentLinkPage('This payment link has expired', 'Please start a new order in the EezySpaza app, or ask us to send you a new link.'));
+            }
+
+            const result = await regenerateCheckoutForPaymentLink(link, requestId);
+
+            if (result.status === 'in_progress') {
+                return res.status(409).send(renderPaymentLinkPage('Preparing your payment', 'Your payment page is being prepared. Please open the link again in a few seconds.'));
+            }
+            if (result.status === 'paid') {
+                return res.send(renderPaymentLinkPage('Already paid', 'This order has already been paid. Thank you for shopping with EezySpaza!'));
+            }
+            if (result.status === 'changed') {
+                return res.status(409).send(renderPaymentLinkPage('Your order has changed', 'Some prices, stock levels or delivery slots have changed since this link was sent. Please start a new order in the EezySpaza app.'));
+            }
+
+            redirectUrl = result.redirectUrl;
+        }
+
+        if (!redirectUrl) {
+            return res.status(500).send(renderPaymentLinkPage('Payment link unavailable', 'Please contact support.'));
+        }
+
+        // IMPORTANT (per Yoco): must be a real page with a client-side JS
+        // redirect. NOT a 301/302 server redirect (loses the referrer),
+        // NOT meta http-equiv="refresh" (inconsistent across browsers),
+        // and no Referrer-Policy of no-referrer/same-origin on this response.
+        res.set('Referrer-Policy', 'strict-origin-when-cross-origin');
+        res.send(`<!doctype html>
+<html>
+<head>
+    <meta name="referrer" content="strict-origin-when-cross-origin">
+    <title>Redirecting to secure checkout</title>
+</head>
+<body>
+    <p>Taking you to our secure payment page…</p>
+    <script>
+        window.location.replace(${JSON.stringify(redirectUrl)});
+    </script>
+    <noscript>
+        <a href="${redirectUrl}">Continue to secure checkout</a>
+    </noscript>
+</body>
+</html>`);
+    } catch (error) {
+        console.error(`[${requestId}] Forwarding page error:`, error);
+        res.status(500).send('<h1>Something went wrong</h1><p>Please try again or contact support.</p>');
+    }
+});
+
+// SUCCESS HANDLER
+// Customer-facing browser return from Yoco.
+//
+// IMPORTANT:
+// The webhook remains the authoritative server-to-server payment confirmation.
+// This route only handles the customer's return to the app.
+//
+// If the webhook already completed the order, this route will detect the
+// completed order and show success without creating a duplicate order.
+
+app.get('/yoco-payment-success', async (req, res) => {
+    const sessionId = `success_${Date.now()}`;
+
+    console.log(`[${sessionId}] === PAYMENT SUCCESS HANDLER ===`);
+    console.log(`[${sessionId}] Query params:`, req.query);
+    console.log(`[${sessionId}] Full URL:`, req.url);
+
+    try {
+        let checkoutId = req.query.checkoutId;
+        const paymentId = req.query.paymentId;
+        const orderRef =
+            req.query.orderRef ||
+            req.query.order_reference;
+
+        // ---------------------------------------------------------
+        // 1. We normally receive orderRef from Yoco.
+        //    Use it to find the pending payment and checkout ID.
+        // ---------------------------------------------------------
+
+        if (!checkoutId && orderRef) {
+            console.log(
+                `[${sessionId}] Looking up checkout by order reference: ${orderRef}`
+            );
+
+            const pendingSnapshot = await db
+                .collection('pending_payments')
+                .where('order_reference', '==', orderRef)
+                .limit(1)
+                .get();
+
+            if (!pendingSnapshot.empty) {
+                const pendingOrder = pendingSnapshot.docs[0].data();
+
+                checkoutId = pendingOrder.yoco_checkout_id;
+
+                console.log(
+                    `[${sessionId}] Found checkoutId from pending payment: ${checkoutId}`
+                );
+            }
+        }
+
+        // ---------------------------------------------------------
+        // 2. If the webhook already processed the payment, the
+        //    pending payment may already have been deleted.
+        //
+        //    In that case, look for the completed order.
+        // ---------------------------------------------------------
+
+        if (!checkoutId && orderRef) {
+            console.log(
+                `[${sessionId}] Pending payment not found. Checking completed orders.`
+            );
+
+            const orderSnapshot = await db
+                .collection('orders')
+                .where('order_reference', '==', orderRef)
+                .limit(1)
+                .get();
+
+            if (!orderSnapshot.empty) {
+                const completedOrder = orderSnapshot.docs[0].data();
+
+                const orderId = orderSnapshot.docs[0].id;
+
+                console.log(
+                    `[${sessionId}] ✅ Order already completed by webhook: ${orderId}`
+                );
+
+                const successParams = new URLSearchParams({
+                    status: 'success',
+                    reference: orderRef,
+                    amount: String(
+                        completedOrder.amount_display ??
+                        (completedOrder.amount_cents || 0) / 100
+                    ),
+                    order_id: orderId,
+                    timestamp: new Date().toISOString()
+                });
+
+                return res.redirect(
+                    `${process.env.FRONTEND_URL}/payment-success.html?${successParams.toString()}`
+                );
+            }
+        }
+
+        // ---------------------------------------------------------
+        // 3. Still no checkout ID?
+        //    Then we genuinely cannot verify this return.
+        // ---------------------------------------------------------
+
+        if (!checkoutId) {
+            console.log(
+                `[${sessionId}] No checkoutId found for orderRef: ${orderRef || 'none'}`
+            );
+
+            return res.redirect(
+                `${process.env.FRONTEND_URL}/payment-failed.html?error=missing_checkout_id`
+            );
+        }
+
+        console.log(
+            `[${sessionId}] Verifying payment for checkout: ${checkoutId}`
+        );
+
+        // ---------------------------------------------------------
+        // 4. Verify directly with Yoco.
+        // ---------------------------------------------------------
+
+        const paymentDetails =
+            await verifyYocoPayment(checkoutId, paymentId);
+
+        if (!paymentDetails) {
+            console.log(
+                `[${sessionId}] Payment verification failed - no details returned`
+            );
+
+            return res.redirect(
+                `${process.env.FRONTEND_URL}/payment-failed.html?error=verification_failed`
+            );
+        }
+
+        console.log(
+            `[${sessionId}] Payment status:`,
+            paymentDetails.status
+        );
+
+        console.log(
+            `[${sessionId}] Payment ID:`,
+            paymentDetails.paymentId
+        );
+
+        // ---------------------------------------------------------
+        // 5. Payment verified.
+        //    completeOrderFromCheckoutId() is already designed to
+        //    safely skip if the webhook completed it first.
+        // ---------------------------------------------------------
+
+        if (
+            paymentDetails.status === 'successful' ||
+            paymentDetails.status === 'completed' ||
+            paymentDetails.paymentId
+        ) {
+            console.log(
+                `[${sessionId}] ✅ Payment successful!`
+            );
+
+            const orderId =
+                await completeOrderFromCheckoutId(
+                    checkoutId,
+                    paymentDetails,
+                    sessionId
+                );
+
+            const successParams = new URLSearchParams({
+                status: 'success',
+                reference:
+                    paymentDetails.metadata?.order_reference ||
+                    orderRef ||
+                    'unknown',
+                amount: String(
+                    paymentDetails.amount / 100
+                ),
+                order_id:
+                    orderId ||
+                    'already_processed',
+                timestamp:
+                    new Date().toISOString()
+            });
+
+            return res.redirect(
+                `${process.env.FRONTEND_URL}/payment-success.html?${successParams.toString()}`
+            );
+        }
+
+        // ---------------------------------------------------------
+        // 6. Payment did not complete.
+        // ---------------------------------------------------------
+
+        console.log(
+            `[${sessionId}] ❌ Payment not successful, status: ${paymentDetails.status}`
+        );
+
+        return res.redirect(
+            `${process.env.FRONTEND_URL}/payment-failed.html?error=payment_not_completed`
+        );
+
+    } catch (error) {
+        console.error(
+            `[${sessionId}] Success handler error:`,
+            error
+        );
+
+        return res.redirect(
+            `${process.env.FRONTEND_URL}/payment-failed.html?error=processing_error`
+        );
+    }
+});
+
+app.get('/yoco-payment-cancel', async (req, res) => {
+    const sessionId = `cancel_${Date.now()}`;
+    console.log(`[${sessionId}] Payment cancelled`);
+
+    try {
+        if (req.query.orderRef) {
+            await releasePendingPaymentByReference(req.query.orderRef, 'cancelled');
+        }
+    } catch (error) {
+        console.error(`[${sessionId}] Failed to release reservation:`, error);
+    }
+
+    res.redirect(`${process.env.FRONTEND_URL}/payment-cancelled.html`);
+});
+
+app.get('/yoco-payment-failure', async (req, res) => {
+    const sessionId = `failure_${Date.now()}`;
+    console.log(`[${sessionId}] Payment failed`);
+
+    try {
+        if (req.query.orderRef) {
+            await releasePendingPaymentByReference(req.query.orderRef, 'failed');
+        }
+    } catch (error) {
+        console.error(`[${sessionId}] Failed to release reservation:`, error);
+    }
+
+    res.redirect(`${process.env.FRONTEND_URL}/payment-failed.html`);
+});
+
+// ============================================
+// MOCK YOCO HOSTED CHECKOUT (PAYMENT_PROVIDER=mock only)
+// ============================================
+//
+// Stands in for Yoco's hosted payment page. Paying marks the checkout
+// completed, redirects to its successUrl and sends payment.succeeded to
+// /yoco-webhook; failing sends payment.failed and redirects to failureUrl;
+// cancelling just redirects to cancelUrl, as Yoco does.
+
+function renderMockCheckoutPage(checkout) {
+    const expired = checkout.expiresAt && new Date(checkout.expiresAt).getTime() < Date.now();
+
+    if (checkout.status !== 'created' || expired) {
+        return renderPaymentLinkPage('Checkout closed', `This mock checkout is ${expired ? 'expired' : checkout.status}.`);
+    }
+
+    const action = (outcome) => `/mock-yoco/checkout/${checkout.id}/${outcome}`;
+
+    return `<!doctype html>
+<html>
+<head>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>Mock Yoco Checkout</title>
+</head>
+<body style="font-family: Arial, sans-serif; max-width: 480px; margin: 40px auto; padding: 0 16px; text-align: center;">
+    <h1>Mock Yoco Checkout</h1>
+    <p>No real payment is taken.</p>
+    <p><strong>R${(checkout.amount / 100).toFixed(2)}</strong> — ${checkout.metadata.order_reference || checkout.id}</p>
+    <form method="post" action="${action('pay')}"><button type="submit">Pay</button></form>
+    <form method="post" action="${action('fail')}"><button type="submit">Fail payment</button></form>
+    <form method="post" action="${action('cancel')}"><button type="submit">Cancel</button></form>
+</body>
+</html>`;
+}
+
+if (paymentProvider.name === 'mock') {
+    app.get('/mock-yoco/checkout/:id', (req, res) => {
+        const checkout = mockCheckouts.get(req.params.id);
+        if (!checkout) {
+            return res.status(404).send(renderPaymentLinkPage('Checkout not found', 'This mock checkout does not exist (the server may have restarted).'));
+        }
+        res.send(renderMockCheckoutPage(checkout));
+    });
+
+    app.post('/mock-yoco/checkout/:id/:outcome', (req, res) => {
+        const checkout = mockCheckouts.get(req.params.id);
+        if (!checkout || checkout.status !== 'created') {
+            return res.status(409).send(renderPaymentLinkPage('Checkout closed', 'This mock checkout can no longer be used.'));
+        }
+
+        const paymentPayload = (status) => ({
+            id: checkout.paymentId,
+            type: 'payment',
+            createdDate: new Date().toISOString(),
+            amount: checkout.amount,
+            currency: checkout.currency,
+            status,
+            mode: 'test',
+            metadata: { ...checkout.metadata, checkoutId: checkout.id }
+        });
+
+        console.log(`[mock-yoco] Checkout ${checkout.id}: ${req.params.outcome}`);
+
+        if (req.params.outcome === 'pay') {
+            checkout.status = 'completed';
+            checkout.paymentId = mockProviderId('p');
+            checkout.paidAt = new Date().toISOString();
+            scheduleMockWebhook('payment.succeeded', paymentPayload('succeeded'));
+            return res.redirect(303, checkout.successUrl);
+        }
+        if (req.params.outcome === 'fail') {
+            checkout.status = 'failed';
+            checkout.paymentId = mockProviderId('p');
+            scheduleMockWebhook('payment.failed', paymentPayload('failed'));
+            return res.redirect(303, checkout.failureUrl);
+        }
+        if (req.params.outcome === 'cancel') {
+            checkout.status = 'cancelled';
+            return res.redirect(303, checkout.cancelUrl);
+        }
+
+        res.status(404).send(renderPaymentLinkPage('Not found', 'Unknown checkout action.'));
+    });
+
+    console.log(`[mock-yoco] Mock payment provider active — checkouts served from ${PAYMENT_PROVIDER_CONFIG.MOCK_BASE_URL}/mock-yoco`);
+}
+
+// ============================================
+// TWILIO WHATSAPP DELIVERY STATUS CALLBACK
+// ============================================
+
+app.post('/twilio/status', async (req, res) => {
+    try {
+        const {
+            MessageSid,
+            MessageStatus,
+            To,
+            ErrorCode,
+            ErrorMessage
+        } = req.body;
+
+        console.log('=== TWILIO STATUS UPDATE ===');
+        console.log('Message SID:', MessageSid);
+        console.log('Status:', MessageStatus);
+        console.log('To:', To);
+        console.log('Error Code:', ErrorCode || 'none');
+        console.log('Error Message:', ErrorMessage || 'none');
+
+        if (!MessageSid) {
+            console.warn('Twilio status callback missing MessageSid');
+            return res.status(400).send('Missing MessageSid');
+        }
+
+        // Find the order associated with this Twilio message
+        const snapshot = await db.collection('orders')
+            .where('whatsapp.message_sid', '==', MessageSid)
+            .limit(1)
+            .get();
+
+        if (snapshot.empty) {
+            console.warn(
+                `No order found for Twilio MessageSid: ${MessageSid}`
+            );
+
+            // Acknowledge the callback anyway
+            return res.status(200).send('OK');
+        }
+
+        const doc = snapshot.docs[0];
+
+        const updateData = {
+            'whatsapp.status': MessageStatus || 'unknown',
+            'whatsapp.updated_at':
+                admin.firestore.FieldValue.serverTimestamp()
+        };
+
+        if (To) {
+            updateData['whatsapp.to'] = To;
+        }
+
+        if (ErrorCode) {
+            updateData['whatsapp.error_code'] = ErrorCode;
+        }
+
+        if (ErrorMessage) {
+            updateData['whatsapp.error_message'] = ErrorMessage;
+        }
+
+        if (MessageStatus === 'delivered') {
+            updateData['whatsapp.delivered_at'] =
+                admin.firestore.FieldValue.serverTimestamp();
+        }
+
+        if (MessageStatus === 'read') {
+            updateData['whatsapp.read_at'] =
+                admin.firestore.FieldValue.serverTimestamp();
+        }
+
+        if (
+            MessageStatus === 'failed' ||
+            MessageStatus === 'undelivered'
+        ) {
+            updateData['whatsapp.failed_at'] =
+                admin.firestore.FieldValue.serverTimestamp();
+        }
+
+        await doc.ref.update(updateData);
+
+        console.log(
+            `✅ Firebase WhatsApp status updated`
+        );
+        console.log(`Order: ${doc.id}`);
+        console.log(`Status: ${MessageStatus}`);
+
+        res.status(200).send('OK');
+
+    } catch (error) {
+        console.error(
+            '❌ Twilio status callback error:',
+            error
+        );
+
+        // Acknowledge Twilio so it doesn't repeatedly retry
+        res.status(200).send('OK');
+    }
+});
+
+const WEBHOOK_CONFIG = {
+    // How far webhook-timestamp may be from our clock before a request is
+    // treated as a replay (Standard Webhooks recommends 5 minutes)
+    TIMESTAMP_TOLERANCE_SECONDS: parseInt(process.env.YOCO_WEBHOOK_TOLERANCE_SECONDS) || 300
+};
+
+// gRPC status returned by Firestore create() when the document exists
+const FIRESTORE_ALREADY_EXISTS = 6;
+
+// YOCO_WEBHOOK_SECRET may hold several comma-separated secrets while one is
+// being rotated out: add the new one, switch Yoco over, then drop the old.
+function getYocoWebhookSecrets() {
+    return (process.env.YOCO_WEBHOOK_SECRET || '')
+        .split(',')
+        .map(secret => secret.trim())
+        .filter(Boolean);
+}
+
+// Base64 HMAC of "<webhook-id>.<webhook-timestamp>.<body>". Also used by
+// the mock payment provider to sign the webhooks it sends.
+function signYocoWebhookPayload(signedPayload, secret) {
+    // Yoco webhook secrets use the whsec_ prefix followed by
+    // a Base64-encoded signing key.
+    const encodedSecret = secret.startsWith('whsec_')
+        ? secret.substring(6)
+        : secret;
+
+    return crypto
+        .createHmac('sha256', Buffer.from(encodedSecret, 'base64'))
+        .update(signedPayload)
+        .digest('base64');
+}
+
+// True if any v1 signature in the webhook-signature header matches the
+// signed payload under any of the active secrets.
+function verifyYocoWebhookSignature(signatureHeader, signedPayload, secrets) {
+    const expectedSignatures = secrets.map(secret =>
+        Buffer.from(signYocoWebhookPayload(signedPayload, secret))
+    );
+
+    // Yoco/Standard Webhooks signatures can contain one or more
+    // versioned signatures, e.g. v1,<signature>.
+    const receivedSignatures = signatureHeader
+        .split(' ')
+        .map(value => value.trim())
+        .filter(Boolean);
+
+    return receivedSignatures.some(value => {
+        const parts = value.split(',');
+
+        if (parts.length !== 2 || parts[0] !== 'v1') {
+            return false;
+        }
+
+        const received = Buffer.from(parts[1]);
+
+        // timingSafeEqual throws on a length mismatch
+        return expectedSignatures.some(expected =>
+            expected.length === received.length &&
+            crypto.timingSafeEqual(received, expected)
+        );
+    });
+}
+
+// WEBHOOK - Server-to-server confirmation from Yoco.
+// This is the reliable backstop for /yoco-payment-success: if the
+// customer's browser/WebView never makes it back to this server (closed
+// app, lost signal, navigation glitch), Yoco still calls this endpoint
+// directly once the payment is confirmed, so the order still gets created.
+//
+// Uses req.rawBody (captured by the express.json verify() hook above) to
+// check the signature, if YOCO_WEBHOOK_SECRET is configured. If it isn't
+// configured, the webhook still works but without signature verification —
+// set YOCO_WEBHOOK_SECRET in your environment as soon as you have it from
+// the Yoco dashboard. With a secret set, stale timestamps are rejected and
+// each webhook-id is only processed once (see webhook_events).
+app.post('/yoco-webhook', async (req, res) => {
+    const webhookId = `webhook_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    let savedEventRef = null;
+
+    try {
+        console.log(`[${webhookId}] === YOCO WEBHOOK RECEIVED ===`);
+
+        const signature = req.headers['webhook-signature'];
+        const webhookIdHeader = req.headers['webhook-id'];
+        const webhookTimestamp = req.headers['webhook-timestamp'];
+        const webhookSecrets = getYocoWebhookSecrets();
+
+        if (webhookSecrets.length > 0) {
+            if (!signature || !webhookIdHeader || !webhookTimestamp || !req.rawBody) {
+                console.error(`[${webhookId}] Missing webhook signature headers or raw body`);
+                return res.status(401).json({ error: 'Invalid signature' });
+            }
+
+            // A captured request replayed later carries an old timestamp,
+            // and the timestamp is covered by the signature so it can't be
+            // refreshed without the secret.
+            const ageSeconds = Math.abs(Date.now() / 1000 - Number(webhookTimestamp));
+            if (!Number.isFinite(ageSeconds) || ageSeconds > WEBHOOK_CONFIG.TIMESTAMP_TOLERANCE_SECONDS) {
+                console.error(`[${webhookId}] Webhook timestamp outside tolerance (${webhookTimestamp})`);
+                return res.status(401).json({ error: 'Invalid signature' });
+            }
+
+            try {
+                const signatureValid = verifyYocoWebhookSignature(
+                    signature,
+                    `${webhookIdHeader}.${webhookTimestamp}.${req.rawBody.toString('utf8')}`,
+                    webhookSecrets
+                );
+
+                if (!signatureValid) {
+                    console.error(`[${webhookId}] Invalid webhook signature`);
+                    return res.status(401).json({ error: 'Invalid signature' });
+                }
+
+                console.log(`[${webhookId}] Webhook signature verified successfully`);
+
+            } catch (signatureError) {
+                console.error(
+                    `[${webhookId}] Signature verification error:`,
+                    signatureError.message
+                );
+                return res.status(401).json({ error: 'Invalid signature' });
+            }
+        } else {
+            console.warn(
+                `[${webhookId}] YOCO_WEBHOOK_SECRET not set — skipping signature verification`
+            );
+        }
+
+        const event = req.body;
+        console.log(`[${webhookId}] Event type:`, event?.type);
+
+        const eventType = (event?.type || '').toLowerCase();
+        const payload = event?.payload || event?.data || {};
+        const checkoutId =
+            payload.metadata?.checkoutId ||
+            payload.checkoutId;
+        const paymentId =
+            payload.id ||
+            payload.paymentId;
+
+        // Every event is kept for later inspection, whatever we do with it.
+        // The document is keyed by webhook-id and claimed in a transaction,
+        // so the same delivery (a Yoco retry or a replayed request) is only
+        // processed once — unless its last attempt ended in an error, in
+        // which case the redelivery takes the record over and tries again.
+        const eventRef = db.collection('webhook_events').doc(webhookIdHeader || webhookId);
+        const claimed = await db.runTransaction(async (transaction) => {
+            const existing = await transaction.get(eventRef);
+
+            if (!existing.exists) {
+                transaction.create(eventRef, {
+                    webhook_id: webhookIdHeader || null,
+                    internal_id: webhookId,
+                    type: event?.type || null,
+                    checkout_id: checkoutId || null,
+                    event,
+                    signature_verified: webhookSecrets.length > 0,
+                    status: 'received',
+                    attempts: 1,
+                    received_at: admin.firestore.FieldValue.serverTimestamp()
+                });
+                return true;
+            }
+
+            if (existing.data().status !== 'error') {
+                return false;
+            }
+
+            transaction.update(eventRef, {
+                internal_id: webhookId,
+                event,
+                signature_verified: webhookSecrets.length > 0,
+                status: 'received',
+                attempts: admin.firestore.FieldValue.increment(1),
+                last_error: existing.data().error || null,
+                error: admin.firestore.FieldValue.delete(),
+                retried_at: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return true;
+        });
+
+        if (!claimed) {
+            console.log(`[${webhookId}] Duplicate webhook ${webhookIdHeader} — already processed, skipping`);
+            return res.status(200).json({ received: true, webhook_id: webhookId, action: 'duplicate' });
+        }
+        savedEventRef = eventRef;
+
+        let action;
+
+        if (!checkoutId) {
+            console.warn(`[${webhookId}] No checkoutId found in webhook payload — nothing to do`);
+            action = 'no_checkout_id';
+        } else if (eventType.startsWith('refund.')) {
+            // Checked before the generic success match below, which would
+            // otherwise treat refund.succeeded as a new payment.
+            const outcome = eventType.includes('succeed') ? 'succeeded'
+                : eventType.includes('fail') ? 'failed'
+                : null;
+
+            action = outcome
+                ? await applyRefundWebhookEvent(checkoutId, payload, outcome)
+                : 'logged_only';
+        } else if (eventType.includes('fail')) {
+            const released = await releasePendingPaymentByCheckoutId(checkoutId, 'failed');
+            action = released ? 'pending_payment_failed' : 'no_pending_payment';
+        } else if (eventType.includes('succeed') || eventType.includes('success')) {
+            // Confirm with Yoco's API directly rather than trusting the
+            // webhook body alone, same as the browser-redirect path does.
+            const paymentDetails = await verifyYocoPayment(checkoutId, paymentId);
+
+            if (paymentDetails && (paymentDetails.status === 'successful' || paymentDetails.paymentId)) {
+                const orderId = await completeOrderFromCheckoutId(checkoutId, paymentDetails, webhookId);
+                action = orderId ? 'order_created' : 'already_processed';
+            } else {
+                console.warn(`[${webhookId}] Webhook said success but verification didn't confirm it — not creating order`);
+                action = 'verification_failed';
+            }
+        } else {
+            console.log(`[${webhookId}] Event type "${eventType}" doesn't require any action — logged only`);
+            action = 'logged_only';
+        }
+
+        await eventRef.update({
+            status: 'processed',
+            action,
+            processed_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        res.status(200).json({ received: true, webhook_id: webhookId, action });
+
+    } catch (error) {
+        console.error(`[${webhookId}] Webhook processing error:`, error);
+
+        if (savedEventRef) {
+            await savedEventRef.update({
+                status: 'error',
+                error: error.message,
+                processed_at: admin.firestore.FieldValue.serverTimestamp()
+            }).catch(updateError => {
+                console.error(`[${webhookId}] Could not record webhook error:`, updateError.message);
+            });
+        }
+
+        // Still return 200 so Yoco doesn't endlessly retry a request that's
+        // failing due to our own bug rather than a real delivery problem —
+        // the error is logged above for investigation either way.
+        res.status(200).json({ received: true, webhook_id: webhookId, error: 'processing_error' });
+    }
+});
+
+// NEW: Manual WhatsApp notification endpoint for dashboard
+app.post('/api/send-whatsapp', async (req, res) => {
+    const requestId = `whatsapp_${Date.now()}`;
+    console.log(`[${requestId}] Manual WhatsApp notification request`);
+    
+    try {
+        const { orderData, status } = req.body;
+        
+        if (!orderData) {
+            return res.status(400).json({
+                success: false,
+                error: 'Order data required'
+            });
+        }
+        
+        // Send WhatsApp notification
+        const result = await sendWhatsAppNotification(orderData, status || orderData.status || 'update');
+        
+        if (result.success) {
+            console.log(`[${requestId}] WhatsApp sent successfully: ${result.messageId}`);
+            res.json({
+                success: true,
+                message: 'WhatsApp notification sent',
+                messageId: result.messageId
+            });
+        } else {
+            console.log(`[${requestId}] WhatsApp failed: ${result.error}`);
+            res.status(400).json({
+                success: false,
+                error: result.error,
+                details: result
+            });
+        }
+        
+    } catch (error) {
+        console.error(`[${requestId}] Error:`, error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Get all orders (completed only)
+app.get('/admin/orders', async (req, res) => {
+    try {
+        const snapshot = await db.collection('orders')
+            .orderBy('created_at', 'desc')
+            .limit(100)
+            .get();
+        
+        const orders = [];
+        snapshot.forEach(doc => {
+            orders.push({ id: doc.id, ...doc.data() });
+        });
+        
+        res.json({ success: true, count: orders.length, orders });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Orders where a line took stock below zero — these need a call to the
+// customer or a substitute before they can be packed.
+app.get('/admin/orders/oversold', async (req, res) => {
+    try {
+        const snapshot = await db.collection('orders')
+            .where('oversold', '==', true)
+            .orderBy('created_at', 'desc')
+            .limit(100)
+            .get();
+
+        const orders = [];
+        snapshot.forEach(doc => {
+            orders.push({ id: doc.id, ...doc.data() });
+        });
+
+        res.json({ success: true, count: orders.length, orders });
+    } catch (error) {
+        console.error('Error fetching oversold orders:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Move an order along its fulfilment lifecycle, e.g.
+//   PATCH /admin/orders/yoco_ch_123/status  { "status": "picking" }
+app.patch('/admin/orders/:id/status', async (req, res) => {
+    try {
+        const { status, note, updated_by } = req.body || {};
+
+        if (!status || !ORDER_STATUS_TRANSITIONS[status]) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid status',
+                allowed: Object.keys(ORDER_STATUS_TRANSITIONS).filter(s => s !== 'completed')
+            });
+        }
+
+        const { order, previousStatus } = await transitionOrderStatus(req.params.id, status, {
+            note: note || '',
+            actor: updated_by || 'admin'
+        });
+
+        res.json({
+            success: true,
+            orderId: order.id,
+            previous_status: previousStatus,
+            status: order.status
+        });
+    } catch (error) {
+        if (error.code === 'ORDER_NOT_FOUND') {
+            return res.status(404).json({ success: false, error: 'Order not found' });
+        }
+        if (error.code === 'INVALID_TRANSITION') {
+            return res.status(409).json({
+                success: false,
+                error: error.message,
+                current_status: error.currentStatus,
+                allowed_next: error.allowedStatuses
+            });
+        }
+        if (error.code === 'CASH_NOT_COLLECTED') {
+            return res.status(409).json({ success: false, error: error.message });
+        }
+        console.error('Error updating order status:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Record the cash handed over for a cash-on-delivery or pay-at-counter
+// order. amount_tendered is in rands; the change is worked out here:
+//   POST /admin/orders/cash_ORDER_123/cash-collected
+//   { "amount_tendered": 200, "collected_by": "Sipho" }
+app.post('/admin/orders/:id/cash-collected', async (req, res) => {
+    try {
+        const { amount_tendered: amountTendered, collected_by: collectedBy } = req.body || {};
+        const amountTenderedCents = Math.round(parseFloat(amountTendered) * 100);
 
-    console.log(`[daily-report] ✅ Email sent for ${summary.date} to ${DAILY_REPORT_RECIPIENT}`);
+        if (isNaN(amountTenderedCents) || amountTenderedCents <= 0) {
+            return res.status(400).json({ success: false, error: 'amount_tendered must be a positive number' });
+        }
+
+        const { order, cashPayment, oversoldItems } = await recordCashCollection(
+            req.params.id,
+            amountTenderedCents,
+            collectedBy || 'admin'
+        );
+
+        res.json({
+            success: true,
+            orderId: order.id,
+            status: order.status,
+            payment_status: order.payment_status,
+            amount_tendered: cashPayment.amount_tendered_cents / 100,
+            change_given: cashPayment.change_given_cents / 100,
+            oversold_items: oversoldItems
+        });
+    } catch (error) {
+        if (error.code === 'ORDER_NOT_FOUND') {
+            return res.status(404).json({ success: false, error: 'Order not found' });
+        }
+        if (error.code === 'NOT_CASH_ORDER' || error.code === 'INSUFFICIENT_CASH') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        if (error.code === 'CASH_ALREADY_COLLECTED' || error.code === 'ORDER_CANCELLED') {
+            return res.status(409).json({ success: false, error: error.message });
+        }
+        console.error('Error recording cash collection:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Hand over a click-and-collect order. The code the customer shows is
+// checked against orders waiting for collection, and the order must be
+// ready (packed) before it can go:
+//   POST /admin/pickups/collect
+//   { "pickup_code": "K7PX2Q", "collected_by": "Thandi" }
+app.post('/admin/pickups/collect', async (req, res) => {
+    try {
+        const { pickup_code: pickupCode, collected_by: collectedBy } = req.body || {};
+
+        if (!normalisePickupCode(pickupCode)) {
+            return res.status(400).json({ success: false, error: 'pickup_code is required' });
+        }
+
+        const waiting = await findOrderByPickupCode(pickupCode);
+        if (!waiting) {
+            return res.status(404).json({ success: false, error: 'No order is waiting for collection with that code' });
+        }
+
+        const { order, previousStatus } = await transitionOrderStatus(waiting.id, 'collected', {
+            note: 'Pickup code verified',
+            actor: collectedBy || 'admin'
+        });
+
+        res.json({
+            success: true,
+            orderId: order.id,
+            order_reference: order.order_reference || null,
+            customer_name: order.customer_info?.customer_name || '',
+            previous_status: previousStatus,
+            status: order.status,
+            items: (order.items || []).map(item => ({ id: item.id, name: item.name, quantity: item.quantity }))
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_TRANSITION') {
+            return res.status(409).json({
+                success: false,
+                error: `Order is ${error.currentStatus}, not ready for collection yet`,
+                current_status: error.currentStatus
+            });
+        }
+        if (error.code === 'CASH_NOT_COLLECTED') {
+            return res.status(409).json({ success: false, error: error.message });
+        }
+        console.error('Error collecting order:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+function invoiceErrorResponse(res, error) {
+    if (error.code === 'ORDER_NOT_FOUND') {
+        return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+    if (error.code === 'ORDER_NOT_INVOICEABLE' || error.code === 'NO_EMAIL_ADDRESS') {
+        return res.status(409).json({ success: false, error: error.message });
+    }
+    if (error.code === 'INVOICE_NOT_CONFIGURED' || error.code === 'EMAIL_NOT_CONFIGURED') {
+        console.error(`[invoices] ${error.message}`);
+        return res.status(503).json({ success: false, error: 'Invoices are not available right now' });
+    }
+    return null;
 }
 
-async function generateAndSendDailyReport(date) {
-    console.log(`[daily-report] Generating report for ${date}`);
-    const orders = await getOrdersForDate(date);
-    const summary = buildDailySummary(date, orders);
-    await archiveDailyReport(date, summary, orders);
-    await sendDailyReportEmail(summary);
-    console.log(`[daily-report] Done for ${date}`);
-    return summary;
+function sendInvoicePdf(res, order, pdf) {
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${invoiceFilename(order)}"`,
+        'X-Invoice-Number': order.invoice_number
+    });
+    res.send(pdf);
 }
 
+// Download an order's tax invoice, numbering it on first request:
+//   GET /admin/orders/yoco_ch_123/invoice
+app.get('/admin/orders/:id/invoice', async (req, res) => {
+    try {
+        const order = await issueInvoiceNumber(req.params.id);
+        sendInvoicePdf(res, order, await renderInvoicePdf(order));
+    } catch (error) {
+        if (invoiceErrorResponse(res, error)) return;
+        console.error('Error generating invoice:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-// ============================================
-// PAYMENT ENDPOINTS
-// ============================================
+// Email the invoice, to the customer unless another address is given:
+//   POST /admin/orders/yoco_ch_123/invoice/email  { "email": "accounts@builder.co.za" }
+app.post('/admin/orders/:id/invoice/email', async (req, res) => {
+    try {
+        const { email } = req.body || {};
+        if (email !== undefined && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email))) {
+            return res.status(400).json({ success: false, error: 'email must be a valid email address' });
+        }
 
-app.post('/create-checkout', async (req, res) => {
-    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const order = await issueInvoiceNumber(req.params.id);
+        const sentTo = await emailInvoice(order, await renderInvoicePdf(order), email || null);
+
+        await db.collection('orders').doc(order.id).update({
+            invoice_emails: admin.firestore.FieldValue.arrayUnion({ to: sentTo, at: admin.firestore.Timestamp.now() }),
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        res.json({ success: true, invoice_number: order.invoice_number, sent_to: sentTo });
+    } catch (error) {
+        if (invoiceErrorResponse(res, error)) return;
+        console.error('Error emailing invoice:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Refund an order through Yoco, or onto the customer's account for a tab
+// order. Omit items for a full refund, or send per-line quantities for a
+// partial one:
+//   POST /admin/orders/yoco_ch_123/refund
+//   { "items": [{ "id": "12", "quantity": 1 }], "reason": "Damaged" }
+app.post('/admin/orders/:id/refund', async (req, res) => {
+    const requestId = `refund_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
 
     try {
-        console.log(`[${requestId}] Creating checkout`);
-        
-        const validation = validateCheckoutInput(req.body);
-        if (!validation.isValid) {
-            return res.status(400).json({
-                error: 'Input validation failed',
-                details: validation.errors
+        const { items, reason, refunded_by } = req.body || {};
+
+        if (items !== undefined && !Array.isArray(items)) {
+            return res.status(400).json({ success: false, error: 'items must be an array' });
+        }
+
+        const orderDoc = await db.collection('orders').doc(req.params.id).get();
+        if (orderDoc.exists && isTabOrder(orderDoc.data())) {
+            const { order, refund } = await refundTabOrder(req.params.id, items, { reason, refundedBy: refunded_by });
+
+            console.log(`[${requestId}] ${refund.type} tab refund ${refund.refund_id} of ${refund.amount_cents}c for ${order.id}`);
+
+            await sendWhatsAppNotification(
+                order,
+                `Refund of R${(refund.amount_cents / 100).toFixed(2)} credited to your account`
+            );
+
+            return res.json({
+                success: true,
+                orderId: order.id,
+                refund,
+                refunded_amount_cents: order.refunded_amount_cents
             });
         }
 
-        const amountInCents = Math.round(validation.amountFloat * 100);
+        const { order, claim } = await claimOrderRefund(req.params.id, items, { reason, refundedBy: refunded_by });
 
-        if (amountInCents < YOCO_CONFIG.MIN_AMOUNT_CENTS || amountInCents > YOCO_CONFIG.MAX_AMOUNT_CENTS) {
-            return res.status(400).json({ error: 'Amount out of range' });
+        console.log(`[${requestId}] ${claim.type} refund ${claim.refund_id} of ${claim.amount_cents}c for ${order.id}`);
+
+        let yocoRefund;
+        try {
+            yocoRefund = await requestYocoRefund(order.yoco_checkout_id, claim.amount_cents, claim.refund_id, {
+                order_id: order.id,
+                order_reference: order.order_reference || '',
+                refund_request_id: claim.refund_id
+            });
+        } catch (error) {
+            // A refund Yoco rejected can be asked for again; anything else
+            // (a timeout, say) keeps the claim so a retry reuses its key
+            if (error.code === 'YOCO_REFUND_FAILED') {
+                await releaseRefundClaim(order.id, claim.refund_id);
+            }
+            throw error;
         }
 
-        if (!process.env.YOCO_SECRET_KEY) {
-            return res.status(500).json({ error: 'Server configuration error' });
+        const { order: updatedOrder, refund: refundRecord } = await recordOrderRefund(order.id, claim.refund_id, yocoRefund);
+
+        if (refundRecord?.status === 'failed') {
+            return res.status(502).json({ success: false, error: 'Yoco reported the refund as failed', refund: refundRecord });
         }
 
-        const orderReference = req.body.metadata?.order_reference ||
-            `ORDER_${Date.now()}_${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+        await sendWhatsAppNotification(
+            updatedOrder,
+            `Refund of R${(claim.amount_cents / 100).toFixed(2)} processed`
+        );
 
-        // Give the customer 10 minutes to complete 3DS bank approval
-        const checkoutExpiresAt = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+        res.json({
+            success: true,
+            orderId: order.id,
+            refund: refundRecord,
+            refunded_amount_cents: updatedOrder.refunded_amount_cents
+        });
+    } catch (error) {
+        if (error.code === 'ORDER_NOT_FOUND') {
+            return res.status(404).json({ success: false, error: error.message });
+        }
+        if (error.code === 'NOT_YOCO_ORDER') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        if (error.code === 'REFUND_INVALID') {
+            return res.status(400).json({ success: false, error: error.message, details: error.details });
+        }
+        if (error.code === 'REFUND_IN_PROGRESS') {
+            return res.status(409).json({ success: false, error: error.message, refund_id: error.refundId });
+        }
+        if (error.code === 'YOCO_REFUND_FAILED') {
+            console.error(`[${requestId}] Yoco rejected refund:`, error.details);
+            return res.status(502).json({ success: false, error: error.message, details: error.details });
+        }
+        console.error(`[${requestId}] Refund error:`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        const baseSuccessUrl =
-            req.body.successUrl ||
-            'https://eezyspaza-backend1.onrender.com/yoco-payment-success';
+// Staff-created payment link for phone/WhatsApp orders. Builds and prices
+// the order from product ids, creates the Yoco checkout and returns the
+// /pay/:reference link (which keeps working after the checkout expires):
+//   POST /admin/payment-links
+//   { "items": [{ "id": "12", "quantity": 2 }],
+//     "customer": { "customer_name": "Thandi", "customer_phone": "0821234567" },
+//     "send_whatsapp": true, "created_by": "Peter" }
+app.post('/admin/payment-links', async (req, res) => {
+    const requestId = `staff_link_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
 
-        const successUrl = new URL(baseSuccessUrl);
-        successUrl.searchParams.set('orderRef', orderReference);
+    try {
+        const { items, customer = {}, send_whatsapp: sendWhatsApp, created_by: createdBy } = req.body || {};
 
-        const yocoPayload = {
-            amount: amountInCents,
-            currency: req.body.currency || 'ZAR',
-            cancelUrl: req.body.cancelUrl || 'https://eezyspaza-backend1.onrender.com/yoco-payment-cancel',
-            successUrl: successUrl.toString(),
-            failureUrl: req.body.failureUrl || 'https://eezyspaza-backend1.onrender.com/yoco-payment-failure',
-            expiresAt: checkoutExpiresAt,
+        const validation = validateCheckoutInput({
+            amount: 1,
+            currency: 'ZAR',
+            successUrl: 'n/a',
+            cancelUrl: 'n/a',
+            line_items: items
+        });
+
+        if (!customer.customer_name || !customer.customer_phone) {
+            validation.errors.push('customer.customer_name and customer.customer_phone are required');
+        }
+        if (validation.errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Input validation failed', details: validation.errors });
+        }
+
+        if (!paymentProvider.isConfigured()) {
+            return res.status(500).json({ success: false, error: 'Server configuration error' });
+        }
+
+        // Staff don't send prices, so only availability can fail here
+        let pricing = await priceOrderFromCatalogue(items);
+        if (!pricing.isValid) {
+            return res.status(409).json({
+                success: false,
+                error: 'Some items are unavailable',
+                changed_items: pricing.changedItems
+            });
+        }
+
+        let delivery = null;
+        if (customer.customer_address) {
+            const priced = await priceDelivery(pricing, customer);
+            if (priced.rejection) {
+                return res.status(409).json({
+                    success: false,
+                    error: priced.rejection.message,
+                    delivery_error: priced.rejection.reason
+                });
+            }
+            ({ pricing, delivery } = priced);
+        }
+
+        const amountInCents = pricing.breakdown.total_cents;
+        if (amountInCents < YOCO_CONFIG.MIN_AMOUNT_CENTS || amountInCents > YOCO_CONFIG.MAX_AMOUNT_CENTS) {
+            return res.status(400).json({ success: false, error: 'Amount out of range' });
+        }
+
+        const orderReference = `STAFF_${Date.now()}_${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+
+        const customerInfo = {
+            customer_name: customer.customer_name,
+            customer_email: customer.customer_email || '',
+            customer_phone: customer.customer_phone,
+            customer_address: customer.customer_address || '',
+            customer_city: customer.customer_city || '',
+            customer_postal_code: customer.customer_postal_code || ''
+        };
+
+        const { yocoData, yocoPayload, redirectUrl, checkoutExpiresAt } = await createYocoCheckout({
+            amountInCents,
+            orderReference,
             metadata: {
-                order_reference: orderReference,
-                customer_name: req.body.metadata?.customer_name || 'Customer',
-                customer_email: req.body.metadata?.customer_email || '',
-                customer_phone: req.body.metadata?.customer_phone || '',
-                request_id: requestId,
-                timestamp: new Date().toISOString()
+                customer_name: customerInfo.customer_name,
+                customer_email: customerInfo.customer_email,
+                customer_phone: customerInfo.customer_phone,
+                request_id: requestId
+            },
+            lineItems: buildYocoLineItems(pricing)
+        });
+
+        const pendingId = await storePendingOrder({
+            id: yocoData.id,
+            amount: amountInCents,
+            line_items: items,
+            metadata: { ...yocoPayload.metadata, ...customerInfo },
+            customer_info: customerInfo,
+            items: pricing.items,
+            pricing: pricing.breakdown,
+            delivery,
+            order_reference: orderReference,
+            amount_cents: amountInCents,
+            amount_display: amountInCents / 100,
+            currency: 'ZAR',
+            yoco_checkout_id: yocoData.id,
+            request_id: requestId,
+            redirectUrl,
+            success_url: yocoPayload.successUrl,
+            cancel_url: yocoPayload.cancelUrl,
+            failure_url: yocoPayload.failureUrl,
+            checkout_expires_at: checkoutExpiresAt,
+            channel: 'staff_link',
+            created_by: createdBy || 'admin'
+        });
+
+        const paymentLink = `${SELF_URL}/pay/${encodeURIComponent(orderReference)}`;
+        console.log(`[${requestId}] Payment link created: ${paymentLink}`);
+
+        const whatsapp = sendWhatsApp
+            ? await sendWhatsAppPaymentLink(pendingId, customerInfo, amountInCents, paymentLink)
+            : null;
+
+        res.json({
+            success: true,
+            payment_link: paymentLink,
+            order_reference: orderReference,
+            amount_cents: amountInCents,
+            pricing: pricing.breakdown,
+            items: pricing.items,
+            checkout_id: yocoData.id,
+            whatsapp
+        });
+
+    } catch (error) {
+        if (error.code === 'INSUFFICIENT_STOCK') {
+            return res.status(409).json({ success: false, error: 'Some items are unavailable', changed_items: error.changedItems });
+        }
+        if (error.code === 'YOCO_UNAVAILABLE' || error.code === 'YOCO_INVALID_RESPONSE') {
+            return res.status(503).json({ success: false, error: 'Payment service unavailable' });
+        }
+        console.error(`[${requestId}] Payment link error:`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Reads delivery zone fields from an admin request. Money is given in
+// rands (fee, free_over) like product prices, and stored in cents.
+function parseDeliveryZoneInput(body, { partial = false } = {}) {
+    const errors = [];
+    const fields = {};
+
+    if (!partial || body.name !== undefined) {
+        if (!body.name) {
+            errors.push('name is required');
+        }
+        fields.name = String(body.name || '');
+    }
+    ['postal_codes', 'suburbs'].forEach(field => {
+        if (body[field] !== undefined) {
+            if (!Array.isArray(body[field])) {
+                errors.push(`${field} must be a list`);
+                return;
             }
+            fields[field] = body[field].map(value => String(value).trim()).filter(Boolean);
+        }
+    });
+    if (!partial && !(fields.postal_codes?.length || fields.suburbs?.length)) {
+        errors.push('Give at least one postal code or suburb');
+    }
+    if (body.fee !== undefined) {
+        fields.fee_cents = Math.round(parseFloat(body.fee) * 100);
+        if (!(fields.fee_cents >= 0)) {
+            errors.push('fee must be zero or more');
+        }
+    }
+    if (body.free_over !== undefined) {
+        fields.free_over_cents = body.free_over === null ? null : Math.round(parseFloat(body.free_over) * 100);
+        if (fields.free_over_cents !== null && !(fields.free_over_cents > 0)) {
+            errors.push('free_over must be a positive number, or null');
+        }
+    }
+    ['serviceable', 'active'].forEach(field => {
+        if (body[field] !== undefined) {
+            fields[field] = body[field] !== false;
+        }
+    });
+
+    return { errors, fields };
+}
+
+// Add a zone. Leave fee out of an unserviceable one:
+//   POST /admin/delivery-zones
+//   { "name": "Soweto", "postal_codes": ["1804", "1809"], "suburbs": ["Soweto"],
+//     "fee": 35, "free_over": 500 }
+app.post('/admin/delivery-zones', async (req, res) => {
+    try {
+        const { errors, fields } = parseDeliveryZoneInput(req.body || {});
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Input validation failed', details: errors });
+        }
+
+        const zone = {
+            postal_codes: [],
+            suburbs: [],
+            fee_cents: 0,
+            free_over_cents: null,
+            serviceable: true,
+            active: true,
+            ...fields,
+            created_at: admin.firestore.FieldValue.serverTimestamp(),
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
         };
 
-        let yocoResponse;
-        for (let attempt = 1; attempt <= YOCO_CONFIG.RETRY_ATTEMPTS; attempt++) {
-            try {
-                yocoResponse = await makeYocoRequest(`${YOCO_CONFIG.API_BASE_URL}/checkouts`, {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${process.env.YOCO_SECRET_KEY}`,
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify(yocoPayload)
+        const zoneRef = await db.collection('delivery_zones').add(zone);
+        res.json({ success: true, id: zoneRef.id, zone });
+    } catch (error) {
+        console.error('Error creating delivery zone:', error);
+        res.status(500).json({ success: false, error: 'Failed to create delivery zone', message: error.message });
+    }
+});
+
+app.get('/admin/delivery-zones', async (req, res) => {
+    try {
+        const snapshot = await db.collection('delivery_zones').orderBy('name').get();
+
+        const zones = [];
+        snapshot.forEach(doc => zones.push({ id: doc.id, ...doc.data() }));
+
+        res.json({ success: true, count: zones.length, zones });
+    } catch (error) {
+        console.error('Error listing delivery zones:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.patch('/admin/delivery-zones/:id', async (req, res) => {
+    try {
+        const zoneRef = db.collection('delivery_zones').doc(req.params.id);
+        const zoneDoc = await zoneRef.get();
+
+        if (!zoneDoc.exists) {
+            return res.status(404).json({ success: false, error: 'Delivery zone not found' });
+        }
+
+        const { errors, fields } = parseDeliveryZoneInput(req.body || {}, { partial: true });
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Input validation failed', details: errors });
+        }
+
+        await zoneRef.update({
+            ...fields,
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        res.json({ success: true, id: zoneDoc.id, updated: Object.keys(fields) });
+    } catch (error) {
+        console.error('Error updating delivery zone:', error);
+        res.status(500).json({ success: false, error: 'Failed to update delivery zone', message: error.message });
+    }
+});
+
+// Reads a weekday's [{ start, end, max_orders }]. Returns an error message
+// or null.
+function deliverySlotTemplatesError(weekday, templates) {
+    if (!Array.isArray(templates)) {
+        return `${weekday} must be a list of { start, end, max_orders }`;
+    }
+    for (const template of templates) {
+        if (!TIME_OF_DAY_PATTERN.test(template?.start || '') || !TIME_OF_DAY_PATTERN.test(template?.end || '')) {
+            return `${weekday} slots need start and end as HH:MM`;
+        }
+        if (template.end <= template.start) {
+            return `${weekday} ${template.start} slot must end after it starts`;
+        }
+        if (!Number.isInteger(template.max_orders) || template.max_orders < 0 || template.max_orders > DELIVERY_SLOT_CONFIG.MAX_ORDERS_PER_SLOT) {
+            return `${weekday} ${template.start} slot needs max_orders between 0 and ${DELIVERY_SLOT_CONFIG.MAX_ORDERS_PER_SLOT}`;
+        }
+    }
+    const starts = templates.map(template => template.start);
+    if (new Set(starts).size !== starts.length) {
+        return `${weekday} has two slots starting at the same time`;
+    }
+    return null;
+}
+
+app.get('/admin/delivery-slots', async (req, res) => {
+    try {
+        const [settings, slots] = await Promise.all([getDeliverySlotSettings(), listDeliverySlots()]);
+        res.json({ success: true, settings, slots });
+    } catch (error) {
+        console.error('Error fetching delivery slots:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Change the slot templates. Each weekday given replaces that day's slots;
+// an empty list means no deliveries that day. Slots already booked keep
+// their orders even if their template goes:
+//   PUT /admin/delivery-slots
+//   { "weekly": { "saturday": [{ "start": "09:00", "end": "12:00", "max_orders": 10 }] },
+//     "days_ahead": 5, "lead_minutes": 60 }
+app.put('/admin/delivery-slots', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const updates = {};
+        const errors = [];
+
+        if (body.weekly !== undefined) {
+            if (!body.weekly || typeof body.weekly !== 'object') {
+                errors.push('weekly must be an object of weekday -> [{ start, end, max_orders }]');
+            } else {
+                Object.entries(body.weekly).forEach(([weekday, templates]) => {
+                    if (!WEEKDAYS.includes(weekday)) {
+                        errors.push(`Unknown weekday: ${weekday}`);
+                        return;
+                    }
+                    const error = deliverySlotTemplatesError(weekday, templates);
+                    if (error) {
+                        errors.push(error);
+                        return;
+                    }
+                    updates[`weekly.${weekday}`] = templates.map(({ start, end, max_orders }) => ({ start, end, max_orders }));
                 });
-                break;
-            } catch (error) {
-                if (attempt === YOCO_CONFIG.RETRY_ATTEMPTS) throw error;
             }
         }
-
-        if (!yocoResponse || !yocoResponse.ok) {
-            return res.status(503).json({ error: 'Payment service unavailable' });
+        if (body.days_ahead !== undefined) {
+            if (!Number.isInteger(body.days_ahead) || body.days_ahead < 1 || body.days_ahead > DELIVERY_SLOT_CONFIG.MAX_DAYS_AHEAD) {
+                errors.push(`days_ahead must be between 1 and ${DELIVERY_SLOT_CONFIG.MAX_DAYS_AHEAD}`);
+            } else {
+                updates.days_ahead = body.days_ahead;
+            }
+        }
+        if (body.lead_minutes !== undefined) {
+            if (!Number.isInteger(body.lead_minutes) || body.lead_minutes < 0) {
+                errors.push('lead_minutes must be a whole number of minutes');
+            } else {
+                updates.lead_minutes = body.lead_minutes;
+            }
         }
 
-        const yocoData = await yocoResponse.json();
-        const redirectUrl = yocoData.redirectUrl || yocoData.redirect_url;
-        
-        if (!redirectUrl) {
-            return res.status(500).json({ error: 'Invalid payment response' });
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Input validation failed', details: errors });
         }
 
-        const lineItems = req.body.line_items || [];
-        const detailedItems = lineItems.map(item => ({
-            id: item.id || null,
-            name: item.name,
-            quantity: item.quantity,
-            amount: item.amount,
-            price: item.amount / 100
-        }));
+        // As with trading hours, update() needs the document to exist to
+        // understand the weekly.<day> paths
+        const slotsRef = db.collection('settings').doc('delivery_slots');
+        await slotsRef.set({}, { merge: true });
+        await slotsRef.update({
+            ...updates,
+            updated_by: body.updated_by || 'admin',
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
 
-        // Store as PENDING - not completed yet
-        await storePendingOrder({
-            id: yocoData.id,
-            amount: amountInCents,
-            line_items: lineItems,
-            metadata: yocoPayload.metadata,
-            customer_info: {
-                customer_name: yocoPayload.metadata.customer_name,
-                customer_email: yocoPayload.metadata.customer_email,
-                customer_phone: yocoPayload.metadata.customer_phone,
-                customer_address: req.body.metadata?.customer_address || '',
-                customer_city: req.body.metadata?.customer_city || '',
-                customer_postal_code: req.body.metadata?.customer_postal_code || ''
-            },
-            items: detailedItems,
-            order_reference: orderReference,
-            amount_cents: amountInCents,
-            amount_display: validation.amountFloat,
-            currency: 'ZAR',
-            yoco_checkout_id: yocoData.id,
-            request_id: requestId,
-            redirectUrl: redirectUrl,  // Needed by GET /pay/:reference to forward the customer
-            success_url: yocoPayload.successUrl  // Store for reference
+        console.log(`[delivery-slots] Updated by ${body.updated_by || 'admin'}:`, Object.keys(updates));
+        res.json({ success: true, settings: await getDeliverySlotSettings() });
+    } catch (error) {
+        console.error('Error updating delivery slots:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Statuses of orders that still have to be packed for their slot
+const PICKING_LIST_STATUSES = ['awaiting_cash', 'paid', 'completed', 'picking', 'ready'];
+
+// Everything to pack for one slot: the orders, and each product's total
+// quantity across them, grouped by category like the aisles.
+//   GET /admin/delivery-slots/2026-10-20_0900/picking-list
+app.get('/admin/delivery-slots/:slotId/picking-list', async (req, res) => {
+    try {
+        const slotId = req.params.slotId;
+        const [slotDoc, snapshot] = await Promise.all([
+            db.collection('delivery_slots').doc(slotId).get(),
+            db.collection('orders').where('delivery_slot.id', '==', slotId).get()
+        ]);
+
+        const orders = snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .filter(order => PICKING_LIST_STATUSES.includes(order.status || 'paid'))
+            .sort((a, b) => (a.order_reference || '').localeCompare(b.order_reference || ''));
+
+        const products = new Map();
+        orders.forEach(order => {
+            (order.items || []).forEach(item => {
+                const line = products.get(item.id) || {
+                    product_id: item.id,
+                    name: item.name || '',
+                    category: item.category || 'Uncategorized',
+                    quantity: 0,
+                    orders: []
+                };
+                line.quantity += item.quantity;
+                line.orders.push({ order_reference: order.order_reference || order.id, quantity: item.quantity });
+                products.set(item.id, line);
+            });
         });
 
-        console.log(`[${requestId}] Checkout created, redirect: ${redirectUrl}`);
+        const items = [...products.values()].sort((a, b) =>
+            a.category.localeCompare(b.category) || a.name.localeCompare(b.name)
+        );
 
         res.json({
-            redirectUrl: redirectUrl,
-            order_reference: orderReference,
-            amount_cents: amountInCents,
-            checkout_id: yocoData.id,
-            request_id: requestId
+            success: true,
+            slot: slotDoc.exists
+                ? { id: slotId, ...slotDoc.data() }
+                : { id: slotId, reserved_count: 0, booked_count: 0 },
+            order_count: orders.length,
+            items,
+            orders: orders.map(order => ({
+                id: order.id,
+                order_reference: order.order_reference || null,
+                status: order.status || 'paid',
+                payment_status: order.payment_status || null,
+                customer_name: order.customer_info?.customer_name || '',
+                customer_phone: order.customer_info?.customer_phone || '',
+                customer_address: order.customer_info?.customer_address || '',
+                customer_city: order.customer_info?.customer_city || '',
+                item_count: (order.items || []).reduce((sum, item) => sum + item.quantity, 0),
+                amount_cents: order.amount_cents
+            }))
         });
-
     } catch (error) {
-        console.error(`[${requestId}] Checkout error:`, error);
-        res.status(500).json({ error: 'Payment processing error', message: error.message });
+        console.error('Error building picking list:', error);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// FORWARDING PAGE - required by Yoco so the customer reaches checkout via a
-// verified website (this domain) instead of arriving with no referrer at all
-// (which happens when a WebView navigates directly to Yoco's URL from a
-// locally-bundled file:// page, or from an email/SMS/WhatsApp link).
-// See: Yoco support - "Sending Yoco Checkout links by email, SMS, WhatsApp or off-website"
-app.get('/pay/:reference', async (req, res) => {
-    try {
-        const snapshot = await db.collection('pending_payments')
-            .where('order_reference', '==', req.params.reference)
-            .limit(1)
-            .get();
+// Reads voucher fields from an admin request. Money is given in rands
+// (amount_off, min_spend) like product prices, and stored in cents.
+function parseVoucherInput(body, { partial = false } = {}) {
+    const errors = [];
+    const fields = {};
 
-        if (snapshot.empty) {
-            return res.status(404).send('<h1>Order not found</h1><p>This payment link may have expired.</p>');
+    if (!partial || body.type !== undefined) {
+        if (!VOUCHER_TYPES.includes(body.type)) {
+            errors.push(`type must be one of: ${VOUCHER_TYPES.join(', ')}`);
+        }
+        fields.type = body.type;
+    }
+    if (body.percent_off !== undefined) {
+        fields.percent_off = Number(body.percent_off);
+        if (!(fields.percent_off > 0 && fields.percent_off <= 100)) {
+            errors.push('percent_off must be between 0 and 100');
+        }
+    }
+    if (body.amount_off !== undefined) {
+        fields.amount_off_cents = Math.round(parseFloat(body.amount_off) * 100);
+        if (!(fields.amount_off_cents > 0)) {
+            errors.push('amount_off must be a positive number');
+        }
+    }
+    if (body.min_spend !== undefined) {
+        fields.min_spend_cents = Math.round(parseFloat(body.min_spend) * 100) || 0;
+    }
+    ['max_redemptions', 'max_redemptions_per_customer'].forEach(field => {
+        if (body[field] !== undefined) {
+            fields[field] = body[field] === null ? null : parseInt(body[field]);
+            if (fields[field] !== null && !(fields[field] > 0)) {
+                errors.push(`${field} must be a positive whole number or null`);
+            }
+        }
+    });
+    ['valid_from', 'valid_until'].forEach(field => {
+        if (body[field] !== undefined) {
+            const date = body[field] === null ? null : new Date(body[field]);
+            if (date && isNaN(date.getTime())) {
+                errors.push(`${field} must be a date`);
+            }
+            fields[field] = date ? admin.firestore.Timestamp.fromDate(date) : null;
         }
+    });
+    if (body.category !== undefined) {
+        fields.category = body.category || null;
+    }
+    if (body.description !== undefined) {
+        fields.description = body.description || '';
+    }
+    if (body.active !== undefined) {
+        fields.active = body.active === true;
+    }
+
+    if (!partial && fields.type === 'percent' && fields.percent_off === undefined) {
+        errors.push('percent_off is required for percent vouchers');
+    }
+    if (!partial && fields.type === 'fixed' && fields.amount_off_cents === undefined) {
+        errors.push('amount_off is required for fixed vouchers');
+    }
 
-        const order = snapshot.docs[0].data();
-        if (!order.redirectUrl) {
-            return res.status(500).send('<h1>Payment link unavailable</h1><p>Please contact support.</p>');
+    return { errors, fields };
+}
+
+// Create a voucher:
+//   POST /admin/vouchers
+//   { "code": "BAKERY20", "type": "percent", "percent_off": 20,
+//     "category": "Bakery", "min_spend": 100, "max_redemptions_per_customer": 1,
+//     "valid_until": "2026-12-31T23:59:59+02:00" }
+app.post('/admin/vouchers', async (req, res) => {
+    try {
+        const code = normaliseVoucherCode(req.body?.code);
+        const { errors, fields } = parseVoucherInput(req.body || {});
+
+        if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+            errors.unshift('code must be 3-32 letters, numbers, - or _');
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Input validation failed', details: errors });
         }
 
+        const voucherData = {
+            ...fields,
+            code,
+            active: fields.active ?? true,
+            redemption_count: 0,
+            reserved_count: 0,
+            created_at: admin.firestore.FieldValue.serverTimestamp(),
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        };
 
+        try {
+            await db.collection('vouchers').doc(code).create(voucherData);
+        } catch (createError) {
+            if (createError.code === FIRESTORE_ALREADY_EXISTS) {
+                return res.status(409).json({ success: false, error: `Voucher ${code} already exists` });
+            }
+            throw createError;
+        }
 
-        // IMPORTANT (per Yoco): must be a real page with a client-side JS
-        // redirect. NOT a 301/302 server redirect (loses the referrer),
-        // NOT meta http-equiv="refresh" (inconsistent across browsers),
-        // and no Referrer-Policy of no-referrer/same-origin on this response.
-        res.set('Referrer-Policy', 'strict-origin-when-cross-origin');
-        res.send(`<!doctype html>
-<html>
-<head>
-    <meta name="referrer" content="strict-origin-when-cross-origin">
-    <title>Redirecting to secure checkout</title>
-</head>
-<body>
-    <p>Taking you to our secure payment page…</p>
-    <script>
-        window.location.replace(${JSON.stringify(order.redirectUrl)});
-    </script>
-    <noscript>
-        <a href="${order.redirectUrl}">Continue to secure checkout</a>
-    </noscript>
-</body>
-</html>`);
+        res.json({ success: true, code, voucher: voucherData });
     } catch (error) {
-        console.error('Forwarding page error:', error);
-        res.status(500).send('<h1>Something went wrong</h1><p>Please try again or contact support.</p>');
+        console.error('Error creating voucher:', error);
+        res.status(500).json({ success: false, error: 'Failed to create voucher', message: error.message });
     }
 });
 
-// SUCCESS HANDLER
-// Customer-facing browser return from Yoco.
-//
-// IMPORTANT:
-// The webhook remains the authoritative server-to-server payment confirmation.
-// This route only handles the customer's return to the app.
-//
-// If the webhook already completed the order, this route will detect the
-// completed order and show success without creating a duplicate order.
+app.get('/admin/vouchers', async (req, res) => {
+    try {
+        const snapshot = await db.collection('vouchers').orderBy('created_at', 'desc').get();
+        const vouchers = [];
+        snapshot.forEach(doc => vouchers.push({ id: doc.id, ...doc.data() }));
+        res.json({ success: true, count: vouchers.length, vouchers });
+    } catch (error) {
+        console.error('Error fetching vouchers:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-app.get('/yoco-payment-success', async (req, res) => {
-    const sessionId = `success_${Date.now()}`;
+// Change or switch off a voucher, e.g. { "active": false }
+app.patch('/admin/vouchers/:code', async (req, res) => {
+    try {
+        const voucherRef = db.collection('vouchers').doc(normaliseVoucherCode(req.params.code));
+        const voucherDoc = await voucherRef.get();
 
-    console.log(`[${sessionId}] === PAYMENT SUCCESS HANDLER ===`);
-    console.log(`[${sessionId}] Query params:`, req.query);
-    console.log(`[${sessionId}] Full URL:`, req.url);
+        if (!voucherDoc.exists) {
+            return res.status(404).json({ success: false, error: 'Voucher not found' });
+        }
 
-    try {
-        let checkoutId = req.query.checkoutId;
-        const paymentId = req.query.paymentId;
-        const orderRef =
-            req.query.orderRef ||
-            req.query.order_reference;
+        const { errors, fields } = parseVoucherInput(req.body || {}, { partial: true });
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Input validation failed', details: errors });
+        }
 
-        // ---------------------------------------------------------
-        // 1. We normally receive orderRef from Yoco.
-        //    Use it to find the pending payment and checkout ID.
-        // ---------------------------------------------------------
+        await voucherRef.update({
+            ...fields,
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
 
-        if (!checkoutId && orderRef) {
-            console.log(
-                `[${sessionId}] Looking up checkout by order reference: ${orderRef}`
-            );
+        res.json({ success: true, code: voucherDoc.id, updated: Object.keys(fields) });
+    } catch (error) {
+        console.error('Error updating voucher:', error);
+        res.status(500).json({ success: false, error: 'Failed to update voucher', message: error.message });
+    }
+});
 
-            const pendingSnapshot = await db
-                .collection('pending_payments')
-                .where('order_reference', '==', orderRef)
-                .limit(1)
-                .get();
+// A customer's balance and recent ledger entries
+app.get('/admin/loyalty/:phone', async (req, res) => {
+    try {
+        const customerKey = normaliseCustomerPhone(req.params.phone);
+        if (!customerKey) {
+            return res.status(400).json({ success: false, error: 'A valid phone number is required' });
+        }
 
-            if (!pendingSnapshot.empty) {
-                const pendingOrder = pendingSnapshot.docs[0].data();
+        const [accountDoc, ledgerSnapshot] = await Promise.all([
+            db.collection('loyalty_accounts').doc(customerKey).get(),
+            db.collection('loyalty_ledger')
+                .where('customer_key', '==', customerKey)
+                .orderBy('created_at', 'desc')
+                .limit(Math.min(parseInt(req.query.limit) || 50, 200))
+                .get()
+        ]);
 
-                checkoutId = pendingOrder.yoco_checkout_id;
+        const ledger = [];
+        ledgerSnapshot.forEach(doc => ledger.push({ id: doc.id, ...doc.data() }));
 
-                console.log(
-                    `[${sessionId}] Found checkoutId from pending payment: ${checkoutId}`
-                );
+        res.json({
+            success: true,
+            customer_key: customerKey,
+            account: accountDoc.exists ? accountDoc.data() : { balance: 0 },
+            ledger
+        });
+    } catch (error) {
+        console.error('Error fetching loyalty account:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Change the earning/redemption rules. Fields left out keep their value:
+//   PUT /admin/loyalty/rules
+//   { "points_per_rand": 1, "item_rules": [{ "category": "Bakery", "points_per_item": 20 }] }
+app.put('/admin/loyalty/rules', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const updates = {};
+        const errors = [];
+
+        ['points_per_rand', 'point_value_cents', 'min_redeem_points', 'max_redeem_percent'].forEach(field => {
+            if (body[field] !== undefined) {
+                updates[field] = Number(body[field]);
+                if (!(updates[field] >= 0)) {
+                    errors.push(`${field} must be zero or more`);
+                }
+            }
+        });
+        if (body.enabled !== undefined) {
+            updates.enabled = body.enabled === true;
+        }
+        if (body.item_rules !== undefined) {
+            if (!Array.isArray(body.item_rules) ||
+                body.item_rules.some(rule => !(rule?.product_id || rule?.category) || !(Number(rule.points_per_item) > 0))) {
+                errors.push('item_rules must be a list of { product_id or category, points_per_item }');
+            } else {
+                updates.item_rules = body.item_rules.map(rule => ({
+                    product_id: rule.product_id ? String(rule.product_id) : null,
+                    category: rule.category || null,
+                    points_per_item: Number(rule.points_per_item)
+                }));
             }
         }
 
-        // ---------------------------------------------------------
-        // 2. If the webhook already processed the payment, the
-        //    pending payment may already have been deleted.
-        //
-        //    In that case, look for the completed order.
-        // ---------------------------------------------------------
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Input validation failed', details: errors });
+        }
 
-        if (!checkoutId && orderRef) {
-            console.log(
-                `[${sessionId}] Pending payment not found. Checking completed orders.`
-            );
+        await db.collection('settings').doc('loyalty').set({
+            ...updates,
+            updated_by: body.updated_by || 'admin',
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
 
-            const orderSnapshot = await db
-                .collection('orders')
-                .where('order_reference', '==', orderRef)
-                .limit(1)
-                .get();
+        res.json({ success: true, rules: await getLoyaltyRules() });
+    } catch (error) {
+        console.error('Error updating loyalty rules:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-            if (!orderSnapshot.empty) {
-                const completedOrder = orderSnapshot.docs[0].data();
+// Reads a { open, close } pair. Returns an error message or null.
+function tradingHoursError(label, day) {
+    if (!TIME_OF_DAY_PATTERN.test(day?.open || '') || !TIME_OF_DAY_PATTERN.test(day?.close || '')) {
+        return `${label} needs open and close as HH:MM`;
+    }
+    if (day.close <= day.open) {
+        return `${label} must close after it opens`;
+    }
+    return null;
+}
 
-                const orderId = orderSnapshot.docs[0].id;
+app.get('/admin/store/trading-hours', async (req, res) => {
+    try {
+        res.json({ success: true, trading_hours: await getTradingHours(), status: await getStoreStatus() });
+    } catch (error) {
+        console.error('Error fetching trading hours:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-                console.log(
-                    `[${sessionId}] ✅ Order already completed by webhook: ${orderId}`
-                );
+// Change the schedule. Fields left out keep their value; weekly days are
+// merged, holidays are replaced as a whole:
+//   PUT /admin/store/trading-hours
+//   { "weekly": { "sunday": null }, "holidays": { "2026-12-25": { "name": "Christmas Day" } },
+//     "temporarily_closed": true, "closed_message": "Closed for stocktake until 2pm" }
+app.put('/admin/store/trading-hours', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const updates = {};
+        const errors = [];
 
-                const successParams = new URLSearchParams({
-                    status: 'success',
-                    reference: orderRef,
-                    amount: String(
-                        completedOrder.amount_display ??
-                        (completedOrder.amount_cents || 0) / 100
-                    ),
-                    order_id: orderId,
-                    timestamp: new Date().toISOString()
+        if (body.weekly !== undefined) {
+            if (!body.weekly || typeof body.weekly !== 'object') {
+                errors.push('weekly must be an object of weekday -> { open, close } or null');
+            } else {
+                Object.entries(body.weekly).forEach(([weekday, day]) => {
+                    if (!WEEKDAYS.includes(weekday)) {
+                        errors.push(`Unknown weekday: ${weekday}`);
+                        return;
+                    }
+                    const error = day === null ? null : tradingHoursError(weekday, day);
+                    if (error) {
+                        errors.push(error);
+                        return;
+                    }
+                    updates[`weekly.${weekday}`] = day === null ? null : { open: day.open, close: day.close };
                 });
-
-                return res.redirect(
-                    `${process.env.FRONTEND_URL}/payment-success.html?${successParams.toString()}`
-                );
             }
         }
+        if (body.holidays !== undefined) {
+            if (!body.holidays || typeof body.holidays !== 'object') {
+                errors.push('holidays must be an object of YYYY-MM-DD -> { name, open, close }');
+            } else {
+                updates.holidays = {};
+                Object.entries(body.holidays).forEach(([date, holiday]) => {
+                    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+                        errors.push(`Holiday date must be YYYY-MM-DD: ${date}`);
+                        return;
+                    }
+                    const entry = { name: holiday?.name || '' };
+                    if (holiday?.open || holiday?.close) {
+                        const error = tradingHoursError(date, holiday);
+                        if (error) {
+                            errors.push(error);
+                            return;
+                        }
+                        entry.open = holiday.open;
+                        entry.close = holiday.close;
+                    }
+                    updates.holidays[date] = entry;
+                });
+            }
+        }
+        ['temporarily_closed', 'accept_after_hours'].forEach(field => {
+            if (body[field] !== undefined) {
+                updates[field] = body[field] === true;
+            }
+        });
+        if (body.closed_message !== undefined) {
+            updates.closed_message = String(body.closed_message);
+        }
 
-        // ---------------------------------------------------------
-        // 3. Still no checkout ID?
-        //    Then we genuinely cannot verify this return.
-        // ---------------------------------------------------------
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Input validation failed', details: errors });
+        }
 
-        if (!checkoutId) {
-            console.log(
-                `[${sessionId}] No checkoutId found for orderRef: ${orderRef || 'none'}`
-            );
+        // update() is what understands the weekly.<day> paths, so make sure
+        // the document exists first
+        const hoursRef = db.collection('settings').doc('trading_hours');
+        await hoursRef.set({}, { merge: true });
+        await hoursRef.update({
+            ...updates,
+            updated_by: body.updated_by || 'admin',
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
 
-            return res.redirect(
-                `${process.env.FRONTEND_URL}/payment-failed.html?error=missing_checkout_id`
-            );
+        console.log(`[trading-hours] Updated by ${body.updated_by || 'admin'}:`, Object.keys(updates));
+        res.json({ success: true, trading_hours: await getTradingHours(), status: await getStoreStatus() });
+    } catch (error) {
+        console.error('Error updating trading hours:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Reads credit account fields from an admin request. The limit is given
+// in rands like product prices, and stored in cents.
+function parseCreditAccountInput(body, { partial = false } = {}) {
+    const errors = [];
+    const fields = {};
+
+    if (!partial || body.credit_limit !== undefined) {
+        fields.credit_limit_cents = Math.round(parseFloat(body.credit_limit) * 100);
+        if (!(fields.credit_limit_cents >= 0)) {
+            errors.push('credit_limit must be zero or more');
+        }
+    }
+    if (body.payment_terms_days !== undefined) {
+        fields.payment_terms_days = Number(body.payment_terms_days);
+        if (!(Number.isInteger(fields.payment_terms_days) && fields.payment_terms_days > 0)) {
+            errors.push('payment_terms_days must be a positive whole number');
+        }
+    }
+    if (body.status !== undefined) {
+        if (!CREDIT_ACCOUNT_STATUSES.includes(body.status)) {
+            errors.push(`status must be one of: ${CREDIT_ACCOUNT_STATUSES.join(', ')}`);
         }
+        fields.status = body.status;
+    }
+    if (body.customer_name !== undefined) {
+        fields.customer_name = String(body.customer_name);
+    }
+    if (body.pin !== undefined && !/^[0-9]{4,6}$/.test(String(body.pin))) {
+        errors.push('pin must be 4 to 6 digits');
+    }
 
-        console.log(
-            `[${sessionId}] Verifying payment for checkout: ${checkoutId}`
-        );
+    return { isValid: errors.length === 0, errors, fields };
+}
 
-        // ---------------------------------------------------------
-        // 4. Verify directly with Yoco.
-        // ---------------------------------------------------------
+// Open a credit account:
+//   POST /admin/credit-accounts
+//   { "customer_phone": "0821234567", "customer_name": "Mam' Dlamini",
+//     "credit_limit": 500, "payment_terms_days": 30, "pin": "4821" }
+app.post('/admin/credit-accounts', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const { isValid, errors, fields } = parseCreditAccountInput(body);
 
-        const paymentDetails =
-            await verifyYocoPayment(checkoutId, paymentId);
+        const customerKey = normaliseCustomerPhone(body.customer_phone);
+        if (!customerKey) {
+            errors.unshift('customer_phone must be a valid phone number');
+        }
+        if (!body.customer_name) {
+            errors.push('customer_name is required');
+        }
+        if (body.pin === undefined) {
+            errors.push('pin is required');
+        }
+        if (!isValid || errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Input validation failed', details: errors });
+        }
 
-        if (!paymentDetails) {
-            console.log(
-                `[${sessionId}] Payment verification failed - no details returned`
-            );
+        const account = {
+            customer_name: fields.customer_name,
+            customer_phone: body.customer_phone,
+            credit_limit_cents: fields.credit_limit_cents,
+            payment_terms_days: fields.payment_terms_days || CREDIT_CONFIG.DEFAULT_TERMS_DAYS,
+            status: fields.status || 'active',
+            balance_cents: 0,
+            pin_hash: hashCreditPin(customerKey, String(body.pin)),
+            pin_failures: 0,
+            created_by: body.created_by || 'admin',
+            created_at: admin.firestore.FieldValue.serverTimestamp(),
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        };
 
-            return res.redirect(
-                `${process.env.FRONTEND_URL}/payment-failed.html?error=verification_failed`
-            );
+        try {
+            await db.collection('credit_accounts').doc(customerKey).create(account);
+        } catch (error) {
+            if (error.code === FIRESTORE_ALREADY_EXISTS) {
+                return res.status(409).json({ success: false, error: `A credit account for ${customerKey} already exists` });
+            }
+            throw error;
         }
 
-        console.log(
-            `[${sessionId}] Payment status:`,
-            paymentDetails.status
-        );
+        res.status(201).json({ success: true, account: publicCreditAccount(customerKey, account) });
+    } catch (error) {
+        console.error('Error creating credit account:', error);
+        res.status(500).json({ success: false, error: 'Failed to create credit account', message: error.message });
+    }
+});
 
-        console.log(
-            `[${sessionId}] Payment ID:`,
-            paymentDetails.paymentId
-        );
+app.get('/admin/credit-accounts', async (req, res) => {
+    try {
+        const snapshot = await db.collection('credit_accounts')
+            .orderBy('balance_cents', 'desc')
+            .get();
 
-        // ---------------------------------------------------------
-        // 5. Payment verified.
-        //    completeOrderFromCheckoutId() is already designed to
-        //    safely skip if the webhook completed it first.
-        // ---------------------------------------------------------
+        const accounts = [];
+        snapshot.forEach(doc => accounts.push(publicCreditAccount(doc.id, doc.data())));
 
-        if (
-            paymentDetails.status === 'successful' ||
-            paymentDetails.status === 'completed' ||
-            paymentDetails.paymentId
-        ) {
-            console.log(
-                `[${sessionId}] ✅ Payment successful!`
-            );
+        res.json({
+            success: true,
+            count: accounts.length,
+            total_owed_cents: accounts.reduce((sum, account) => sum + Math.max(0, account.balance_cents || 0), 0),
+            accounts
+        });
+    } catch (error) {
+        console.error('Error listing credit accounts:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-            const orderId =
-                await completeOrderFromCheckoutId(
-                    checkoutId,
-                    paymentDetails,
-                    sessionId
-                );
+// Change the limit, terms or status, or set a new PIN (which also unlocks
+// an account locked by wrong PINs). Fields left out keep their value.
+app.patch('/admin/credit-accounts/:phone', async (req, res) => {
+    try {
+        const customerKey = normaliseCustomerPhone(req.params.phone);
+        if (!customerKey) {
+            return res.status(400).json({ success: false, error: 'A valid phone number is required' });
+        }
 
-            const successParams = new URLSearchParams({
-                status: 'success',
-                reference:
-                    paymentDetails.metadata?.order_reference ||
-                    orderRef ||
-                    'unknown',
-                amount: String(
-                    paymentDetails.amount / 100
-                ),
-                order_id:
-                    orderId ||
-                    'already_processed',
-                timestamp:
-                    new Date().toISOString()
-            });
+        const accountRef = db.collection('credit_accounts').doc(customerKey);
+        const accountDoc = await accountRef.get();
 
-            return res.redirect(
-                `${process.env.FRONTEND_URL}/payment-success.html?${successParams.toString()}`
-            );
+        if (!accountDoc.exists) {
+            return res.status(404).json({ success: false, error: 'Credit account not found' });
         }
 
-        // ---------------------------------------------------------
-        // 6. Payment did not complete.
-        // ---------------------------------------------------------
+        const body = req.body || {};
+        const { isValid, errors, fields } = parseCreditAccountInput(body, { partial: true });
+        if (!isValid) {
+            return res.status(400).json({ success: false, error: 'Input validation failed', details: errors });
+        }
 
-        console.log(
-            `[${sessionId}] ❌ Payment not successful, status: ${paymentDetails.status}`
-        );
+        if (body.pin !== undefined) {
+            fields.pin_hash = hashCreditPin(customerKey, String(body.pin));
+            fields.pin_failures = 0;
+        }
 
-        return res.redirect(
-            `${process.env.FRONTEND_URL}/payment-failed.html?error=payment_not_completed`
-        );
+        await accountRef.update({
+            ...fields,
+            updated_by: body.updated_by || 'admin',
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
 
+        const updated = await accountRef.get();
+        res.json({ success: true, account: publicCreditAccount(customerKey, updated.data()) });
     } catch (error) {
-        console.error(
-            `[${sessionId}] Success handler error:`,
-            error
-        );
-
-        return res.redirect(
-            `${process.env.FRONTEND_URL}/payment-failed.html?error=processing_error`
-        );
+        console.error('Error updating credit account:', error);
+        res.status(500).json({ success: false, error: 'Failed to update credit account', message: error.message });
     }
 });
 
-app.get('/yoco-payment-cancel', async (req, res) => {
-    const sessionId = `cancel_${Date.now()}`;
-    console.log(`[${sessionId}] Payment cancelled`);
-    res.redirect(`${process.env.FRONTEND_URL}/payment-cancelled.html`);
-});
+// Record a payment made in person:
+//   POST /admin/credit-accounts/0821234567/payments
+//   { "amount": 200, "method": "cash", "received_by": "Peter" }
+app.post('/admin/credit-accounts/:phone/payments', async (req, res) => {
+    try {
+        const customerKey = normaliseCustomerPhone(req.params.phone);
+        const { amount, method, note, received_by: receivedBy } = req.body || {};
+        const amountCents = Math.round(parseFloat(amount) * 100);
 
-app.get('/yoco-payment-failure', async (req, res) => {
-    const sessionId = `failure_${Date.now()}`;
-    console.log(`[${sessionId}] Payment failed`);
-    res.redirect(`${process.env.FRONTEND_URL}/payment-failed.html`);
-});
+        const errors = [];
+        if (!customerKey) {
+            errors.push('A valid phone number is required');
+        }
+        if (!(amountCents > 0)) {
+            errors.push('amount must be a positive number');
+        }
+        if (!['cash', 'eft', 'card'].includes(method)) {
+            errors.push('method must be one of: cash, eft, card');
+        }
+        if (!receivedBy) {
+            errors.push('received_by is required');
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Input validation failed', details: errors });
+        }
 
-// ============================================
-// TWILIO WHATSAPP DELIVERY STATUS CALLBACK
-// ============================================
+        const result = await recordCreditPayment(customerKey, amountCents, {
+            method,
+            note: note || '',
+            recordedBy: receivedBy
+        });
 
-app.post('/twilio/status', async (req, res) => {
+        res.json({
+            success: true,
+            entry_id: result.entryId,
+            balance_cents: result.balanceCents,
+            overpaid_cents: result.overpaidCents || 0
+        });
+    } catch (error) {
+        if (error.code === 'CREDIT_ACCOUNT_NOT_FOUND') {
+            return res.status(404).json({ success: false, error: error.message });
+        }
+        console.error('Error recording credit payment:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Charges and payments since a date (default: the last 30 days), oldest
+// first, each with the balance after it:
+//   GET /admin/credit-accounts/0821234567/statement?from=2026-09-01
+app.get('/admin/credit-accounts/:phone/statement', async (req, res) => {
     try {
-        const {
-            MessageSid,
-            MessageStatus,
-            To,
-            ErrorCode,
-            ErrorMessage
-        } = req.body;
+        const customerKey = normaliseCustomerPhone(req.params.phone);
+        if (!customerKey) {
+            return res.status(400).json({ success: false, error: 'A valid phone number is required' });
+        }
 
-        console.log('=== TWILIO STATUS UPDATE ===');
-        console.log('Message SID:', MessageSid);
-        console.log('Status:', MessageStatus);
-        console.log('To:', To);
-        console.log('Error Code:', ErrorCode || 'none');
-        console.log('Error Message:', ErrorMessage || 'none');
+        const from = req.query.from ||
+            new Date(Date.now() + 2 * 60 * 60 * 1000 - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(from)) {
+            return res.status(400).json({ success: false, error: 'from must be YYYY-MM-DD' });
+        }
 
-        if (!MessageSid) {
-            console.warn('Twilio status callback missing MessageSid');
-            return res.status(400).send('Missing MessageSid');
+        const accountDoc = await db.collection('credit_accounts').doc(customerKey).get();
+        if (!accountDoc.exists) {
+            return res.status(404).json({ success: false, error: 'Credit account not found' });
         }
 
-        // Find the order associated with this Twilio message
-        const snapshot = await db.collection('orders')
-            .where('whatsapp.message_sid', '==', MessageSid)
-            .limit(1)
+        const snapshot = await db.collection('credit_ledger')
+            .where('customer_key', '==', customerKey)
+            .where('created_at', '>=', admin.firestore.Timestamp.fromDate(getSASTDayRange(from).start))
+            .orderBy('created_at', 'asc')
             .get();
 
-        if (snapshot.empty) {
-            console.warn(
-                `No order found for Twilio MessageSid: ${MessageSid}`
-            );
+        const account = accountDoc.data();
+        const entries = [];
+        snapshot.forEach(doc => entries.push({ id: doc.id, ...doc.data() }));
 
-            // Acknowledge the callback anyway
-            return res.status(200).send('OK');
-        }
+        // Work back from today's balance to what was owed when the statement starts
+        const openingCents = (account.balance_cents || 0) -
+            entries.reduce((sum, entry) => sum + (entry.balance_change_cents || 0), 0);
 
-        const doc = snapshot.docs[0];
+        let runningCents = openingCents;
+        const lines = entries.map(entry => {
+            runningCents += entry.balance_change_cents || 0;
+            return {
+                id: entry.id,
+                date: entry.created_at?.toDate?.().toISOString() || null,
+                type: entry.type,
+                amount_cents: entry.amount_cents,
+                order_id: entry.order_id,
+                order_reference: entry.order_reference,
+                method: entry.method || null,
+                note: entry.note || '',
+                balance_after_cents: runningCents
+            };
+        });
 
-        const updateData = {
-            'whatsapp.status': MessageStatus || 'unknown',
-            'whatsapp.updated_at':
-                admin.firestore.FieldValue.serverTimestamp()
-        };
+        res.json({
+            success: true,
+            account: publicCreditAccount(customerKey, account),
+            from,
+            opening_balance_cents: openingCents,
+            total_charged_cents: entries.filter(entry => entry.type === 'charge').reduce((sum, entry) => sum + entry.amount_cents, 0),
+            total_paid_cents: entries.filter(entry => entry.type === 'payment').reduce((sum, entry) => sum + entry.amount_cents, 0),
+            total_credited_cents: entries.filter(entry => entry.type === 'reversal' || entry.type === 'credit').reduce((sum, entry) => sum + entry.amount_cents, 0),
+            closing_balance_cents: account.balance_cents || 0,
+            lines
+        });
+    } catch (error) {
+        console.error('Error building credit statement:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        if (To) {
-            updateData['whatsapp.to'] = To;
-        }
+// Yoco payment link for the outstanding balance (or part of it). Paying it
+// records a ledger payment instead of creating an order:
+//   POST /admin/credit-accounts/0821234567/settle-link
+//   { "amount": 150, "send_whatsapp": true, "created_by": "Peter" }
+app.post('/admin/credit-accounts/:phone/settle-link', async (req, res) => {
+    const requestId = `settle_link_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
 
-        if (ErrorCode) {
-            updateData['whatsapp.error_code'] = ErrorCode;
+    try {
+        const customerKey = normaliseCustomerPhone(req.params.phone);
+        if (!customerKey) {
+            return res.status(400).json({ success: false, error: 'A valid phone number is required' });
         }
 
-        if (ErrorMessage) {
-            updateData['whatsapp.error_message'] = ErrorMessage;
-        }
+        const { amount, send_whatsapp: sendWhatsApp, created_by: createdBy } = req.body || {};
 
-        if (MessageStatus === 'delivered') {
-            updateData['whatsapp.delivered_at'] =
-                admin.firestore.FieldValue.serverTimestamp();
+        const accountDoc = await db.collection('credit_accounts').doc(customerKey).get();
+        if (!accountDoc.exists) {
+            return res.status(404).json({ success: false, error: 'Credit account not found' });
         }
 
-        if (MessageStatus === 'read') {
-            updateData['whatsapp.read_at'] =
-                admin.firestore.FieldValue.serverTimestamp();
+        const account = accountDoc.data();
+        const amountInCents = amount !== undefined
+            ? Math.round(parseFloat(amount) * 100)
+            : account.balance_cents || 0;
+
+        if (!(amountInCents > 0) || amountInCents > (account.balance_cents || 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Amount must be more than zero and no more than the balance owed',
+                balance_cents: account.balance_cents || 0
+            });
+        }
+        if (amountInCents < YOCO_CONFIG.MIN_AMOUNT_CENTS || amountInCents > YOCO_CONFIG.MAX_AMOUNT_CENTS) {
+            return res.status(400).json({ success: false, error: 'Amount out of range' });
         }
 
-        if (
-            MessageStatus === 'failed' ||
-            MessageStatus === 'undelivered'
-        ) {
-            updateData['whatsapp.failed_at'] =
-                admin.firestore.FieldValue.serverTimestamp();
+        if (!paymentProvider.isConfigured()) {
+            return res.status(500).json({ success: false, error: 'Server configuration error' });
         }
 
-        await doc.ref.update(updateData);
+        const orderReference = `SETTLE_${Date.now()}_${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
 
-        console.log(
-            `✅ Firebase WhatsApp status updated`
-        );
-        console.log(`Order: ${doc.id}`);
-        console.log(`Status: ${MessageStatus}`);
+        const customerInfo = {
+            customer_name: account.customer_name || 'Customer',
+            customer_email: '',
+            customer_phone: account.customer_phone || customerKey,
+            customer_address: '',
+            customer_city: '',
+            customer_postal_code: ''
+        };
 
-        res.status(200).send('OK');
+        const { yocoData, yocoPayload, redirectUrl, checkoutExpiresAt } = await createYocoCheckout({
+            amountInCents,
+            orderReference,
+            metadata: {
+                customer_name: customerInfo.customer_name,
+                customer_email: customerInfo.customer_email,
+                customer_phone: customerInfo.customer_phone,
+                request_id: requestId
+            }
+        });
+
+        const pendingId = await storePendingOrder({
+            id: yocoData.id,
+            purpose: 'credit_settlement',
+            customer_key: customerKey,
+            amount: amountInCents,
+            metadata: { ...yocoPayload.metadata, ...customerInfo },
+            customer_info: customerInfo,
+            items: [],
+            order_reference: orderReference,
+            amount_cents: amountInCents,
+            amount_display: amountInCents / 100,
+            currency: 'ZAR',
+            yoco_checkout_id: yocoData.id,
+            request_id: requestId,
+            redirectUrl,
+            success_url: yocoPayload.successUrl,
+            cancel_url: yocoPayload.cancelUrl,
+            failure_url: yocoPayload.failureUrl,
+            checkout_expires_at: checkoutExpiresAt,
+            channel: 'staff_link',
+            created_by: createdBy || 'admin'
+        });
+
+        const paymentLink = `${SELF_URL}/pay/${encodeURIComponent(orderReference)}`;
+        console.log(`[${requestId}] Settlement link for ${customerKey} created: ${paymentLink}`);
+
+        const whatsapp = sendWhatsApp
+            ? await sendWhatsAppPaymentLink(pendingId, customerInfo, amountInCents, paymentLink, 'your EezySpaza account payment is')
+            : null;
+
+        res.json({
+            success: true,
+            payment_link: paymentLink,
+            order_reference: orderReference,
+            amount_cents: amountInCents,
+            balance_cents: account.balance_cents || 0,
+            checkout_id: yocoData.id,
+            whatsapp
+        });
 
     } catch (error) {
-        console.error(
-            '❌ Twilio status callback error:',
-            error
-        );
+        if (error.code === 'YOCO_UNAVAILABLE' || error.code === 'YOCO_INVALID_RESPONSE') {
+            return res.status(503).json({ success: false, error: 'Payment service unavailable' });
+        }
+        console.error(`[${requestId}] Settlement link error:`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        // Acknowledge Twilio so it doesn't repeatedly retry
-        res.status(200).send('OK');
+// Reads driver fields from an admin request
+function parseDriverInput(body, { partial = false } = {}) {
+    const errors = [];
+    const fields = {};
+
+    if (!partial || body.name !== undefined) {
+        fields.name = String(body.name || '').trim();
+        if (!fields.name) {
+            errors.push('name is required');
+        }
+    }
+    if (!partial || body.phone !== undefined) {
+        fields.phone = String(body.phone || '').trim();
+        if (!normaliseCustomerPhone(fields.phone)) {
+            errors.push('phone must be a valid phone number');
+        }
+    }
+    if (body.active !== undefined) {
+        fields.active = body.active === true;
+    }
+    if ((!partial || body.pin !== undefined) && !/^[0-9]{4,6}$/.test(String(body.pin ?? ''))) {
+        errors.push('pin must be 4 to 6 digits');
     }
-});
 
-// WEBHOOK - Server-to-server confirmation from Yoco.
-// This is the reliable backstop for /yoco-payment-success: if the
-// customer's browser/WebView never makes it back to this server (closed
-// app, lost signal, navigation glitch), Yoco still calls this endpoint
-// directly once the payment is confirmed, so the order still gets created.
-//
-// Uses req.rawBody (captured by the express.json verify() hook above) to
-// check the signature, if YOCO_WEBHOOK_SECRET is configured. If it isn't
-// configured, the webhook still works but without signature verification —
-// set YOCO_WEBHOOK_SECRET in your environment as soon as you have it from
-// the Yoco dashboard.
-app.post('/yoco-webhook', async (req, res) => {
-    const webhookId = `webhook_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    return { errors, fields };
+}
 
+// Add a driver:
+//   POST /admin/drivers  { "name": "Bongani", "phone": "0731234567", "pin": "2580" }
+app.post('/admin/drivers', async (req, res) => {
     try {
-        console.log(`[${webhookId}] === YOCO WEBHOOK RECEIVED ===`);
+        const body = req.body || {};
+        const { errors, fields } = parseDriverInput(body);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Input validation failed', details: errors });
+        }
 
-const signature = req.headers['webhook-signature'];
-const webhookIdHeader = req.headers['webhook-id'];
-const webhookTimestamp = req.headers['webhook-timestamp'];
+        const driverRef = db.collection('drivers').doc();
+        const driver = {
+            ...fields,
+            active: fields.active !== false,
+            pin_hash: hashDriverPin(driverRef.id, String(body.pin)),
+            pin_failures: 0,
+            created_at: admin.firestore.FieldValue.serverTimestamp(),
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        };
+        await driverRef.set(driver);
 
-if (process.env.YOCO_WEBHOOK_SECRET) {
-    if (!signature || !webhookIdHeader || !webhookTimestamp || !req.rawBody) {
-        console.error(`[${webhookId}] Missing webhook signature headers or raw body`);
-        return res.status(401).json({ error: 'Invalid signature' });
+        res.status(201).json({ success: true, driver: publicDriver(driverRef.id, driver) });
+    } catch (error) {
+        console.error('Error creating driver:', error);
+        res.status(500).json({ success: false, error: 'Failed to create driver', message: error.message });
     }
+});
 
+app.get('/admin/drivers', async (req, res) => {
     try {
-        // Yoco webhook secrets use the whsec_ prefix followed by
-        // a Base64-encoded signing key.
-        const secret = process.env.YOCO_WEBHOOK_SECRET;
+        const snapshot = await db.collection('drivers').orderBy('name').get();
+        const drivers = snapshot.docs.map(doc => publicDriver(doc.id, doc.data()));
+        res.json({ success: true, count: drivers.length, drivers });
+    } catch (error) {
+        console.error('Error listing drivers:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        const encodedSecret = secret.startsWith('whsec_')
-            ? secret.substring(6)
-            : secret;
+// Update a driver. A new pin also unlocks them.
+app.patch('/admin/drivers/:id', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const driverRef = db.collection('drivers').doc(req.params.id);
+        const driverDoc = await driverRef.get();
 
-        const secretBytes = Buffer.from(encodedSecret, 'base64');
+        if (!driverDoc.exists) {
+            return res.status(404).json({ success: false, error: 'Driver not found' });
+        }
 
-        // Standard Webhooks signing format:
-        // webhook-id.webhook-timestamp.raw-body
-        const signedPayload =
-            `${webhookIdHeader}.${webhookTimestamp}.${req.rawBody.toString('utf8')}`;
+        const { errors, fields } = parseDriverInput(body, { partial: true });
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Input validation failed', details: errors });
+        }
+        if (body.pin !== undefined) {
+            fields.pin_hash = hashDriverPin(driverDoc.id, String(body.pin));
+            fields.pin_failures = 0;
+        }
 
-        const expectedSignature = crypto
-            .createHmac('sha256', secretBytes)
-            .update(signedPayload)
-            .digest('base64');
+        await driverRef.update({
+            ...fields,
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
 
-        // Yoco/Standard Webhooks signatures can contain one or more
-        // versioned signatures, e.g. v1,<signature>.
-        const receivedSignatures = signature
-            .split(' ')
-            .map(value => value.trim())
-            .filter(Boolean);
+        res.json({ success: true, id: driverDoc.id, updated: Object.keys(fields).filter(field => field !== 'pin_hash') });
+    } catch (error) {
+        console.error('Error updating driver:', error);
+        res.status(500).json({ success: false, error: 'Failed to update driver', message: error.message });
+    }
+});
 
-        const signatureValid = receivedSignatures.some(value => {
-            const parts = value.split(',');
+function deliveryRunErrorResponse(res, error) {
+    if (error.code === 'RUN_NOT_FOUND' || error.code === 'DRIVER_NOT_FOUND' || error.code === 'STOP_NOT_FOUND') {
+        return res.status(404).json({ success: false, error: error.message });
+    }
+    if (['DRIVER_INACTIVE', 'RUN_LOCKED', 'RUN_NO_DRIVER', 'STOP_CLOSED', 'INVALID_TRANSITION', 'CASH_ALREADY_COLLECTED', 'ORDER_CANCELLED'].includes(error.code)) {
+        return res.status(409).json({ success: false, error: error.message });
+    }
+    if (error.code === 'CASH_REQUIRED' || error.code === 'INSUFFICIENT_CASH') {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    return null;
+}
 
-            if (parts.length !== 2) {
-                return false;
-            }
+// Build runs from ready delivery orders:
+//   POST /admin/delivery-runs
+//   { "group_by": "postal_code", "area": "1804", "driver_id": "abc123" }
+// group_by defaults to city; leave out area to build a run for every area.
+app.post('/admin/delivery-runs', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const groupBy = body.group_by || 'city';
 
-            const [version, receivedSignature] = parts;
+        if (!DELIVERY_RUN_GROUPINGS.includes(groupBy)) {
+            return res.status(400).json({ success: false, error: `group_by must be one of: ${DELIVERY_RUN_GROUPINGS.join(', ')}` });
+        }
 
-            return version === 'v1' &&
-                crypto.timingSafeEqual(
-                    Buffer.from(receivedSignature),
-                    Buffer.from(expectedSignature)
-                );
+        const runs = await createDeliveryRuns({
+            groupBy,
+            area: body.area || null,
+            driverId: body.driver_id || null,
+            createdBy: body.created_by || 'admin'
         });
 
-        if (!signatureValid) {
-            console.error(`[${webhookId}] Invalid webhook signature`);
-            return res.status(401).json({ error: 'Invalid signature' });
+        res.status(runs.length > 0 ? 201 : 200).json({ success: true, count: runs.length, runs });
+    } catch (error) {
+        if (deliveryRunErrorResponse(res, error)) return;
+        console.error('Error building delivery runs:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Runs for a day (default today):  GET /admin/delivery-runs?date=2026-10-19
+app.get('/admin/delivery-runs', async (req, res) => {
+    try {
+        const date = req.query.date || todaySAST();
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return res.status(400).json({ success: false, error: 'Invalid date format. Use YYYY-MM-DD' });
         }
 
-        console.log(`[${webhookId}] Webhook signature verified successfully`);
+        const snapshot = await db.collection('delivery_runs').where('run_date', '==', date).get();
+        const runs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
 
-    } catch (signatureError) {
-        console.error(
-            `[${webhookId}] Signature verification error:`,
-            signatureError.message
-        );
-        return res.status(401).json({ error: 'Invalid signature' });
+        res.json({ success: true, date, count: runs.length, runs });
+    } catch (error) {
+        console.error('Error listing delivery runs:', error);
+        res.status(500).json({ success: false, error: error.message });
     }
-} else {
-    console.warn(
-        `[${webhookId}] YOCO_WEBHOOK_SECRET not set — skipping signature verification`
-    );
-}
-
-        const event = req.body;
-        console.log(`[${webhookId}] Event type:`, event?.type);
-
-        const eventType = (event?.type || '').toLowerCase();
-        const payload = event?.payload || event?.data || {};
-        const checkoutId =
-            payload.metadata?.checkoutId ||
-            payload.checkoutId;
-        const paymentId =
-            payload.id ||
-            payload.paymentId;
+});
 
-        if (!checkoutId) {
-            console.warn(`[${webhookId}] No checkoutId found in webhook payload — nothing to do`);
-            return res.status(200).json({ received: true, webhook_id: webhookId, action: 'no_checkout_id' });
+// Give a planned run to a driver:  PATCH /admin/delivery-runs/:id  { "driver_id": "abc123" }
+app.patch('/admin/delivery-runs/:id', async (req, res) => {
+    try {
+        const { driver_id: driverId } = req.body || {};
+        if (!driverId) {
+            return res.status(400).json({ success: false, error: 'driver_id is required' });
         }
 
-        if (eventType.includes('succeed') || eventType.includes('success')) {
-            // Confirm with Yoco's API directly rather than trusting the
-            // webhook body alone, same as the browser-redirect path does.
-            const paymentDetails = await verifyYocoPayment(checkoutId, paymentId);
-
-            if (paymentDetails && (paymentDetails.status === 'successful' || paymentDetails.paymentId)) {
-                await completeOrderFromCheckoutId(checkoutId, paymentDetails, webhookId);
-            } else {
-                console.warn(`[${webhookId}] Webhook said success but verification didn't confirm it — not creating order`);
-            }
-        } else {
-            console.log(`[${webhookId}] Event type "${eventType}" doesn't require order creation — logged only`);
-        }
+        const driver = await assignDeliveryRunDriver(req.params.id, driverId);
+        res.json({ success: true, id: req.params.id, driver_id: driver.id, driver_name: driver.name });
+    } catch (error) {
+        if (deliveryRunErrorResponse(res, error)) return;
+        console.error('Error assigning delivery run:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        res.status(200).json({ received: true, webhook_id: webhookId });
+// The run has left the store:  POST /admin/delivery-runs/:id/dispatch
+app.post('/admin/delivery-runs/:id/dispatch', async (req, res) => {
+    try {
+        const run = await dispatchDeliveryRun(req.params.id, req.body?.dispatched_by || 'admin');
+        res.json({ success: true, run });
+    } catch (error) {
+        if (deliveryRunErrorResponse(res, error)) return;
+        console.error('Error dispatching delivery run:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
+// A planned run that won't go out after all; its orders can go on the
+// next runs built:  POST /admin/delivery-runs/:id/cancel
+app.post('/admin/delivery-runs/:id/cancel', async (req, res) => {
+    try {
+        const run = await cancelDeliveryRun(req.params.id, req.body?.cancelled_by || 'admin');
+        res.json({ success: true, run });
     } catch (error) {
-        console.error(`[${webhookId}] Webhook processing error:`, error);
-        // Still return 200 so Yoco doesn't endlessly retry a request that's
-        // failing due to our own bug rather than a real delivery problem —
-        // the error is logged above for investigation either way.
-        res.status(200).json({ received: true, webhook_id: webhookId, error: 'processing_error' });
+        if (deliveryRunErrorResponse(res, error)) return;
+        console.error('Error cancelling delivery run:', error);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// NEW: Manual WhatsApp notification endpoint for dashboard
-app.post('/api/send-whatsapp', async (req, res) => {
-    const requestId = `whatsapp_${Date.now()}`;
-    console.log(`[${requestId}] Manual WhatsApp notification request`);
-    
+// Drivers send their PIN in this header with every request
+async function authenticateDriverRequest(req, res) {
     try {
-        const { orderData, status } = req.body;
-        
-        if (!orderData) {
-            return res.status(400).json({
-                success: false,
-                error: 'Order data required'
-            });
+        return await authenticateDriver(req.params.driverId, req.get('X-Driver-Pin'));
+    } catch (error) {
+        if (error.code === 'DRIVER_NOT_FOUND' || error.code === 'DRIVER_PIN_INVALID') {
+            res.status(401).json({ success: false, error: 'Incorrect driver or PIN' });
+            return null;
         }
-        
-        // Send WhatsApp notification
-        const result = await sendWhatsAppNotification(orderData, status || orderData.status || 'update');
-        
-        if (result.success) {
-            console.log(`[${requestId}] WhatsApp sent successfully: ${result.messageId}`);
-            res.json({
-                success: true,
-                message: 'WhatsApp notification sent',
-                messageId: result.messageId
-            });
-        } else {
-            console.log(`[${requestId}] WhatsApp failed: ${result.error}`);
-            res.status(400).json({
-                success: false,
-                error: result.error,
-                details: result
-            });
+        if (error.code === 'DRIVER_INACTIVE' || error.code === 'DRIVER_PIN_LOCKED') {
+            res.status(403).json({ success: false, error: error.message });
+            return null;
         }
-        
-    } catch (error) {
-        console.error(`[${requestId}] Error:`, error);
-        res.status(500).json({
-            success: false,
-            error: error.message
+        throw error;
+    }
+}
+
+// DRIVER RUN - the driver's planned and in-progress runs, stop by stop,
+// with what to collect at each:
+//   GET /driver/abc123/run   (X-Driver-Pin: 2580)
+app.get('/driver/:driverId/run', async (req, res) => {
+    try {
+        const driver = await authenticateDriverRequest(req, res);
+        if (!driver) return;
+
+        const snapshot = await db.collection('delivery_runs')
+            .where('driver_id', '==', driver.id)
+            .where('status', 'in', ['planned', 'out_for_delivery'])
+            .get();
+
+        const runs = snapshot.docs.map(doc => {
+            const run = doc.data();
+            const stops = run.stops.filter(stop => stop.status !== 'removed');
+            return {
+                id: doc.id,
+                area: run.area,
+                run_date: run.run_date,
+                status: run.status,
+                stops: stops.map(stop => ({ ...stop, amount_due: stop.amount_due_cents / 100 })),
+                cash_to_collect: stops
+                    .filter(stop => stop.status === 'pending')
+                    .reduce((sum, stop) => sum + stop.amount_due_cents, 0) / 100
+            };
         });
+
+        res.json({ success: true, driver: { id: driver.id, name: driver.name }, runs });
+    } catch (error) {
+        console.error('Error fetching driver run:', error);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Get all orders (completed only)
-app.get('/admin/orders', async (req, res) => {
+// DRIVER STOP UPDATE - how a stop went:
+//   POST /driver/abc123/runs/run456/stops/cash_ORDER_123   (X-Driver-Pin: 2580)
+//   { "outcome": "delivered", "cash_tendered": 200 }
+//   { "outcome": "failed", "note": "Nobody home" }
+app.post('/driver/:driverId/runs/:runId/stops/:orderId', async (req, res) => {
     try {
-        const snapshot = await db.collection('orders')
-            .orderBy('created_at', 'desc')
-            .limit(100)
-            .get();
-        
-        const orders = [];
-        snapshot.forEach(doc => {
-            orders.push({ id: doc.id, ...doc.data() });
+        const driver = await authenticateDriverRequest(req, res);
+        if (!driver) return;
+
+        const { outcome, note, cash_tendered: cashTendered } = req.body || {};
+        if (!DELIVERY_STOP_OUTCOMES.includes(outcome)) {
+            return res.status(400).json({ success: false, error: `outcome must be one of: ${DELIVERY_STOP_OUTCOMES.join(', ')}` });
+        }
+
+        const run = await recordDeliveryStopOutcome(driver, req.params.runId, req.params.orderId, {
+            outcome,
+            note: note ? String(note) : '',
+            cashTenderedCents: cashTendered !== undefined ? Math.round(parseFloat(cashTendered) * 100) : null
+        });
+
+        res.json({
+            success: true,
+            run_status: run.status,
+            stop: run.stops.find(stop => stop.order_id === req.params.orderId),
+            stops_remaining: run.stops.filter(stop => stop.status === 'pending').length
         });
-        
-        res.json({ success: true, count: orders.length, orders });
     } catch (error) {
+        if (deliveryRunErrorResponse(res, error)) return;
+        console.error('Error recording delivery stop:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
@@ -1572,6 +9541,37 @@ app.get('/admin/pending-payments', async (req, res) => {
     }
 });
 
+// Pending payments the sweeper gave up on, most recent first
+app.get('/admin/abandoned-payments', async (req, res) => {
+    try {
+        const snapshot = await db.collection('abandoned_payments')
+            .orderBy('abandoned_at', 'desc')
+            .limit(50)
+            .get();
+
+        const abandoned = [];
+        snapshot.forEach(doc => {
+            abandoned.push({ id: doc.id, ...doc.data() });
+        });
+
+        res.json({ success: true, count: abandoned.length, abandoned_payments: abandoned });
+    } catch (error) {
+        console.error('Error fetching abandoned payments:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Manual trigger for the abandoned pending-payment sweep
+app.post('/admin/pending-payments/sweep', async (req, res) => {
+    try {
+        const result = await sweepAbandonedPendingPayments();
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Manual pending-payment sweep error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // Today's orders only (SAST calendar day)
 app.get('/admin/orders/today', async (req, res) => {
     try {
@@ -1626,7 +9626,7 @@ app.get('/admin/daily-reports', async (req, res) => {
 // Useful for testing without waiting for midnight, e.g.:
 //   POST /admin/daily-report/run           -> yesterday
 //   POST /admin/daily-report/run/2026-08-09 -> specific date
-app.post('/admin/daily-report/run/:date?', async (req, res) => {
+app.post('/admin/daily-report/run{/:date}', async (req, res) => {
     try {
         const date = req.params.date || yesterdaySAST();
         if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
@@ -1644,6 +9644,62 @@ app.post('/admin/daily-report/run/:date?', async (req, res) => {
 });
 
 
+// Reconciliation reports, newest first: GET /admin/reconciliation?days=7
+app.get('/admin/reconciliation', async (req, res) => {
+    try {
+        const days = Math.min(parseInt(req.query.days) || 7, 30);
+        const snapshot = await db.collection('reconciliation_reports')
+            .orderBy('date', 'desc')
+            .limit(days)
+            .get();
+
+        const reports = [];
+        snapshot.forEach(doc => reports.push({ id: doc.id, ...doc.data() }));
+
+        res.json({ success: true, count: reports.length, reports });
+    } catch (error) {
+        console.error('Error fetching reconciliation reports:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/admin/reconciliation/:date', async (req, res) => {
+    try {
+        const doc = await db.collection('reconciliation_reports').doc(req.params.date).get();
+        if (!doc.exists) {
+            return res.status(404).json({ success: false, error: 'No reconciliation report for that date' });
+        }
+        res.json({ success: true, report: { id: doc.id, ...doc.data() } });
+    } catch (error) {
+        console.error('Error fetching reconciliation report:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Re-run reconciliation without sending the daily email. Defaults to
+// yesterday, like the nightly run:
+//   POST /admin/reconciliation/run/2026-08-09
+app.post('/admin/reconciliation/run{/:date}', async (req, res) => {
+    try {
+        const date = req.params.date || yesterdaySAST();
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid date format, use YYYY-MM-DD'
+            });
+        }
+        const report = await runPaymentReconciliation(date);
+        res.json({ success: true, report });
+    } catch (error) {
+        if (error.code === 'YOCO_UNAVAILABLE') {
+            return res.status(503).json({ success: false, error: error.message });
+        }
+        console.error('Manual reconciliation error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+
 app.get("/health", (req, res) => res.json({ status: "ok", timestamp: new Date().toISOString() }));
 
 // Diagnostic endpoint: checks API key format, Firebase connectivity, and
@@ -1658,21 +9714,32 @@ app.get('/yoco-health', async (req, res) => {
             checks: {}
         };
 
-        if (!process.env.YOCO_SECRET_KEY) {
-            healthData.checks.api_key = {
-                status: 'error',
-                message: 'YOCO_SECRET_KEY not configured'
-            };
-        } else {
-            const keyFormat = process.env.YOCO_SECRET_KEY.startsWith('sk_test_') ||
-                             process.env.YOCO_SECRET_KEY.startsWith('sk_live_');
-            const environment = process.env.YOCO_SECRET_KEY.startsWith('sk_test_') ? 'sandbox' : 'live';
-
-            healthData.checks.api_key = {
-                status: keyFormat ? 'ok' : 'warning',
-                message: keyFormat ? 'API key format is valid' : 'API key format may be incorrect',
-                environment: environment
-            };
+        healthData.checks.payment_provider = {
+            status: paymentProvider.name === 'mock' ? 'warning' : 'ok',
+            message: paymentProvider.name === 'mock'
+                ? 'Mock payment provider active — no real payments are taken'
+                : 'Yoco payment provider active',
+            provider: paymentProvider.name
+        };
+
+        // The mock provider needs no API key
+        if (paymentProvider.name === 'yoco') {
+            if (!process.env.YOCO_SECRET_KEY) {
+                healthData.checks.api_key = {
+                    status: 'error',
+                    message: 'YOCO_SECRET_KEY not configured'
+                };
+            } else {
+                const keyFormat = process.env.YOCO_SECRET_KEY.startsWith('sk_test_') ||
+                                 process.env.YOCO_SECRET_KEY.startsWith('sk_live_');
+                const environment = process.env.YOCO_SECRET_KEY.startsWith('sk_test_') ? 'sandbox' : 'live';
+
+                healthData.checks.api_key = {
+                    status: keyFormat ? 'ok' : 'warning',
+                    message: keyFormat ? 'API key format is valid' : 'API key format may be incorrect',
+                    environment: environment
+                };
+            }
         }
 
         try {
@@ -1691,17 +9758,13 @@ app.get('/yoco-health', async (req, res) => {
         healthData.checks.webhook_secret = {
             status: process.env.YOCO_WEBHOOK_SECRET ? 'ok' : 'warning',
             message: process.env.YOCO_WEBHOOK_SECRET
-                ? 'YOCO_WEBHOOK_SECRET configured — webhook signatures are verified'
-                : 'YOCO_WEBHOOK_SECRET not set — webhook accepts unsigned requests'
+                ? `YOCO_WEBHOOK_SECRET configured (${getYocoWebhookSecrets().length} active) — webhook signatures are verified`
+                : 'YOCO_WEBHOOK_SECRET not set — webhook accepts unsigned requests',
+            timestamp_tolerance_seconds: WEBHOOK_CONFIG.TIMESTAMP_TOLERANCE_SECONDS
         };
 
         try {
-            const testResponse = await makeYocoRequest(`${YOCO_CONFIG.API_BASE_URL}/checkouts`, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${process.env.YOCO_SECRET_KEY || ''}`
-                }
-            });
+            const testResponse = await paymentProvider.checkConnectivity();
 
             healthData.checks.connectivity = {
                 status: testResponse.status < 500 ? 'ok' : 'warning',
@@ -1740,59 +9803,111 @@ app.use((error, req, res, next) => {
     res.status(500).json({ error: 'Server error', message: error.message });
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-    console.log(`API key: ${process.env.YOCO_SECRET_KEY ? 'Configured' : 'MISSING'}`);
-    console.log(`Firebase: ${process.env.FIREBASE_PROJECT_ID ? 'Configured' : 'MISSING'}`);
-    console.log(`Webhook secret: ${process.env.YOCO_WEBHOOK_SECRET ? 'Configured' : 'Not set (webhook accepts unsigned requests)'}`);
-    console.log('✅ Server ready - Orders only created after payment success!');
-});
-// ─── Keep-alive ping ───────────────────────────────────────────────────────
-// Prevents Render free tier from spinning down during active hours.
-// Pings our own /health endpoint every 10 minutes. Without this, Render
-// sleeps after ~15 min of inactivity and takes 50+ seconds to wake up,
-// causing Yoco redirects to time out and customers to get stuck.
-const KEEP_ALIVE_MS = 10 * 60 * 1000; // 10 minutes
+// Our own public address, for the keep-alive ping and payment links
 const SELF_URL = process.env.RENDER_EXTERNAL_URL || 'https://eezyspaza-backend1.onrender.com';
 
-setInterval(async () => {
-    try {
-        const res = await fetch(`${SELF_URL}/health`);
-        console.log(`[keep-alive] ping OK — status ${res.status} at ${new Date().toISOString()}`);
-    } catch (err) {
-        console.warn(`[keep-alive] ping failed: ${err.message}`);
+// Only listen and start the scheduled jobs when run as the server, not
+// when the tests require this file for its helpers
+if (require.main === module) {
+    const PORT = process.env.PORT || 3000;
+    app.listen(PORT, () => {
+        console.log(`Server running on port ${PORT}`);
+        console.log(`Payment provider: ${paymentProvider.name}`);
+        console.log(`API key: ${process.env.YOCO_SECRET_KEY ? 'Configured' : 'MISSING'}`);
+        console.log(`Firebase: ${process.env.FIREBASE_PROJECT_ID ? 'Configured' : 'MISSING'}`);
+        console.log(`Webhook secret: ${process.env.YOCO_WEBHOOK_SECRET ? 'Configured' : 'Not set (webhook accepts unsigned requests)'}`);
+        console.log('✅ Server ready - Orders only created after payment success!');
+    });
+    // ─── Keep-alive ping ───────────────────────────────────────────────────────
+    // Prevents Render free tier from spinning down during active hours.
+    // Pings our own /health endpoint every 10 minutes. Without this, Render
+    // sleeps after ~15 min of inactivity and takes 50+ seconds to wake up,
+    // causing Yoco redirects to time out and customers to get stuck.
+    const KEEP_ALIVE_MS = 10 * 60 * 1000; // 10 minutes
+
+    setInterval(async () => {
+        try {
+            const res = await fetch(`${SELF_URL}/health`);
+            console.log(`[keep-alive] ping OK — status ${res.status} at ${new Date().toISOString()}`);
+        } catch (err) {
+            console.warn(`[keep-alive] ping failed: ${err.message}`);
+        }
+    }, KEEP_ALIVE_MS);
+
+    console.log(`[keep-alive] Self-ping active every 10 min → ${SELF_URL}/health`);
+
+    // ─── Daily report scheduler ────────────────────────────────────────────────
+    // Checks every 5 minutes whether it's just past midnight SAST and, if so
+    // (and it hasn't already run today), archives yesterday's orders and emails
+    // the summary. This relies on the keep-alive ping above to keep the server
+    // awake through midnight — if the server were allowed to sleep, this
+    // interval wouldn't fire on schedule.
+    let lastDailyReportRunDate = null;
+
+    async function checkAndRunDailyReport() {
+        try {
+            const sastNow = new Date(Date.now() + 2 * 60 * 60 * 1000);
+            const hour = sastNow.getUTCHours();
+            const minute = sastNow.getUTCMinutes();
+            const todayStr = sastNow.toISOString().slice(0, 10);
+
+            // Run once, in the first 10 minutes after midnight SAST
+            if (hour === 0 && minute < 10 && lastDailyReportRunDate !== todayStr) {
+                lastDailyReportRunDate = todayStr;
+                const dateToReport = yesterdaySAST();
+                await generateAndSendDailyReport(dateToReport);
+            }
+        } catch (err) {
+            console.error('[daily-report] Scheduled run failed:', err);
+        }
     }
-}, KEEP_ALIVE_MS);
 
-console.log(`[keep-alive] Self-ping active every 10 min → ${SELF_URL}/health`);
+    setInterval(checkAndRunDailyReport, 5 * 60 * 1000);
+    console.log('[daily-report] Scheduler active — checks every 5 min for midnight SAST rollover');
 
-// ─── Daily report scheduler ────────────────────────────────────────────────
-// Checks every 5 minutes whether it's just past midnight SAST and, if so
-// (and it hasn't already run today), archives yesterday's orders and emails
-// the summary. This relies on the keep-alive ping above to keep the server
-// awake through midnight — if the server were allowed to sleep, this
-// interval wouldn't fire on schedule.
-let lastDailyReportRunDate = null;
+    // ─── Stock reservation expiry ──────────────────────────────────────────────
+    // Gives back stock held for checkouts that were abandoned without Yoco ever
+    // sending the customer to the cancel/failure page.
+    setInterval(sweepExpiredReservations, RESERVATION_CONFIG.SWEEP_INTERVAL_MS);
+    console.log('[reservations] Expiry sweep active — checks every 5 min');
 
-async function checkAndRunDailyReport() {
-    try {
-        const sastNow = new Date(Date.now() + 2 * 60 * 60 * 1000);
-        const hour = sastNow.getUTCHours();
-        const minute = sastNow.getUTCMinutes();
-        const todayStr = sastNow.toISOString().slice(0, 10);
+    // ─── Abandoned pending-payment sweeper ─────────────────────────────────────
+    // Re-verifies stale pending payments with Yoco and clears them out of
+    // pending_payments. Skips a tick if the previous run is still going.
+    let pendingSweepRunning = false;
 
-        // Run once, in the first 10 minutes after midnight SAST
-        if (hour === 0 && minute < 10 && lastDailyReportRunDate !== todayStr) {
-            lastDailyReportRunDate = todayStr;
-            const dateToReport = yesterdaySAST();
-            await generateAndSendDailyReport(dateToReport);
+    async function checkAndRunPendingSweep() {
+        if (pendingSweepRunning) return;
+        pendingSweepRunning = true;
+        try {
+            await sweepAbandonedPendingPayments();
+        } catch (err) {
+            console.error('[pending-sweep] Scheduled run failed:', err);
+        } finally {
+            pendingSweepRunning = false;
         }
-    } catch (err) {
-        console.error('[daily-report] Scheduled run failed:', err);
     }
-}
 
-setInterval(checkAndRunDailyReport, 5 * 60 * 1000);
-console.log('[daily-report] Scheduler active — checks every 5 min for midnight SAST rollover');
+    setInterval(checkAndRunPendingSweep, PENDING_SWEEP_CONFIG.INTERVAL_MS);
+    console.log('[pending-sweep] Scheduler active — checks every 15 min for stale pending payments');
+}
 
+// The pure helpers, for the unit tests in test/
+module.exports = {
+    priceOrderFromProducts,
+    applyDiscountToPricing,
+    matchDeliveryZone,
+    applyDeliveryToPricing,
+    buildYocoLineItems,
+    checkVoucherAvailability,
+    priceVoucher,
+    isVoucherUsedUp,
+    calculatePointsEarned,
+    checkPointsRedemption,
+    loyaltyLostShare,
+    calculateRefund,
+    adjustRefundedQuantities,
+    buildInvoiceLines,
+    signYocoWebhookPayload,
+    verifyYocoWebhookSignature
+};
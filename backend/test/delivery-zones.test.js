@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchDeliveryZone } = require('./load-server');
+
+const zones = [
+    { id: 'soweto', name: 'Soweto', postal_codes: ['1804'], suburbs: ['Orlando'], fee_cents: 3500, free_over_cents: 50000, serviceable: true },
+    { id: 'orlando-east', name: 'Orlando East', postal_codes: [], suburbs: ['orlando east'], fee_cents: 2500, free_over_cents: null },
+    { id: 'closed', name: 'Kliptown', postal_codes: ['1812'], suburbs: ['Kliptown'], fee_cents: 0, serviceable: false }
+];
+
+test('matches on postal code and charges the zone fee', () => {
+    const quote = matchDeliveryZone(zones, { postalCode: '1804', suburb: '' }, 10000);
+
+    assert.equal(quote.isValid, true);
+    assert.equal(quote.zone.id, 'soweto');
+    assert.equal(quote.feeCents, 3500);
+    assert.equal(quote.waived, false);
+});
+
+test('a postal code match beats a suburb match', () => {
+    assert.equal(matchDeliveryZone(zones, { postalCode: '1804', suburb: 'Orlando East' }, 0).zone.id, 'soweto');
+});
+
+test('suburbs match whatever their case', () => {
+    const quote = matchDeliveryZone(zones, { postalCode: '', suburb: 'ORLANDO EAST' }, 0);
+    assert.equal(quote.zone.id, 'orlando-east');
+    assert.equal(quote.feeCents, 2500);
+});
+
+test('the fee is waived over the zone threshold, and never without one', () => {
+    const waived = matchDeliveryZone(zones, { postalCode: '1804', suburb: '' }, 50000);
+    assert.equal(waived.feeCents, 0);
+    assert.equal(waived.waived, true);
+
+    assert.equal(matchDeliveryZone(zones, { postalCode: '', suburb: 'Orlando East' }, 10000000).feeCents, 2500);
+});
+
+test('turns away unknown, unserviceable and missing addresses', () => {
+    assert.equal(matchDeliveryZone(zones, { postalCode: '2000', suburb: '' }, 0).reason, 'outside_area');
+    assert.equal(matchDeliveryZone(zones, { postalCode: '1812', suburb: '' }, 0).reason, 'unserviceable');
+    assert.equal(matchDeliveryZone(zones, { postalCode: '', suburb: '' }, 0).reason, 'address_required');
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildInvoiceLines } = require('./load-server');
+
+const sumExcl = ({ itemLines, deliveryExclCents, discountLines }) =>
+    [...itemLines, ...discountLines].reduce((sum, line) => sum + line.totalCents, deliveryExclCents);
+
+test('lines add up to the total excluding VAT', () => {
+    const invoice = buildInvoiceLines({
+        amount_cents: 9450,
+        items: [{ id: '1', name: 'Bread', quantity: 3, amount: 1739, line_total_cents: 5217 }],
+        pricing: { vat_rate: 0.15, vat_cents: 1233, total_cents: 9450, delivery_cents: 3450 }
+    });
+
+    assert.equal(invoice.deliveryExclCents, 3000);
+    assert.equal(invoice.roundingCents, 0);
+    assert.equal(sumExcl(invoice), 8217);
+});
+
+test('discounts absorb the VAT rounding', () => {
+    const invoice = buildInvoiceLines({
+        amount_cents: 5000,
+        items: [{ id: '1', name: 'Bread', quantity: 1, amount: 4436, line_total_cents: 4436 }],
+        pricing: {
+            vat_rate: 0.15,
+            vat_cents: 652,
+            total_cents: 5000,
+            discounts: [{ source: 'voucher', code: 'TEN', amount_cents: 101 }]
+        }
+    });
+
+    assert.equal(invoice.discountLines[0].description, 'Voucher TEN');
+    assert.equal(sumExcl(invoice), invoice.totalCents - invoice.vatCents);
+    assert.equal(invoice.discountLines[0].totalCents, -(88 + invoice.roundingCents));
+});
+
+test('orders without itemised pricing work their VAT out of the total', () => {
+    const invoice = buildInvoiceLines({ amount_cents: 11500, items: [] });
+
+    assert.equal(invoice.vatCents, 1500);
+    assert.equal(invoice.vatRate, 0.15);
+    assert.deepEqual(invoice.itemLines, []);
+});
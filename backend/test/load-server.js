@@ -0,0 +1,17 @@
+// Loads server.js for its helpers. Firebase Admin needs a service account
+// to initialise, so the tests hand it a throwaway one; none of the helpers
+// under test talk to Firestore.
+const crypto = require('crypto');
+
+if (!process.env.FIREBASE_PRIVATE_KEY) {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+        publicKeyEncoding: { type: 'spki', format: 'pem' }
+    });
+    process.env.FIREBASE_PROJECT_ID = 'eezyspaza-test';
+    process.env.FIREBASE_CLIENT_EMAIL = 'tests@eezyspaza-test.iam.gserviceaccount.com';
+    process.env.FIREBASE_PRIVATE_KEY = privateKey;
+}
+
+module.exports = require('../server');
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkPointsRedemption, calculatePointsEarned, loyaltyLostShare } = require('./load-server');
+
+const rules = {
+    enabled: true,
+    points_per_rand: 1,
+    point_value_cents: 10,
+    min_redeem_points: 100,
+    max_redeem_percent: 50,
+    item_rules: [
+        { category: 'Bakery', points_per_item: 20 },
+        { product_id: '7', points_per_item: 5 }
+    ]
+};
+
+const pricing = { breakdown: { total_cents: 10000 } };
+
+test('points worth up to the maximum share of the order can be redeemed', () => {
+    assert.deepEqual(checkPointsRedemption(rules, 500, 800, pricing), { isValid: true, points: 500, amountCents: 5000 });
+});
+
+test('redemptions are checked against the minimum, the balance and the maximum', () => {
+    assert.equal(checkPointsRedemption(rules, 99, 800, pricing).reason, 'below_minimum');
+    assert.equal(checkPointsRedemption(rules, 300, 299, pricing).reason, 'insufficient_points');
+
+    const tooMany = checkPointsRedemption(rules, 501, 800, pricing);
+    assert.equal(tooMany.reason, 'above_maximum');
+    assert.match(tooMany.message, /500 points/);
+});
+
+test('points are earned on what was paid plus per-item rules', () => {
+    const order = {
+        amount_cents: 12345,
+        items: [
+            { id: '1', category: 'Bakery', quantity: 2 },
+            { id: '7', category: 'Dairy', quantity: 3 },
+            { id: '8', category: 'Dairy', quantity: 1 }
+        ]
+    };
+    assert.equal(calculatePointsEarned(order, rules), 123 + 40 + 15);
+});
+
+test('the share lost follows refunds, and is everything once cancelled', () => {
+    assert.equal(loyaltyLostShare({ status: 'paid', amount_cents: 10000 }, 2500), 0.25);
+    assert.equal(loyaltyLostShare({ status: 'cancelled', amount_cents: 10000 }, 0), 1);
+    assert.equal(loyaltyLostShare({ status: 'paid', amount_cents: 0 }, 0), 0);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { priceOrderFromProducts, applyDiscountToPricing, applyDeliveryToPricing, buildYocoLineItems } = require('./load-server');
+
+const products = new Map([
+    ['1', { name: 'Bread', category: 'Bakery', price: 20, active: true, stock: 10 }],
+    ['2', { name: 'Milk', category: 'Dairy', price: 25.5, active: true }],
+    ['3', { name: 'Eggs', category: 'Dairy', price: 40, active: false }]
+]);
+
+test('prices lines from the catalogue and adds VAT', () => {
+    const pricing = priceOrderFromProducts([{ id: 1, quantity: 2 }, { id: '2', quantity: 1 }], products);
+
+    assert.equal(pricing.isValid, true);
+    assert.deepEqual(pricing.items.map(item => [item.id, item.quantity, item.line_total_cents]), [['1', 2, 4000], ['2', 1, 2550]]);
+    assert.deepEqual(pricing.breakdown, { subtotal_cents: 6550, vat_cents: 983, vat_rate: 0.15, total_cents: 7533 });
+});
+
+test('merges repeated lines before checking stock', () => {
+    const pricing = priceOrderFromProducts([{ id: '1', quantity: 6 }, { id: '1', quantity: 6 }], products);
+
+    assert.equal(pricing.isValid, false);
+    assert.deepEqual(pricing.changedItems, [
+        { id: '1', name: 'Bread', reason: 'insufficient_stock', requested_quantity: 12, available_stock: 10 }
+    ]);
+});
+
+test('flags missing, inactive and repriced products', () => {
+    const pricing = priceOrderFromProducts([
+        { id: '9', quantity: 1 },
+        { id: '3', quantity: 1 },
+        { id: '2', quantity: 1, price: 24.99 }
+    ], products);
+
+    assert.deepEqual(pricing.changedItems.map(item => item.reason), ['not_found', 'unavailable', 'price_changed']);
+    // A changed price is still priced at the catalogue price
+    assert.equal(pricing.breakdown.subtotal_cents, 2550);
+});
+
+test('spreads a discount over the chosen lines and keeps the total whole', () => {
+    const pricing = priceOrderFromProducts([{ id: '1', quantity: 1 }, { id: '2', quantity: 1 }], products);
+    const discounted = applyDiscountToPricing(pricing, { source: 'voucher', code: 'TEN', amountCents: 1001, allocateTo: ['1', '2'] });
+
+    const shares = discounted.items.map(item => item.discount_cents);
+    assert.equal(shares.reduce((sum, share) => sum + share, 0), 1001);
+    assert.deepEqual(shares, [440, 561]);
+    assert.equal(discounted.breakdown.total_cents, pricing.breakdown.total_cents - 1001);
+    assert.equal(discounted.breakdown.vat_cents, Math.round(discounted.breakdown.total_cents * 0.15 / 1.15));
+});
+
+test('stacks a second discount on the first', () => {
+    const pricing = priceOrderFromProducts([{ id: '1', quantity: 1 }], products);
+    const once = applyDiscountToPricing(pricing, { source: 'voucher', code: 'A', amountCents: 300, allocateTo: ['1'] });
+    const twice = applyDiscountToPricing(once, { source: 'loyalty', code: null, amountCents: 200, allocateTo: ['1'] });
+
+    assert.equal(twice.items[0].discount_cents, 500);
+    assert.equal(twice.breakdown.discount_cents, 500);
+    assert.equal(twice.breakdown.total_cents, pricing.breakdown.total_cents - 500);
+    assert.equal(twice.breakdown.discounts.length, 2);
+});
+
+test('a discount with no lines to allocate to (free delivery) leaves the lines alone', () => {
+    const pricing = applyDeliveryToPricing(
+        priceOrderFromProducts([{ id: '1', quantity: 1 }], products),
+        { fee_cents: 3450 }
+    );
+    const discounted = applyDiscountToPricing(pricing, { source: 'voucher', code: 'SHIP', amountCents: 3450, allocateTo: [] });
+
+    assert.equal(discounted.items[0].discount_cents, undefined);
+    assert.equal(discounted.breakdown.total_cents, 2300);
+});
+
+test('delivery is added VAT inclusive', () => {
+    const pricing = applyDeliveryToPricing(priceOrderFromProducts([{ id: '1', quantity: 1 }], products), { fee_cents: 3450 });
+
+    assert.equal(pricing.breakdown.delivery_cents, 3450);
+    assert.equal(pricing.breakdown.total_cents, 2300 + 3450);
+    assert.equal(pricing.breakdown.vat_cents, 300 + 450);
+});
+
+test('Yoco line items are only sent while they add up to the charge', () => {
+    const pricing = applyDeliveryToPricing(priceOrderFromProducts([{ id: '1', quantity: 2 }], products), { fee_cents: 3000 });
+
+    assert.deepEqual(buildYocoLineItems(pricing), [
+        { displayName: 'Bread', quantity: 2, pricingDetails: { price: 2300 } },
+        { displayName: 'Delivery', quantity: 1, pricingDetails: { price: 3000 } }
+    ]);
+    assert.equal(
+        buildYocoLineItems(applyDiscountToPricing(pricing, { source: 'voucher', code: 'A', amountCents: 100, allocateTo: ['1'] })),
+        null
+    );
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateRefund, adjustRefundedQuantities } = require('./load-server');
+
+const order = {
+    amount_cents: 8050,
+    pricing: { vat_rate: 0.15 },
+    items: [
+        { id: '1', name: 'Bread', quantity: 2, amount: 2000, discount_cents: 460 },
+        { id: '2', name: 'Milk', quantity: 1, amount: 3000 }
+    ]
+};
+
+test('a partial refund is worth the lines with VAT, less their discount', () => {
+    const refund = calculateRefund(order, [{ id: '1', quantity: 1 }]);
+
+    assert.equal(refund.isValid, true);
+    assert.equal(refund.type, 'partial');
+    assert.equal(refund.amountCents, 2300 - 230);
+    assert.deepEqual(refund.lines, [{ id: '1', name: 'Bread', quantity: 1, amount_cents: 2070 }]);
+});
+
+test('repeated lines are merged and checked against what is left', () => {
+    const refund = calculateRefund(
+        { ...order, items: [{ ...order.items[0], refunded_quantity: 1 }, order.items[1]] },
+        [{ id: '1', quantity: 1 }, { id: '1', quantity: 1 }]
+    );
+
+    assert.equal(refund.isValid, false);
+    assert.deepEqual(refund.errors, ['only 1 of Bread can still be refunded']);
+});
+
+test('bad quantities and unknown products are refused', () => {
+    const refund = calculateRefund(order, [{ id: '1', quantity: 0 }, { id: '9', quantity: 1 }]);
+    assert.deepEqual(refund.errors, ['items[0]: quantity must be a positive whole number', 'product 9 is not on this order']);
+});
+
+test('a full refund is whatever has not been refunded yet', () => {
+    const refund = calculateRefund({ ...order, refunded_amount_cents: 2070 }, []);
+
+    assert.equal(refund.type, 'full');
+    assert.equal(refund.amountCents, 8050 - 2070);
+    assert.equal(calculateRefund({ ...order, refunded_amount_cents: 8050 }, []).isValid, false);
+});
+
+test('partial refunds never add up to more than was charged', () => {
+    const refund = calculateRefund({ ...order, refunded_amount_cents: 8000 }, [{ id: '2', quantity: 1 }]);
+    assert.equal(refund.amountCents, 50);
+});
+
+test('refunded quantities go up with a refund and back down if it fails', () => {
+    const lines = [{ id: '1', quantity: 2 }];
+    const refunded = adjustRefundedQuantities(order.items, lines, 1);
+
+    assert.equal(refunded[0].refunded_quantity, 2);
+    assert.equal(refunded[1].refunded_quantity, undefined);
+    assert.equal(adjustRefundedQuantities(refunded, lines, -1)[0].refunded_quantity, 0);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Timestamp } = require('firebase-admin/firestore');
+const { checkVoucherAvailability, priceVoucher, isVoucherUsedUp } = require('./load-server');
+
+const now = Date.parse('2026-10-01T10:00:00Z');
+
+const pricing = {
+    items: [
+        { id: '1', category: 'Bakery', line_total_cents: 2000 },
+        { id: '2', category: 'Dairy', line_total_cents: 4000 }
+    ],
+    breakdown: { subtotal_cents: 6000, vat_rate: 0.15, total_cents: 6900 }
+};
+
+test('an active voucher inside its dates is available', () => {
+    const voucher = {
+        active: true,
+        valid_from: Timestamp.fromMillis(now - 1000),
+        valid_until: Timestamp.fromMillis(now + 1000)
+    };
+    assert.equal(checkVoucherAvailability(voucher, now), null);
+});
+
+test('inactive, early and expired vouchers are turned away', () => {
+    assert.equal(checkVoucherAvailability({ active: false }, now).reason, 'inactive');
+    assert.equal(checkVoucherAvailability({ active: true, valid_from: Timestamp.fromMillis(now + 1) }, now).reason, 'not_started');
+    assert.equal(checkVoucherAvailability({ active: true, valid_until: Timestamp.fromMillis(now - 1) }, now).reason, 'expired');
+});
+
+test('held uses count towards the redemption limit', () => {
+    assert.equal(isVoucherUsedUp({ max_redemptions: 5, redemption_count: 3, reserved_count: 1 }), false);
+    assert.equal(isVoucherUsedUp({ max_redemptions: 5, redemption_count: 3, reserved_count: 2 }), true);
+    assert.equal(isVoucherUsedUp({ redemption_count: 100 }), false);
+    assert.equal(checkVoucherAvailability({ active: true, max_redemptions: 1, reserved_count: 1 }, now).reason, 'usage_limit');
+});
+
+test('percent vouchers take a share of the VAT-inclusive lines', () => {
+    const evaluation = priceVoucher({ code: 'TEN', type: 'percent', percent_off: 10 }, pricing);
+
+    assert.equal(evaluation.isValid, true);
+    assert.equal(evaluation.amountCents, 690);
+    assert.deepEqual(evaluation.allocateTo, ['1', '2']);
+});
+
+test('category vouchers only count and discount their category', () => {
+    const voucher = { code: 'BREAD', type: 'fixed', amount_off_cents: 5000, category: 'Bakery' };
+    const evaluation = priceVoucher(voucher, pricing);
+
+    // Capped at what the bakery lines cost
+    assert.equal(evaluation.amountCents, 2300);
+    assert.deepEqual(evaluation.allocateTo, ['1']);
+    assert.equal(priceVoucher({ ...voucher, category: 'Meat' }, pricing).reason, 'no_eligible_items');
+    assert.equal(priceVoucher({ ...voucher, min_spend_cents: 2400 }, pricing).reason, 'min_spend');
+});
+
+test('lines already discounted count at what is left of them', () => {
+    const discounted = {
+        ...pricing,
+        items: [{ ...pricing.items[0], discount_cents: 300 }, pricing.items[1]]
+    };
+    assert.equal(priceVoucher({ code: 'TEN', type: 'percent', percent_off: 10 }, discounted).amountCents, 660);
+});
+
+test('free delivery vouchers take off the delivery fee', () => {
+    const voucher = { code: 'SHIP', type: 'free_delivery' };
+    const withDelivery = { ...pricing, breakdown: { ...pricing.breakdown, delivery_cents: 3500 } };
+
+    assert.deepEqual(
+        { ...priceVoucher(voucher, withDelivery), voucher: undefined },
+        { isValid: true, voucher: undefined, amountCents: 3500, allocateTo: [], freeDelivery: true }
+    );
+    assert.equal(priceVoucher(voucher, pricing).reason, 'no_delivery_fee');
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { signYocoWebhookPayload, verifyYocoWebhookSignature } = require('./load-server');
+
+const secret = `whsec_${crypto.randomBytes(24).toString('base64')}`;
+const oldSecret = `whsec_${crypto.randomBytes(24).toString('base64')}`;
+const signedPayload = 'msg_123.1760000000.{"type":"payment.succeeded"}';
+
+test('accepts a v1 signature made with the secret', () => {
+    const header = `v1,${signYocoWebhookPayload(signedPayload, secret)}`;
+    assert.equal(verifyYocoWebhookSignature(header, signedPayload, [secret]), true);
+});
+
+test('accepts any of several signatures and secrets while one is rotated out', () => {
+    const header = `v1,bm9wZQ== v1,${signYocoWebhookPayload(signedPayload, oldSecret)}`;
+    assert.equal(verifyYocoWebhookSignature(header, signedPayload, [secret, oldSecret]), true);
+});
+
+test('rejects a changed body, another secret or another version', () => {
+    const signature = signYocoWebhookPayload(signedPayload, secret);
+
+    assert.equal(verifyYocoWebhookSignature(`v1,${signature}`, `${signedPayload} `, [secret]), false);
+    assert.equal(verifyYocoWebhookSignature(`v1,${signature}`, signedPayload, [oldSecret]), false);
+    assert.equal(verifyYocoWebhookSignature(`v2,${signature}`, signedPayload, [secret]), false);
+    assert.equal(verifyYocoWebhookSignature('v1,short', signedPayload, [secret]), false);
+});